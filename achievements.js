@@ -0,0 +1,105 @@
+// This file defines every achievement (badge) in the game. It is shared by index.html, which unlocks them,
+// and dashboard.html, which shows them in the trophy case.
+// Achievements are declarative: each one is just data plus an 'isUnlocked' test that receives a summary of the player's stats.
+// Their titles and descriptions are translated, so they live in i18n.js under 'achievement.<id>.title' and '.description'.
+const QuestifyAchievements = (() => {
+
+    const WEEK_IN_MS = 7 * 24 * 60 * 60 * 1000;
+
+    // The full list of achievements, in the order they appear in the trophy case.
+    const ACHIEVEMENTS = [
+        {
+            id: 'first-task',
+            icon: '✅',
+            isUnlocked: stats => stats.tasksCompleted >= 1,
+        },
+        {
+            id: 'first-quest',
+            icon: '🗺️',
+            isUnlocked: stats => stats.questsCompleted >= 1,
+        },
+        {
+            id: 'hard-tasks-10',
+            icon: '💪',
+            isUnlocked: stats => stats.hardTasksCompleted >= 10,
+        },
+        {
+            id: 'tasks-50',
+            icon: '📜',
+            isUnlocked: stats => stats.tasksCompleted >= 50,
+        },
+        {
+            id: 'busy-week',
+            icon: '🗓️',
+            isUnlocked: stats => stats.mostQuestsInAWeek >= 5,
+        },
+        {
+            id: 'streak-7',
+            icon: '🔥',
+            isUnlocked: stats => stats.bestStreak >= 7,
+        },
+        {
+            id: 'level-5',
+            icon: '⭐',
+            isUnlocked: stats => stats.level >= 5,
+        },
+        {
+            id: 'level-10',
+            icon: '👑',
+            isUnlocked: stats => stats.level >= 10,
+        },
+    ];
+
+    /**
+     * Finds the largest number of timestamps that fall within any 7-day window.
+     * @param {Array} timestamps A list of timestamps in milliseconds.
+     * @returns {number} The highest count found.
+     */
+    function mostWithinAWeek(timestamps) {
+        const sorted = [...timestamps].sort((a, b) => a - b);
+        let best = 0;
+        let windowStart = 0;
+        // A "sliding window": the end moves forward one item at a time, and the start catches up whenever the window gets too wide.
+        for (let windowEnd = 0; windowEnd < sorted.length; windowEnd++) {
+            while (sorted[windowEnd] - sorted[windowStart] >= WEEK_IN_MS) {
+                windowStart++;
+            }
+            best = Math.max(best, windowEnd - windowStart + 1);
+        }
+        return best;
+    }
+
+    /**
+     * Summarises the saved state into the numbers the achievement tests need.
+     * @param {object} state The game state, containing 'player', 'events' and 'streak'.
+     * @returns {object} The player's stats.
+     */
+    function getStats(state) {
+        const events = state.events || [];
+        const legacyEvents = events.filter(e => e.type === 'legacy_progress');
+        const taskEvents = events.filter(e => e.type === 'task_completed');
+        const goalEvents = events.filter(e => e.type === 'goal_bonus');
+
+        return {
+            level: state.player.level,
+            tasksCompleted: taskEvents.length + legacyEvents.reduce((total, e) => total + e.tasksCompleted, 0),
+            questsCompleted: goalEvents.length + legacyEvents.reduce((total, e) => total + e.questsCompleted, 0),
+            hardTasksCompleted: taskEvents.filter(e => e.difficulty === 'Hard').length,
+            mostQuestsInAWeek: mostWithinAWeek(goalEvents.map(e => e.timestamp)),
+            bestStreak: state.streak ? state.streak.best : 0,
+        };
+    }
+
+    /**
+     * Checks every achievement against the current state.
+     * @param {object} state The game state, including the 'achievements' already unlocked.
+     * @returns {Array} The achievements that are earned but not yet recorded as unlocked.
+     */
+    function findNewUnlocks(state) {
+        const unlocked = state.achievements || {};
+        const stats = getStats(state);
+        return ACHIEVEMENTS.filter(a => !unlocked[a.id] && a.isUnlocked(stats));
+    }
+
+    return { ACHIEVEMENTS, getStats, findNewUnlocks };
+})();
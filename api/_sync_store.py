@@ -0,0 +1,199 @@
+# =================================
+#  CLOUD SYNC STORAGE
+# =================================
+# Stores each player's synced game state, keyed by their sync code. It is used by the /api/state endpoint in app.py
+# and by _sync_stub_server.py, the local stand-in server, so both follow exactly the same rules.
+# It only uses the standard library, so the stand-in server runs without installing anything.
+#
+# There are two stores with the same get/put methods. SyncStore keeps the states in a local JSON file (or in memory),
+# which only lasts on a machine with its own disk. KVSyncStore keeps them in a Redis database reached over HTTP
+# (Vercel KV or Upstash), which is what a serverless host like Vercel needs: its '/tmp' belongs to a single instance
+# and is wiped on every cold start. create_sync_store() picks the right one from the environment.
+# The leading underscore in the file names stops Vercel from deploying these files as API routes of their own.
+#
+# Every saved state has a revision number that goes up by one with each save. A save must say which revision it was
+# based on; if another device saved in the meantime, the save is refused with a conflict, and the client merges the
+# newer state before trying again. This is what stops two devices from silently overwriting each other.
+
+import hashlib
+import json
+import os
+import re
+import threading
+import time
+import urllib.error
+import urllib.request
+
+# Sync codes are created by the frontend (sync.js), which uses the same pattern.
+CODE_PATTERN = re.compile(r'^[a-z0-9-]{16,64}$')
+
+# The largest request body accepted when saving, in bytes. A long-time player's state is a few hundred kilobytes at most.
+MAX_STATE_BYTES = 2 * 1024 * 1024
+
+
+class SyncConflict(Exception):
+    """Raised when a save is based on an old revision. 'record' holds the newer revision and state."""
+
+    def __init__(self, record):
+        super().__init__("The state was changed by another device.")
+        self.record = record
+
+
+class SyncUnavailable(Exception):
+    """Raised when the store can't be reached, so the client can try again later."""
+
+
+def get_sync_code(authorization):
+    """
+    Reads the sync code from an 'Authorization: Bearer <code>' header.
+    Returns None if the header is missing or the code isn't valid.
+    """
+    if not authorization or not authorization.startswith('Bearer '):
+        return None
+    code = authorization[len('Bearer '):].strip()
+    return code if CODE_PATTERN.match(code) else None
+
+
+def parse_save_request(data):
+    """
+    Checks the body of a save request, which must be {"baseRevision": <number>, "state": {...}}.
+    Returns the base revision and the state, or raises ValueError with a message for the client.
+    """
+    if not isinstance(data, dict):
+        raise ValueError('The request body must be a JSON object.')
+    base_revision = data.get('baseRevision')
+    state = data.get('state')
+    # 'bool' is a subclass of 'int' in Python, so it has to be ruled out separately.
+    if not isinstance(base_revision, int) or isinstance(base_revision, bool) or base_revision < 0:
+        raise ValueError('"baseRevision" must be a revision number.')
+    if not isinstance(state, dict) or not isinstance(state.get('quests'), list) or not isinstance(state.get('events'), list):
+        raise ValueError('"state" must be a game state with "quests" and "events".')
+    return base_revision, state
+
+
+class SyncStore:
+    """
+    Keeps the synced states in a JSON file, or only in memory when no path is given.
+    Codes are stored as SHA-256 hashes, so reading the file doesn't reveal anyone's sync code.
+    """
+
+    def __init__(self, path=None):
+        self.path = path
+        self._records = {}
+        self._lock = threading.Lock() # The Flask development server handles requests on several threads.
+
+    def _key(self, code):
+        return hashlib.sha256(code.encode('utf-8')).hexdigest()
+
+    def _read_all(self):
+        if self.path is None:
+            return self._records
+        try:
+            with open(self.path, 'r', encoding='utf-8') as file:
+                return json.load(file)
+        except FileNotFoundError:
+            return {}
+
+    def _write_all(self, records):
+        if self.path is None:
+            self._records = records
+            return
+        # Writing to a temporary file and renaming it means a crash can never leave a half-written file behind.
+        temp_path = f"{self.path}.tmp"
+        with open(temp_path, 'w', encoding='utf-8') as file:
+            json.dump(records, file)
+        os.replace(temp_path, self.path)
+
+    def get(self, code):
+        """Returns the stored {"revision", "state", "updatedAt"} for a sync code, or None if nothing is stored yet."""
+        with self._lock:
+            return self._read_all().get(self._key(code))
+
+    def put(self, code, base_revision, state):
+        """
+        Saves a new state and returns its revision number.
+        Raises SyncConflict if 'base_revision' isn't the latest revision.
+        """
+        with self._lock:
+            records = self._read_all()
+            key = self._key(code)
+            current = records.get(key)
+            current_revision = current['revision'] if current else 0
+            if base_revision != current_revision:
+                raise SyncConflict(current)
+
+            records[key] = {"revision": current_revision + 1, "state": state, "updatedAt": int(time.time() * 1000)}
+            self._write_all(records)
+            return current_revision + 1
+
+
+class KVSyncStore:
+    """
+    Keeps the synced states in a Redis database through its REST API (the one Vercel KV and Upstash provide).
+    Each state is stored as one JSON value under a hash of its sync code, exactly like a record in SyncStore's file.
+    """
+
+    # Saves the new record only if the stored revision is still the one the save was based on. Running the check and
+    # the write as one script means two instances can never both save on top of the same revision.
+    PUT_SCRIPT = """
+        local current = redis.call('GET', KEYS[1])
+        local revision = 0
+        if current then revision = cjson.decode(current)['revision'] end
+        if revision ~= tonumber(ARGV[1]) then return {0, current or ''} end
+        redis.call('SET', KEYS[1], ARGV[2])
+        return {1, ''}
+    """
+
+    def __init__(self, url, token):
+        self.url = url.rstrip('/')
+        self.token = token
+
+    def _key(self, code):
+        return f"questify-sync:{hashlib.sha256(code.encode('utf-8')).hexdigest()}"
+
+    def _command(self, *args):
+        """Runs one Redis command and returns its result, or raises SyncUnavailable."""
+        request = urllib.request.Request(
+            self.url,
+            data=json.dumps([str(arg) for arg in args]).encode('utf-8'),
+            headers={'Authorization': f'Bearer {self.token}', 'Content-Type': 'application/json'},
+            method='POST',
+        )
+        try:
+            with urllib.request.urlopen(request, timeout=10) as response:
+                body = json.load(response)
+        except (urllib.error.URLError, TimeoutError, ValueError) as e:
+            raise SyncUnavailable(f"The sync database could not be reached: {e}") from e
+        if 'error' in body:
+            raise SyncUnavailable(f"The sync database refused the request: {body['error']}")
+        return body.get('result')
+
+    def get(self, code):
+        """Returns the stored {"revision", "state", "updatedAt"} for a sync code, or None if nothing is stored yet."""
+        value = self._command('GET', self._key(code))
+        return json.loads(value) if value else None
+
+    def put(self, code, base_revision, state):
+        """
+        Saves a new state and returns its revision number.
+        Raises SyncConflict if 'base_revision' isn't the latest revision.
+        """
+        record = {"revision": base_revision + 1, "state": state, "updatedAt": int(time.time() * 1000)}
+        saved, current = self._command('EVAL', self.PUT_SCRIPT, 1, self._key(code), base_revision, json.dumps(record))
+        if saved != 1:
+            raise SyncConflict(json.loads(current) if current else None)
+        return record['revision']
+
+
+def create_sync_store(environ):
+    """
+    Picks where synced states are kept:
+    - KV_REST_API_URL and KV_REST_API_TOKEN (set by Vercel KV, or by hand for Upstash): a KVSyncStore.
+    - Otherwise, when running on Vercel: None, because nothing written to its disk lasts. Sync then answers 503.
+    - Otherwise: a SyncStore file at SYNC_STORE_PATH, which lasts as long as the machine's disk.
+    """
+    if environ.get('KV_REST_API_URL') and environ.get('KV_REST_API_TOKEN'):
+        return KVSyncStore(environ['KV_REST_API_URL'], environ['KV_REST_API_TOKEN'])
+    if environ.get('VERCEL'):
+        return None
+    return SyncStore(environ.get('SYNC_STORE_PATH', os.path.join(os.path.expanduser('~'), '.questify-sync.json')))
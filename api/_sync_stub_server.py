@@ -0,0 +1,121 @@
+# =================================
+#  LOCAL STAND-IN SERVER FOR CLOUD SYNC
+# =================================
+# A small server for trying out and testing cloud sync without Flask, the AI model or a Vercel deployment.
+# It serves the app's files from the repository root (and nothing else there, such as .env or .git), answers /api/state
+# with the same rules as app.py, and keeps everything in memory so each run starts empty. The AI endpoints answer 503 ("unavailable"),
+# so the app uses its built-in offline quest generator.
+#
+# Usage, from the repository root:
+#     python api/_sync_stub_server.py [port]
+# Then open http://localhost:8000 in two browsers (or a normal and a private window) to sync between them.
+
+import json
+import os
+import sys
+from functools import partial
+from http.server import SimpleHTTPRequestHandler, ThreadingHTTPServer
+
+from _sync_store import MAX_STATE_BYTES, SyncConflict, SyncStore, get_sync_code, parse_save_request
+
+REPO_ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+# Only these kinds of files are served, and only from the repository root. Everything else there, like .env with the
+# API key, .git or the Python files in api/, answers 404.
+APP_FILE_TYPES = {'.html', '.js', '.css', '.svg', '.webmanifest'}
+store = SyncStore() # No path, so the states are only kept in memory.
+
+
+class StubHandler(SimpleHTTPRequestHandler):
+    """Serves the app's static files, plus the /api/state sync endpoint."""
+
+    def send_json(self, status, body):
+        data = json.dumps(body).encode('utf-8')
+        self.send_response(status)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(data)))
+        self.end_headers()
+        self.wfile.write(data)
+
+    def is_app_file(self):
+        """Checks whether the requested path is one of the app's own files (or '/', which serves index.html)."""
+        relative_path = os.path.relpath(self.translate_path(self.path), REPO_ROOT)
+        if relative_path == '.':
+            return True
+        return (os.sep not in relative_path and not relative_path.startswith('.')
+                and os.path.splitext(relative_path)[1] in APP_FILE_TYPES)
+
+    def send_head(self):
+        # Used for both GET and HEAD requests, so this one check covers every way of reading a file.
+        if not self.is_app_file():
+            self.send_error(404, 'File not found')
+            return None
+        return super().send_head()
+
+    def get_code(self):
+        """Returns the sync code from the request, or sends a 401 and returns None."""
+        code = get_sync_code(self.headers.get('Authorization'))
+        if code is None:
+            self.send_json(401, {'error': 'A valid sync code must be provided.'})
+        return code
+
+    def do_GET(self):
+        path = self.path.split('?')[0]
+        if path == '/api/state':
+            code = self.get_code()
+            if code is None:
+                return
+            record = store.get(code)
+            if record is None:
+                self.send_json(404, {'error': 'Nothing is stored under this sync code yet.'})
+            else:
+                self.send_json(200, {'revision': record['revision'], 'state': record['state']})
+        elif path.startswith('/api/'):
+            self.send_json(503, {'error': 'AI model is not available.'})
+        else:
+            super().do_GET()
+
+    def do_PUT(self):
+        if self.path.split('?')[0] != '/api/state':
+            self.send_json(404, {'error': 'Not found.'})
+            return
+        code = self.get_code()
+        if code is None:
+            return
+
+        length = int(self.headers.get('Content-Length') or 0)
+        if length > MAX_STATE_BYTES:
+            self.send_json(413, {'error': 'The game state is too large to sync.'})
+            return
+        try:
+            data = json.loads(self.rfile.read(length))
+        except json.JSONDecodeError:
+            data = None # Treated like Flask's 'get_json(silent=True)', so the error message is the same as app.py's.
+        try:
+            base_revision, state = parse_save_request(data)
+            revision = store.put(code, base_revision, state)
+        except ValueError as e:
+            self.send_json(400, {'error': str(e)})
+            return
+        except SyncConflict as conflict:
+            record = conflict.record
+            self.send_json(409, {
+                'error': 'The state was changed by another device.',
+                'revision': record['revision'] if record else 0,
+                'state': record['state'] if record else None,
+            })
+            return
+        self.send_json(200, {'revision': revision})
+
+    def do_POST(self):
+        # Every POST endpoint in app.py needs the AI, which this server doesn't have.
+        self.send_json(503, {'error': 'AI model is not available.'})
+
+
+if __name__ == '__main__':
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else 8000
+    server = ThreadingHTTPServer(('localhost', port), partial(StubHandler, directory=REPO_ROOT))
+    print(f"Questify stand-in server running at http://localhost:{port} (press Ctrl+C to stop)")
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
@@ -3,12 +3,15 @@
 # =================================
 
 import os
+import re
 import json
 import random
+from datetime import date
 import google.generativeai as genai
 from flask import Flask, request, jsonify
 from flask_cors import CORS
 from dotenv import load_dotenv
+from _sync_store import MAX_STATE_BYTES, SyncConflict, SyncUnavailable, create_sync_store, get_sync_code, parse_save_request
 
 # load_dotenv() reads the .env file and loads environment variables (like the API key)
 # into the application's environment. This is a secure way to handle secret keys.
@@ -47,7 +50,79 @@ except Exception as e:
 
 
 # =================================
-#  3. API ENDPOINTS
+#  3. QUEST RULES
+# =================================
+
+# XP is always assigned here on the server from the difficulty, never taken from the AI's response.
+# These are the default values (DEFAULT_XP_BY_DIFFICULTY in config.js). Players can change them on the settings page,
+# so the frontend gives each task it receives the player's own XP for its difficulty.
+XP_MAP = {"Easy": 20, "Medium": 35, "Hard": 50}
+
+# The allowed range for the number of tasks in a new quest. The frontend uses the same limits.
+MIN_TASKS = 1
+MAX_TASKS = 10
+
+# The longest context accepted. It matches the 'maxlength' of the "Context" field on the page.
+MAX_CONTEXT_LENGTH = 300
+
+# Repeating difficulty patterns for each "difficulty balance" option. 'any' lets the AI choose the difficulties itself.
+DIFFICULTY_MIXES = {
+    "balanced": ["Medium", "Easy", "Hard"],
+    "easier": ["Easy", "Easy", "Medium"],
+    "harder": ["Hard", "Hard", "Medium"],
+    "any": None,
+}
+
+
+def plan_difficulties(task_count, difficulty_mix):
+    """
+    Decides the difficulty of every task before the AI is asked, so the result always matches the chosen balance.
+    The pattern is repeated until there are enough tasks, then sorted from easiest to hardest so the quest ramps up.
+    Returns None when the AI should choose the difficulties itself.
+    """
+    pattern = DIFFICULTY_MIXES[difficulty_mix]
+    if pattern is None:
+        return None
+    planned = [pattern[i % len(pattern)] for i in range(task_count)]
+    return sorted(planned, key=list(XP_MAP).index)
+
+
+def is_valid_deadline(deadline):
+    """Checks that a deadline is a real date in the "YYYY-MM-DD" format the page's date picker sends."""
+    if not isinstance(deadline, str) or not re.fullmatch(r'\d{4}-\d{2}-\d{2}', deadline):
+        return False
+    try:
+        date.fromisoformat(deadline)
+    except ValueError:
+        return False
+    return True
+
+
+def is_valid_context(context):
+    """Checks that the user's extra context is text of a sensible length, since it is copied into the prompt."""
+    return isinstance(context, str) and len(context) <= MAX_CONTEXT_LENGTH
+
+
+# The languages the AI can write quests in. The keys match LOCALES in i18n.js.
+SUPPORTED_LANGUAGES = {"en": "English", "es": "Spanish"}
+
+
+def language_rule(locale):
+    """
+    Builds the prompt line that tells the AI which language to write in.
+    Only the text is translated; the JSON keys and the "Easy"/"Medium"/"Hard" values must stay in English so they can be checked.
+    """
+    return f'Write all quest and step text in {SUPPORTED_LANGUAGES[locale]}. Keep the JSON keys and any difficulty values in English.'
+
+
+# Where synced game states are kept: a Redis database (Vercel KV) when one is configured, otherwise a local file.
+# On Vercel without a database this is None and sync is turned away, because nothing on its disk survives a restart.
+# See create_sync_store() in _sync_store.py.
+sync_store = create_sync_store(os.environ)
+
+
+# =================================
+#  4. API ENDPOINTS
 # =================================
 
 # --- ENDPOINT 1: GENERATE THE INITIAL LIST OF QUESTS ---
@@ -62,21 +137,51 @@ def generate_quests_endpoint():
     # Get the JSON data sent from the frontend.
     data = request.get_json()
     goal = data.get('goal')
+    # The options are all optional; the defaults match what the app did before they existed.
+    task_count = data.get('task_count', 3)
+    difficulty_mix = data.get('difficulty_mix', 'balanced')
+    deadline = data.get('deadline')
+    context = data.get('context')
+    locale = data.get('locale', 'en')
 
     if not goal:
         return jsonify({'error': 'A goal must be provided.'}), 400 # 400 Bad Request
+    # 'bool' is a subclass of 'int' in Python, so it has to be ruled out separately.
+    if not isinstance(task_count, int) or isinstance(task_count, bool) or not MIN_TASKS <= task_count <= MAX_TASKS:
+        return jsonify({'error': f'The number of tasks must be between {MIN_TASKS} and {MAX_TASKS}.'}), 400
+    # A list or object would make the lookup raise TypeError (a 500), so anything but a string is rejected first.
+    if not isinstance(difficulty_mix, str) or difficulty_mix not in DIFFICULTY_MIXES:
+        return jsonify({'error': f'Unknown difficulty balance "{difficulty_mix}".'}), 400
+    if not isinstance(locale, str) or locale not in SUPPORTED_LANGUAGES:
+        return jsonify({'error': f'Unknown language "{locale}".'}), 400
+    if deadline is not None and not is_valid_deadline(deadline):
+        return jsonify({'error': 'The deadline must be a date in YYYY-MM-DD format.'}), 400
+    if context is not None and not is_valid_context(context):
+        return jsonify({'error': f'The context must be text of at most {MAX_CONTEXT_LENGTH} characters.'}), 400
+
+    planned_difficulties = plan_difficulties(task_count, difficulty_mix)
+    if planned_difficulties is None:
+        difficulty_rule = 'Each object must have a "difficulty" key that is ONLY one of "Easy", "Medium", or "Hard".'
+    else:
+        difficulty_rule = f'The quests MUST have these difficulties, in this order: {json.dumps(planned_difficulties)}. Each object must have a "difficulty" key with that value.'
+
+    # The deadline and context are only mentioned when the user provided them.
+    extra_details = ""
+    if deadline:
+        extra_details += f'\n    Deadline: the goal must be achieved by {deadline}. Plan the quests so they fit before this date.'
+    if context:
+        extra_details += f'\n    Extra context from the user: "{context}"'
 
     # This multi-line string is the prompt that will be sent to the AI.
     # It's carefully engineered to command the AI to return data in a specific JSON format.
     prompt = f"""
-    You are a productivity assistant for a gamified app. Break down the user's goal into exactly 3 actionable mini-quests.
-    The response MUST be a valid JSON object with a single key "quests" which holds a list of 3 quest objects.
-    Each object must have exactly three keys:
-    1. "text": A string containing the quest description. The description must be concise and actionable, ideally a single sentence (2 sentences maximum).
-    2. "difficulty": A string that is ONLY one of "Easy", "Medium", or "Hard".
-    3. "xp": An integer representing the reward. Assign 20 for "Easy", 35 for "Medium", or 50 for "Hard".
+    You are a productivity assistant for a gamified app. Break down the user's goal into exactly {task_count} actionable mini-quests.
+    The response MUST be a valid JSON object with a single key "quests" which holds a list of {task_count} quest objects.
+    Each object must have a "text" key containing the quest description. The description must be concise and actionable, ideally a single sentence (2 sentences maximum).
+    {difficulty_rule}
+    {language_rule(locale)}
     Do not add any other text, explanations, or markdown.
-    User Goal: "{goal}"
+    User Goal: "{goal}"{extra_details}
     """
     try:
         # Sends the prompt to the AI model and gets the response.
@@ -85,11 +190,21 @@ def generate_quests_endpoint():
         response_text = response.text.strip().replace('```json', '').replace('```', '').strip()
         data = json.loads(response_text)
         quests = data.get("quests", [])
-        
-        # A simple validation to ensure the AI's response matches the expected structure.
-        if len(quests) != 3 or not all('text' in q and 'xp' in q for q in quests):
-             raise ValueError("AI did not return the correct data structure.")
-        
+
+        # Validates that the AI returned the requested number of quests, each with some text.
+        if len(quests) != task_count or not all(isinstance(q, dict) and isinstance(q.get('text'), str) and q['text'].strip() for q in quests):
+            raise ValueError("AI did not return the correct data structure.")
+
+        # When the AI chose the difficulties, they still have to be valid.
+        difficulties = planned_difficulties or [q.get('difficulty') for q in quests]
+        if not all(d in XP_MAP for d in difficulties):
+            raise ValueError("AI returned an invalid difficulty.")
+
+        # Rebuilds every quest with the server's difficulty and XP, just like the refresh endpoint does.
+        quests = [
+            {"text": q['text'].strip(), "difficulty": difficulty, "xp": XP_MAP[difficulty]}
+            for q, difficulty in zip(quests, difficulties)
+        ]
         return jsonify({'quests': quests})
     except Exception as e:
         print(f"An error occurred during quest generation: {e}")
@@ -106,17 +221,21 @@ def refresh_quest_endpoint():
     data = request.get_json()
     goal = data.get('goal')
     existing_quests = data.get('existing_quests', [])
-    
+    context = data.get('context')
+    locale = data.get('locale', 'en')
+
     if not goal or not existing_quests:
         return jsonify({'error': 'Missing required data for refresh.'}), 400
+    if not isinstance(locale, str) or locale not in SUPPORTED_LANGUAGES:
+        return jsonify({'error': f'Unknown language "{locale}".'}), 400
+    if context is not None and not is_valid_context(context):
+        return jsonify({'error': f'The context must be text of at most {MAX_CONTEXT_LENGTH} characters.'}), 400
 
     # This logic uses Python's 'random' library to ensure a truly random difficulty selection,
     # rather than relying on the AI to be random.
     difficulties = ["Easy", "Medium", "Hard"]
     chosen_difficulty = random.choice(difficulties)
-    
-    xp_map = {"Easy": 20, "Medium": 35, "Hard": 50}
-    chosen_xp = xp_map[chosen_difficulty]
+    chosen_xp = XP_MAP[chosen_difficulty]
     
     # Extracts just the text of existing quests to tell the AI what to avoid repeating.
     existing_quest_texts = [q.get('text') for q in existing_quests if q.get('text')]
@@ -130,11 +249,15 @@ def refresh_quest_endpoint():
     The new quest MUST NOT be similar to any of the quests in the "existing_quests" list.
 
     The response MUST be a single, valid JSON object. It must have a "text" key containing the quest description.
+    {language_rule(locale)}
     Do not add any other text, explanations, or markdown.
 
     User's Main Goal: "{goal}"
     Existing Quests (do not repeat these): {json.dumps(existing_quest_texts)}
     """
+    # The context the user gave when creating the quest is passed along, so the replacement fits it too.
+    if context:
+        prompt += f'Extra context from the user: "{context}"\n'
     try:
         response = model.generate_content(prompt)
         response_text = response.text.strip().replace('```json', '').replace('```', '').strip()
@@ -154,8 +277,143 @@ def refresh_quest_endpoint():
         return jsonify({'error': 'Failed to generate refreshed quest.'}), 500
 
 
+# --- ENDPOINT 3: BREAK A TASK DOWN INTO SUB-STEPS ---
+# Defines the route for splitting one task into smaller, sequential sub-steps.
+# The sub-steps only need text; the frontend divides the parent task's XP between them.
+@app.route('/api/break-down-task', methods=['POST'])
+def break_down_task_endpoint():
+    if model is None:
+        return jsonify({"error": "AI model is not available."}), 503
+
+    data = request.get_json()
+    goal = data.get('goal')
+    task_text = data.get('task')
+    existing_steps = data.get('existing_steps', [])
+    locale = data.get('locale', 'en')
+
+    if not goal or not task_text:
+        return jsonify({'error': 'A goal and a task must be provided.'}), 400
+    if not isinstance(locale, str) or locale not in SUPPORTED_LANGUAGES:
+        return jsonify({'error': f'Unknown language "{locale}".'}), 400
+
+    prompt = f"""
+    You are a productivity assistant. Break the user's task down into 2 to 5 small, sequential steps.
+    Each step MUST be concise and actionable, a single short sentence.
+    The steps MUST NOT repeat any of the steps in the "existing_steps" list.
+
+    The response MUST be a valid JSON object with a single key "steps" which holds a list of strings, in the order they should be done.
+    {language_rule(locale)}
+    Do not add any other text, explanations, or markdown.
+
+    User's Main Goal: "{goal}"
+    Task to break down: "{task_text}"
+    Existing Steps (do not repeat these): {json.dumps(existing_steps)}
+    """
+    try:
+        response = model.generate_content(prompt)
+        response_text = response.text.strip().replace('```json', '').replace('```', '').strip()
+        steps = json.loads(response_text).get("steps", [])
+
+        # Checks the AI returned between 2 and 5 non-empty strings.
+        if not 2 <= len(steps) <= 5 or not all(isinstance(s, str) and s.strip() for s in steps):
+            raise ValueError("AI did not return the correct data structure.")
+
+        return jsonify({'steps': [s.strip() for s in steps]})
+    except Exception as e:
+        print(f"An error occurred during task breakdown: {e}")
+        return jsonify({'error': 'Failed to break down task.'}), 500
+
+
+# --- ENDPOINT 4: REWORD THE TASKS OF A RECURRING QUEST ---
+# Defines the route for giving a habit's tasks fresh wording at the start of each cycle, so the habit doesn't get stale.
+# Only the text changes; the frontend keeps each task's difficulty and XP.
+@app.route('/api/reword-tasks', methods=['POST'])
+def reword_tasks_endpoint():
+    if model is None:
+        return jsonify({"error": "AI model is not available."}), 503
+
+    data = request.get_json()
+    goal = data.get('goal')
+    tasks = data.get('tasks', [])
+    locale = data.get('locale', 'en')
+
+    if not goal or not tasks or not all(isinstance(t, str) for t in tasks):
+        return jsonify({'error': 'A goal and a list of tasks must be provided.'}), 400
+    if not isinstance(locale, str) or locale not in SUPPORTED_LANGUAGES:
+        return jsonify({'error': f'Unknown language "{locale}".'}), 400
+
+    prompt = f"""
+    You are a productivity assistant. The user repeats the tasks below as a habit, and wants them worded differently this time so they feel fresh.
+    Rewrite each task so it means the same thing and takes the same effort, but uses different wording.
+    Each task MUST stay concise and actionable, ideally a single sentence.
+
+    The response MUST be a valid JSON object with a single key "tasks" which holds a list of exactly {len(tasks)} strings, in the same order as the original tasks.
+    {language_rule(locale)}
+    Do not add any other text, explanations, or markdown.
+
+    User's Habit: "{goal}"
+    Original Tasks: {json.dumps(tasks)}
+    """
+    try:
+        response = model.generate_content(prompt)
+        response_text = response.text.strip().replace('```json', '').replace('```', '').strip()
+        reworded = json.loads(response_text).get("tasks", [])
+
+        # Checks the AI returned one non-empty string for every original task.
+        if len(reworded) != len(tasks) or not all(isinstance(t, str) and t.strip() for t in reworded):
+            raise ValueError("AI did not return the correct data structure.")
+
+        return jsonify({'tasks': [t.strip() for t in reworded]})
+    except Exception as e:
+        print(f"An error occurred while rewording tasks: {e}")
+        return jsonify({'error': 'Failed to reword tasks.'}), 500
+
+
+# --- ENDPOINT 5: CLOUD SYNC ---
+# Defines the route the sync client (sync.js) uses to download and upload a player's game state.
+# The sync code is sent in the 'Authorization' header, so it never shows up in server logs as part of the URL.
+# It doesn't use the AI, so it works even when the model is unavailable.
+@app.route('/api/state', methods=['GET', 'PUT'])
+def state_endpoint():
+    code = get_sync_code(request.headers.get('Authorization'))
+    if code is None:
+        return jsonify({'error': 'A valid sync code must be provided.'}), 401 # 401 Unauthorized
+    if sync_store is None:
+        return jsonify({'error': 'Cloud sync is not set up on this server.'}), 503 # 503 Service Unavailable
+
+    if request.method == 'GET':
+        try:
+            record = sync_store.get(code)
+        except SyncUnavailable as e:
+            print(f"Error reading synced state: {e}")
+            return jsonify({'error': 'Cloud sync is temporarily unavailable.'}), 503
+        if record is None:
+            return jsonify({'error': 'Nothing is stored under this sync code yet.'}), 404
+        return jsonify({'revision': record['revision'], 'state': record['state']})
+
+    if request.content_length is not None and request.content_length > MAX_STATE_BYTES:
+        return jsonify({'error': 'The game state is too large to sync.'}), 413 # 413 Payload Too Large
+    try:
+        base_revision, state = parse_save_request(request.get_json(silent=True))
+        revision = sync_store.put(code, base_revision, state)
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
+    except SyncUnavailable as e:
+        print(f"Error saving synced state: {e}")
+        return jsonify({'error': 'Cloud sync is temporarily unavailable.'}), 503
+    except SyncConflict as conflict:
+        # The client merges the newer state it is sent here, then tries again with its revision.
+        record = conflict.record
+        return jsonify({
+            'error': 'The state was changed by another device.',
+            'revision': record['revision'] if record else 0,
+            'state': record['state'] if record else None,
+        }), 409 # 409 Conflict
+    return jsonify({'revision': revision})
+
+
 # =================================
-#  4. APPLICATION RUNNER
+#  5. APPLICATION RUNNER
 # =================================
 
 # This standard Python construct ensures that the Flask development server is only run
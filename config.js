@@ -0,0 +1,194 @@
+// This file contains the game rules the player can change on the settings page: how much XP each level needs,
+// how much XP tasks and finished quests are worth, how long a focus session lasts (see focus-timer.js) and what it pays,
+// and whether the app asks before deleting things and plays sounds.
+// The chosen values are saved in the state's 'settings' (see state.js), so each profile has its own.
+// The level is never saved separately from the XP history, so switching to another curve simply recalculates it
+// from all the XP ever earned, and nobody loses progress.
+// It is shared by every page, and must be loaded before state.js, which uses DEFAULT_CONFIG for its default settings.
+const QuestifyConfig = (() => {
+
+    const CURVES = ['linear', 'exponential', 'custom'];
+
+    // The values the app used before they could be changed. The AI backend (api/app.py) still sends these, and script.js
+    // replaces them with the player's own values for every task it receives.
+    const DEFAULT_XP_BY_DIFFICULTY = { Easy: 20, Medium: 35, Hard: 50 };
+
+    // 'base' is the XP needed to finish level 1. A linear curve adds 'step' for every further level, an exponential one
+    // multiplies by 'growth', and a custom curve reads each level from 'table' (levels past its end repeat the last entry).
+    const DEFAULT_CONFIG = {
+        xpCurve: { type: 'linear', base: 100, step: 20, growth: 1.15, table: [100, 150, 200, 300, 400, 500] },
+        xpByDifficulty: { ...DEFAULT_XP_BY_DIFFICULTY },
+        goalBonus: 75,
+        focusMinutes: 25, // The classic Pomodoro length.
+        focusXp: 5, // Kept small, so the timer rewards steady work without out-earning the tasks themselves.
+        confirmDialogs: true,
+        soundsEnabled: false,
+    };
+
+    // The allowed range of every number, used both to check the form and to repair a damaged save.
+    const LIMITS = {
+        base: { min: 10, max: 100000 },
+        step: { min: 0, max: 100000 },
+        growth: { min: 1.01, max: 2 },
+        tableEntry: { min: 10, max: 1000000 },
+        taskXp: { min: 1, max: 1000 },
+        goalBonus: { min: 0, max: 10000 },
+        focusMinutes: { min: 1, max: 120 },
+        focusXp: { min: 0, max: 1000 },
+    };
+    const MAX_TABLE_LENGTH = 100;
+
+    // Each sound is a short run of notes (in hertz), played with the Web Audio API so no sound files are needed.
+    const SOUNDS = {
+        task: [660, 880],
+        goal: [523, 659, 784, 1047],
+        levelUp: [392, 523, 659, 784],
+        purchase: [988, 1319],
+        focus: [784, 784, 1047],
+    };
+    const NOTE_LENGTH = 0.09; // Seconds per note.
+
+    let audioContext = null; // Created on the first sound, because browsers only allow audio after the user has interacted.
+
+    /**
+     * Checks whether a value is a number within one of the LIMITS.
+     * @param {*} value The value to check.
+     * @param {object} limit The 'min' and 'max' allowed.
+     * @returns {boolean} True if the value is allowed.
+     */
+    function isWithin(value, limit) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= limit.min && value <= limit.max;
+    }
+
+    /**
+     * Checks the saved game rules. Each invalid or missing value falls back to its default, so a damaged save still works.
+     * @param {object} settings The saved settings.
+     * @returns {object} Valid 'xpCurve', 'xpByDifficulty', 'goalBonus', 'focusMinutes', 'focusXp', 'confirmDialogs' and 'soundsEnabled'.
+     */
+    function validate(settings) {
+        const source = settings && typeof settings === 'object' ? settings : {};
+        const curve = source.xpCurve && typeof source.xpCurve === 'object' ? source.xpCurve : {};
+        const defaults = DEFAULT_CONFIG.xpCurve;
+        const pick = (value, limit, fallback) => (isWithin(value, limit) ? value : fallback);
+        const isValidTable = Array.isArray(curve.table) && curve.table.length > 0 && curve.table.length <= MAX_TABLE_LENGTH
+            && curve.table.every(xp => Number.isInteger(xp) && isWithin(xp, LIMITS.tableEntry));
+        const xpByDifficulty = source.xpByDifficulty && typeof source.xpByDifficulty === 'object' ? source.xpByDifficulty : {};
+
+        return {
+            xpCurve: {
+                type: CURVES.includes(curve.type) ? curve.type : defaults.type,
+                base: pick(curve.base, LIMITS.base, defaults.base),
+                step: pick(curve.step, LIMITS.step, defaults.step),
+                growth: pick(curve.growth, LIMITS.growth, defaults.growth),
+                table: isValidTable ? curve.table : [...defaults.table],
+            },
+            xpByDifficulty: Object.fromEntries(Object.entries(DEFAULT_XP_BY_DIFFICULTY)
+                .map(([difficulty, xp]) => [difficulty, pick(xpByDifficulty[difficulty], LIMITS.taskXp, xp)])),
+            goalBonus: pick(source.goalBonus, LIMITS.goalBonus, DEFAULT_CONFIG.goalBonus),
+            focusMinutes: pick(source.focusMinutes, LIMITS.focusMinutes, DEFAULT_CONFIG.focusMinutes),
+            focusXp: pick(source.focusXp, LIMITS.focusXp, DEFAULT_CONFIG.focusXp),
+            confirmDialogs: source.confirmDialogs === undefined ? DEFAULT_CONFIG.confirmDialogs : Boolean(source.confirmDialogs),
+            soundsEnabled: Boolean(source.soundsEnabled),
+        };
+    }
+
+    /**
+     * Reads a whole number typed into the settings form. Each problem throws an Error whose message is shown to the user.
+     * @param {string} text The number as typed.
+     * @param {object} limit The 'min' and 'max' allowed.
+     * @param {string} label What the number is, for the error message (already translated).
+     * @returns {number} The number.
+     */
+    function parseWholeNumber(text, limit, label) {
+        const value = Number(String(text).trim());
+        if (String(text).trim() === '' || !Number.isInteger(value) || !isWithin(value, limit)) {
+            throw new Error(QuestifyI18n.t('settings.errorWholeNumber', { label: label, min: limit.min, max: limit.max }));
+        }
+        return value;
+    }
+
+    /**
+     * Reads a custom XP table typed as a list of numbers, e.g. "100, 150, 250".
+     * @param {string} text The table as typed.
+     * @returns {Array} The XP needed for each level, in order.
+     */
+    function parseTable(text) {
+        const entries = String(text).split(/[\s,;]+/).filter(Boolean);
+        if (entries.length === 0) {
+            throw new Error(QuestifyI18n.t('settings.errorTableEmpty'));
+        }
+        if (entries.length > MAX_TABLE_LENGTH) {
+            throw new Error(QuestifyI18n.t('settings.errorTableTooLong', { max: MAX_TABLE_LENGTH }));
+        }
+        return entries.map((entry, index) => parseWholeNumber(entry, LIMITS.tableEntry, QuestifyI18n.t('settings.labelTableEntry', { level: index + 1 })));
+    }
+
+    /**
+     * Returns the XP needed to finish a level on a curve.
+     * @param {object} curve An 'xpCurve' from the settings.
+     * @param {number} level The level, starting at 1.
+     * @returns {number} The XP needed to finish that level.
+     */
+    function getXpForLevel(curve, level) {
+        switch (curve.type) {
+            case 'exponential':
+                return Math.round(curve.base * Math.pow(curve.growth, level - 1));
+            case 'custom':
+                return curve.table[Math.min(level, curve.table.length) - 1];
+            default:
+                return curve.base + ((level - 1) * curve.step);
+        }
+    }
+
+    /**
+     * Asks the player to confirm an action, unless they turned confirmations off on the settings page.
+     * @param {object} settings The player's settings.
+     * @param {string} message The question to ask.
+     * @returns {boolean} True if the action should go ahead.
+     */
+    function confirmAction(settings, message) {
+        return !settings.confirmDialogs || confirm(message);
+    }
+
+    /**
+     * Plays one of the SOUNDS, if the player turned sounds on. Browsers without the Web Audio API simply stay silent.
+     * @param {object} settings The player's settings.
+     * @param {string} name A key of SOUNDS.
+     */
+    function playSound(settings, name) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!settings.soundsEnabled || !AudioContextClass) return;
+        try {
+            audioContext = audioContext || new AudioContextClass();
+            const start = audioContext.currentTime;
+            SOUNDS[name].forEach((frequency, index) => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                const noteStart = start + index * NOTE_LENGTH;
+                oscillator.type = 'square'; // A retro, 8-bit sound to match the pixel font.
+                oscillator.frequency.value = frequency;
+                // The note fades out quickly, so it sounds like a blip rather than a beep.
+                gain.gain.setValueAtTime(0.08, noteStart);
+                gain.gain.exponentialRampToValueAtTime(0.001, noteStart + NOTE_LENGTH);
+                oscillator.connect(gain).connect(audioContext.destination);
+                oscillator.start(noteStart);
+                oscillator.stop(noteStart + NOTE_LENGTH);
+            });
+        } catch (error) {
+            console.error('Could not play a sound:', error);
+        }
+    }
+
+    return {
+        CURVES,
+        DEFAULT_XP_BY_DIFFICULTY,
+        DEFAULT_CONFIG,
+        LIMITS,
+        validate,
+        parseWholeNumber,
+        parseTable,
+        getXpForLevel,
+        confirmAction,
+        playSound,
+    };
+})();
@@ -1,69 +1,401 @@
 // This event listener ensures the script runs only after the dashboard.html page is fully loaded.
 document.addEventListener('DOMContentLoaded', () => {
 
+    // Looks up the text shown to the player in the chosen language (see i18n.js).
+    const { t, formatNumber, formatDate } = QuestifyI18n;
+
     // Get references to the HTML elements where the stats will be displayed.
     const levelStatEl = document.getElementById('level-stat');
     const questsCompletedStatEl = document.getElementById('quests-completed-stat');
     const tasksCompletedStatEl = document.getElementById('tasks-completed-stat');
     const totalXpStatEl = document.getElementById('total-xp-stat');
+    const currentStreakStatEl = document.getElementById('current-streak-stat');
+    const bestStreakStatEl = document.getElementById('best-streak-stat');
+    const xpPerDayChartEl = document.getElementById('xp-per-day-chart');
+    const tasksPerWeekChartEl = document.getElementById('tasks-per-week-chart');
+    const trophyGridEl = document.getElementById('trophy-grid');
+    const habitListEl = document.getElementById('habit-list');
+    const goldStatEl = document.getElementById('gold-stat');
+    const purchaseListEl = document.getElementById('purchase-list');
+    const focusDifficultyListEl = document.getElementById('focus-difficulty-list');
+    const focusQuestSectionEl = document.getElementById('focus-quest-section');
+    const focusQuestListEl = document.getElementById('focus-quest-list');
+
+    const DAYS_IN_XP_CHART = 14; // How many days of history the "XP per Day" chart shows.
+    const WEEKS_IN_TASKS_CHART = 8; // How many weeks of history the "Tasks per Week" chart shows.
+    const WEEKS_IN_HEATMAP = 12; // How many weeks of history each habit heatmap shows.
+    const MAX_FOCUS_QUESTS = 10; // How many quests the "Focus Time" list shows, most time first.
+    // Chart labels only show the day and month, in the order the player's language uses (e.g. "3/14" or "14/3").
+    const CHART_DATE_FORMAT = { month: 'numeric', day: 'numeric' };
 
     /**
-     * Calculates the XP needed for a given level based on the scaling formula.
-     * This function is duplicated from the main script to make this file self-contained.
-     * @param {number} level The level to calculate the cost for.
-     * @returns {number} The XP required to complete that level.
+     * Returns a copy of the given date set to local midnight, so days are grouped in the user's own timezone.
+     * @param {Date} date The date to round down.
+     * @returns {Date} Midnight at the start of that day.
      */
-    function getXpForLevel(level) {
-        return 100 + ((level - 1) * 20);
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
     }
 
     /**
-     * Reads the saved state from Local Storage, calculates all necessary stats, and displays them.
+     * Returns local midnight on the Monday of the week containing the given date.
+     * @param {Date} date Any date within the week.
+     * @returns {Date} Midnight at the start of that week.
      */
-    function loadAndDisplayStats() {
-        // Retrieve the saved data string from Local Storage.
-        const savedStateJSON = localStorage.getItem('questifyGameState');
-        
-        // If no saved data exists, display default values.
-        if (!savedStateJSON) {
-            levelStatEl.textContent = '1';
-            questsCompletedStatEl.textContent = '0';
-            tasksCompletedStatEl.textContent = '0';
-            totalXpStatEl.textContent = '0';
+    function startOfWeek(date) {
+        const day = startOfDay(date);
+        const daysSinceMonday = (day.getDay() + 6) % 7; // getDay() returns 0 for Sunday.
+        day.setDate(day.getDate() - daysSinceMonday);
+        return day;
+    }
+
+    /**
+     * Sums a value from the event log into consecutive time buckets ending with the current one.
+     * @param {Array} events The event log.
+     * @param {number} bucketCount How many buckets to return.
+     * @param {function} getBucketStart Rounds a date down to the start of its bucket.
+     * @param {function} stepBack Returns the start of the bucket before the given one.
+     * @param {function} valueOf Returns how much an event adds to its bucket.
+     * @returns {Array} A list of { start, value } objects, oldest first.
+     */
+    function bucketEvents(events, bucketCount, getBucketStart, stepBack, valueOf) {
+        const buckets = [];
+        let start = getBucketStart(new Date());
+        for (let i = 0; i < bucketCount; i++) {
+            buckets.unshift({ start: start, value: 0 });
+            start = stepBack(start);
+        }
+
+        events.forEach(event => {
+            const bucketStart = getBucketStart(new Date(event.timestamp)).getTime();
+            const bucket = buckets.find(b => b.start.getTime() === bucketStart);
+            if (bucket) {
+                bucket.value += valueOf(event);
+            }
+        });
+        return buckets;
+    }
+
+    /**
+     * Renders a simple bar chart made of plain divs, so no charting library is needed.
+     * @param {HTMLElement} container The element to draw the chart into.
+     * @param {Array} data A list of { label, value } objects.
+     * @param {string} tooltipKey The i18n.js message shown in each bar's tooltip, e.g. 'dashboard.xpTooltip'.
+     */
+    function renderBarChart(container, data, tooltipKey) {
+        container.innerHTML = '';
+        const maxValue = Math.max(...data.map(d => d.value), 1); // At least 1 to avoid dividing by zero.
+
+        data.forEach(d => {
+            const column = document.createElement('div');
+            column.className = 'chart-column';
+            column.title = t(tooltipKey, { label: d.label, count: d.value });
+
+            const bar = document.createElement('div');
+            bar.className = 'chart-bar';
+            bar.style.height = `${(d.value / maxValue) * 100}%`;
+
+            const label = document.createElement('span');
+            label.className = 'chart-label';
+            label.textContent = d.label;
+
+            column.appendChild(bar);
+            column.appendChild(label);
+            container.appendChild(column);
+        });
+    }
+
+    /**
+     * Draws the "XP per Day" and "Tasks per Week" charts from the event log.
+     * The 'legacy_progress' entry is skipped because its XP wasn't really earned on the day it was created.
+     * @param {Array} events The event log.
+     */
+    function renderCharts(events) {
+        const datedEvents = events.filter(e => e.type !== 'legacy_progress');
+
+        const xpPerDay = bucketEvents(datedEvents, DAYS_IN_XP_CHART, startOfDay,
+            start => new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1),
+            event => event.xp || 0);
+        renderBarChart(xpPerDayChartEl, xpPerDay.map(b => ({
+            label: formatDate(b.start, CHART_DATE_FORMAT),
+            value: b.value,
+        })), 'dashboard.xpTooltip');
+
+        const tasksPerWeek = bucketEvents(datedEvents, WEEKS_IN_TASKS_CHART, startOfWeek,
+            start => new Date(start.getFullYear(), start.getMonth(), start.getDate() - 7),
+            event => (event.type === 'task_completed' ? 1 : 0));
+        renderBarChart(tasksPerWeekChartEl, tasksPerWeek.map(b => ({
+            label: formatDate(b.start, CHART_DATE_FORMAT),
+            value: b.value,
+        })), 'dashboard.tasksTooltip');
+    }
+
+    /**
+     * Fills the trophy case with every achievement. Earned ones show the date they were unlocked; the rest appear locked.
+     * @param {object} unlocked The saved achievements, keyed by achievement id.
+     */
+    function renderTrophyCase(unlocked) {
+        trophyGridEl.innerHTML = '';
+
+        QuestifyAchievements.ACHIEVEMENTS.forEach(achievement => {
+            const record = unlocked[achievement.id];
+
+            const trophy = document.createElement('div');
+            trophy.className = 'trophy';
+            if (!record) {
+                trophy.classList.add('locked');
+            }
+
+            const icon = document.createElement('div');
+            icon.className = 'trophy-icon';
+            icon.textContent = record ? achievement.icon : '🔒';
+
+            const title = document.createElement('div');
+            title.className = 'trophy-title';
+            title.textContent = t(`achievement.${achievement.id}.title`);
+
+            const description = document.createElement('div');
+            description.className = 'trophy-description';
+            description.textContent = t(`achievement.${achievement.id}.description`);
+
+            const date = document.createElement('div');
+            date.className = 'trophy-date';
+            date.textContent = record ? t('dashboard.earned', { date: formatDate(record.unlockedAt) }) : t('dashboard.locked');
+
+            trophy.appendChild(icon);
+            trophy.appendChild(title);
+            trophy.appendChild(description);
+            trophy.appendChild(date);
+            trophyGridEl.appendChild(trophy);
+        });
+    }
+
+    /**
+     * Builds a calendar heatmap for one habit: one column per week and one row per weekday, Monday at the top.
+     * Each day on which a cycle was finished is highlighted.
+     * @param {object} quest A quest with a 'history' of finished cycles.
+     * @returns {HTMLElement} The heatmap grid.
+     */
+    function createHeatmap(quest) {
+        const completedDays = new Set(quest.history.map(entry => entry.completedOn));
+        const today = startOfDay(new Date());
+        const firstDay = startOfWeek(today);
+        firstDay.setDate(firstDay.getDate() - (WEEKS_IN_HEATMAP - 1) * 7);
+
+        const grid = document.createElement('div');
+        grid.className = 'heatmap';
+        // The grid fills column by column (see 'grid-auto-flow' in style.css), so the days can simply be added in order.
+        for (let i = 0; i < WEEKS_IN_HEATMAP * 7; i++) {
+            const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+            const dayKey = QuestifyStreaks.getDayKey(day);
+            const isDone = completedDays.has(dayKey);
+
+            const cell = document.createElement('div');
+            cell.className = 'heatmap-cell';
+            if (isDone) {
+                cell.classList.add('done');
+            }
+            if (day > today) {
+                cell.classList.add('future');
+            }
+            cell.title = isDone ? t('dashboard.dayDone', { date: formatDate(day) }) : formatDate(day);
+            grid.appendChild(cell);
+        }
+        return grid;
+    }
+
+    /**
+     * Lists every recurring quest with its heatmap. Quests that used to repeat keep their history, so they are shown too.
+     * @param {Array} quests All quests.
+     */
+    function renderHabits(quests) {
+        habitListEl.innerHTML = '';
+        const habits = quests.filter(q => q.recurrence || (q.history && q.history.length > 0));
+        if (habits.length === 0) {
+            habitListEl.innerHTML = `<p style="color: #888; text-align: center;">${t('dashboard.noHabits')}</p>`;
             return;
         }
 
-        // Parse the JSON string back into a JavaScript object.
-        const state = JSON.parse(savedStateJSON);
-        const player = state.player || { level: 1, xp: 0 };
-        const quests = state.quests || [];
+        habits.forEach(quest => {
+            const card = document.createElement('div');
+            card.className = 'habit-card';
 
-        // --- STAT CALCULATIONS ---
+            const title = document.createElement('div');
+            title.className = 'habit-title';
+            title.textContent = quest.goal;
+
+            const summary = document.createElement('div');
+            summary.className = 'habit-summary';
+            const schedule = quest.recurrence ? t(`cadence.${quest.recurrence.cadence}`) : t('dashboard.noLongerRepeats');
+            summary.textContent = t('dashboard.habitSummary', { schedule: schedule, count: quest.history.length });
+
+            card.appendChild(title);
+            card.appendChild(summary);
+            card.appendChild(createHeatmap(quest));
+            habitListEl.appendChild(card);
+        });
+    }
+
+    /**
+     * Lists every reward bought in the shop, newest first. Refunded purchases stay in the list, marked as refunded.
+     * @param {Array} events The event log.
+     */
+    function renderPurchases(events) {
+        purchaseListEl.innerHTML = '';
+        const purchases = QuestifyRewards.getPurchases(events);
+        if (purchases.length === 0) {
+            purchaseListEl.innerHTML = `<p style="color: #888; text-align: center;">${t('dashboard.noPurchases')}</p>`;
+            return;
+        }
 
-        // 1. Quests Completed: Filter the quests array for items where 'isComplete' is true.
-        const questsCompleted = quests.filter(q => q.isComplete).length;
-
-        // 2. Tasks Completed: Use 'reduce' to iterate through all quests and sum up their completed tasks.
-        const tasksCompleted = quests.reduce((total, quest) => {
-            const completedInThisQuest = quest.tasks.filter(task => task.completed).length;
-            return total + completedInThisQuest;
-        }, 0);
-        
-        // 3. Lifetime XP: Calculate the XP from all previous levels, then add the current XP.
-        let xpFromPreviousLevels = 0;
-        for (let i = 1; i < player.level; i++) {
-            xpFromPreviousLevels += getXpForLevel(i);
+        purchases.forEach(purchase => {
+            const row = document.createElement('div');
+            row.className = 'purchase-row';
+            row.classList.toggle('refunded', Boolean(purchase.refundedAt));
+
+            const name = document.createElement('span');
+            name.className = 'purchase-name';
+            name.textContent = purchase.rewardName;
+
+            const details = document.createElement('span');
+            details.className = 'purchase-details';
+            details.textContent = t('shop.purchaseDetails', { cost: purchase.cost, date: formatDate(purchase.timestamp) })
+                + (purchase.refundedAt ? t('shop.refunded') : '');
+
+            row.appendChild(name);
+            row.appendChild(details);
+            purchaseListEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Shows the time tracked with the focus timer. Each difficulty gets a bar for the average time spent per task,
+     * so it's easy to see whether Hard tasks really take longer, and the quests with the most time are listed below.
+     * @param {Array} events The event log.
+     * @param {Array} quests All quests.
+     */
+    function renderFocusTime(events, quests) {
+        focusDifficultyListEl.innerHTML = '';
+        focusQuestListEl.innerHTML = '';
+        const byDifficulty = QuestifyFocus.getTimeByDifficulty(events);
+        if (Object.values(byDifficulty).every(total => total.tasks === 0)) {
+            focusDifficultyListEl.innerHTML = `<p style="color: #888; text-align: center;">${t('dashboard.noFocus')}</p>`;
+            focusQuestSectionEl.hidden = true;
+            return;
         }
-        const totalLifetimeXp = xpFromPreviousLevels + player.xp;
+
+        const averages = Object.fromEntries(Object.entries(byDifficulty)
+            .map(([difficulty, total]) => [difficulty, total.tasks > 0 ? total.time / total.tasks : 0]));
+        const maxAverage = Math.max(...Object.values(averages), 1); // At least 1 to avoid dividing by zero.
+        Object.entries(byDifficulty).forEach(([difficulty, total]) => {
+            const row = document.createElement('div');
+            row.className = 'focus-row';
+
+            const badge = document.createElement('span');
+            badge.className = `difficulty-badge difficulty-${difficulty.toLowerCase()}`;
+            badge.textContent = t(`difficulty.${difficulty}`);
+
+            const track = document.createElement('div');
+            track.className = 'focus-bar-track';
+            const bar = document.createElement('div');
+            bar.className = 'focus-bar';
+            bar.style.width = `${(averages[difficulty] / maxAverage) * 100}%`;
+            track.appendChild(bar);
+
+            const details = document.createElement('span');
+            details.className = 'focus-details';
+            details.textContent = total.tasks > 0
+                ? t('dashboard.focusDifficultyDetails', {
+                    average: QuestifyFocus.formatDuration(averages[difficulty]),
+                    total: QuestifyFocus.formatDuration(total.time),
+                    count: total.tasks,
+                })
+                : t('dashboard.focusNone');
+
+            row.appendChild(badge);
+            row.appendChild(track);
+            row.appendChild(details);
+            focusDifficultyListEl.appendChild(row);
+        });
+
+        // Deleted quests have no name left to show, so only the quests still in the log are listed. Their time still counts above.
+        const byQuest = QuestifyFocus.getTimeByQuest(events);
+        const rankedQuests = quests
+            .filter(quest => byQuest.has(quest.id))
+            .sort((a, b) => byQuest.get(b.id) - byQuest.get(a.id))
+            .slice(0, MAX_FOCUS_QUESTS);
+        focusQuestSectionEl.hidden = rankedQuests.length === 0;
+        rankedQuests.forEach(quest => {
+            const row = document.createElement('div');
+            row.className = 'focus-row';
+
+            const name = document.createElement('span');
+            name.className = 'focus-quest-name';
+            name.textContent = quest.goal;
+
+            const time = document.createElement('span');
+            time.className = 'focus-details';
+            time.textContent = QuestifyFocus.formatDuration(byQuest.get(quest.id));
+
+            row.appendChild(name);
+            row.appendChild(time);
+            focusQuestListEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Reads the saved state, calculates all necessary stats, and displays them.
+     */
+    function loadAndDisplayStats() {
+        // The shared state module upgrades old saves and falls back to a fresh state if nothing is saved yet.
+        const state = QuestifyState.load().state;
+        const player = state.player;
+        const events = state.events;
+
+        // --- STAT CALCULATIONS ---
+        // All stats come from the event log, so deleting a quest doesn't erase the history of what was achieved.
+
+        const legacyEvents = events.filter(e => e.type === 'legacy_progress');
+
+        // 1. Quests Completed: Every completed quest awards exactly one goal bonus.
+        const questsCompleted = events.filter(e => e.type === 'goal_bonus').length
+            + legacyEvents.reduce((total, e) => total + e.questsCompleted, 0);
+
+        // 2. Tasks Completed: Count every 'task_completed' entry.
+        const tasksCompleted = events.filter(e => e.type === 'task_completed').length
+            + legacyEvents.reduce((total, e) => total + e.tasksCompleted, 0);
+
+        // 3. Lifetime XP: Sum the XP of every event that awarded some.
+        const totalLifetimeXp = events.reduce((total, e) => total + (e.xp || 0), 0);
+
+        // 4. Gold: Earned and spent gold are both in the event log, so the balance is their sum.
+        const gold = QuestifyRewards.getBalance(events);
+
+        // 5. Streak: Bring the saved streak up to date with today, so a streak broken by missed days shows as 0.
+        // The result is only displayed here; the Quest page is responsible for saving it.
+        const streak = QuestifyStreaks.reconcile(state.streak, QuestifyStreaks.getDayKey()).streak;
 
         // --- DISPLAY STATS ---
-        // Update the HTML elements with the calculated values.
-        levelStatEl.textContent = player.level;
-        questsCompletedStatEl.textContent = questsCompleted;
-        tasksCompletedStatEl.textContent = tasksCompleted;
-        totalXpStatEl.textContent = totalLifetimeXp;
+        // Update the HTML elements with the calculated values, formatted for the player's language (e.g. "1,250" or "1250").
+        levelStatEl.textContent = formatNumber(player.level);
+        questsCompletedStatEl.textContent = formatNumber(questsCompleted);
+        tasksCompletedStatEl.textContent = formatNumber(tasksCompleted);
+        totalXpStatEl.textContent = formatNumber(totalLifetimeXp);
+        currentStreakStatEl.textContent = formatNumber(streak.current);
+        bestStreakStatEl.textContent = formatNumber(streak.best);
+        goldStatEl.textContent = formatNumber(gold);
+        renderTrophyCase(state.achievements);
+        renderHabits(state.quests);
+        renderPurchases(events);
+        renderFocusTime(events, state.quests);
+        renderCharts(events);
     }
 
     // This is the initial function call that runs when the dashboard page loads.
     loadAndDisplayStats();
-});
\ No newline at end of file
+
+    // The service worker caches the app so the dashboard can also open without a connection.
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+});
@@ -0,0 +1,85 @@
+// This file contains the due date rules for quests and tasks: countdowns, overdue checks and which reminders are due.
+// A quest's due date is stored in its 'deadline' field and a task's in 'dueDate', both as "YYYY-MM-DD" day keys.
+// Something due on a day can be finished at any time during that day, so it only becomes overdue the day after.
+const QuestifyDueDates = (() => {
+
+    /**
+     * Counts the days from today until a due date.
+     * @param {string} dueKey The due date.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {number} The days left: 0 when it is due today, negative when it is overdue.
+     */
+    function getDaysLeft(dueKey, todayKey = QuestifyStreaks.getDayKey()) {
+        return QuestifyStreaks.daysBetween(todayKey, dueKey);
+    }
+
+    /**
+     * Checks whether a due date has passed.
+     * @param {string} dueKey The due date.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {boolean} True if the due date was before today.
+     */
+    function isOverdue(dueKey, todayKey = QuestifyStreaks.getDayKey()) {
+        return getDaysLeft(dueKey, todayKey) < 0;
+    }
+
+    /**
+     * Describes a due date as a countdown, e.g. "Due in 3 days" or "Overdue by 1 day".
+     * @param {string} dueKey The due date.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {string} The countdown text, in the player's language.
+     */
+    function describe(dueKey, todayKey = QuestifyStreaks.getDayKey()) {
+        const daysLeft = getDaysLeft(dueKey, todayKey);
+        if (daysLeft < 0) return QuestifyI18n.t('due.overdueBy', { count: -daysLeft });
+        if (daysLeft === 0) return QuestifyI18n.t('due.today');
+        if (daysLeft === 1) return QuestifyI18n.t('due.tomorrow');
+        return QuestifyI18n.t('due.inDays', { count: daysLeft });
+    }
+
+    /**
+     * Sort comparator for quests: the earliest due date comes first, and quests without a due date go last.
+     * Quests with the same due date keep their original order, because Array.prototype.sort is stable.
+     * @param {object} a A quest.
+     * @param {object} b Another quest.
+     * @returns {number} A negative number if 'a' comes first, positive if 'b' does, 0 if they are equal.
+     */
+    function compareQuests(a, b) {
+        if (a.deadline && b.deadline) return a.deadline.localeCompare(b.deadline);
+        if (a.deadline) return -1;
+        if (b.deadline) return 1;
+        return 0;
+    }
+
+    /**
+     * Finds the reminders that should be shown now. There are up to three for each due date: the day before,
+     * on the day, and once it is overdue. Each one has an id, so it is only ever shown once.
+     * @param {Array} quests All quests.
+     * @param {object} remindersSent The ids of the reminders already shown.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {Array} The reminders to show, each with an 'id', 'title' and 'body'.
+     */
+    function findReminders(quests, remindersSent, todayKey = QuestifyStreaks.getDayKey()) {
+        const reminders = [];
+        const check = (dueKey, name, id) => {
+            const daysLeft = getDaysLeft(dueKey, todayKey);
+            if (daysLeft > 1) return;
+            const stage = daysLeft < 0 ? 'overdue' : daysLeft === 0 ? 'today' : 'tomorrow';
+            const reminderId = `${id}:${dueKey}:${stage}`;
+            if (remindersSent[reminderId]) return;
+            reminders.push({ id: reminderId, title: `⏰ ${describe(dueKey, todayKey)}`, body: name });
+        };
+
+        quests.filter(q => !q.isComplete).forEach(quest => {
+            if (quest.deadline) {
+                check(quest.deadline, QuestifyI18n.t('reminders.questBody', { goal: quest.goal }), `${quest.id}`);
+            }
+            quest.tasks.filter(t => t.dueDate && !t.completed).forEach(task => {
+                check(task.dueDate, `${task.text} (${quest.goal})`, `${quest.id}:${task.id}`);
+            });
+        });
+        return reminders;
+    }
+
+    return { getDaysLeft, isOverdue, describe, compareQuests, findReminders };
+})();
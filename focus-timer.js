@@ -0,0 +1,120 @@
+// This file contains the rules for the focus timer: a Pomodoro-style countdown the player starts on one task at a time.
+// The running timer is saved in the state's 'focusTimer' as { questId, taskId, startedAt, duration }. Only its start time
+// is saved, never the time left, so the countdown carries on correctly after a reload, and a timer that ran out while
+// the page was closed is finished as soon as it opens again. It belongs to this device, so cloud sync leaves it out.
+// Every session is recorded as a 'focus_session' event with the task, its difficulty and the milliseconds spent.
+// A session that runs its full length also pays a little XP (the 'focusXp' setting); one stopped early only records the time.
+// It is shared by index.html and dashboard.html.
+const QuestifyFocus = (() => {
+
+    const MIN_SESSION_LENGTH = 60 * 1000; // Sessions stopped before a minute has passed are dropped rather than recorded.
+
+    /**
+     * Starts a new timer on a task.
+     * @param {number} questId The quest the task belongs to.
+     * @param {string} taskId The task being worked on.
+     * @param {number} minutes The session length, from the 'focusMinutes' setting.
+     * @returns {object} The timer, ready to be saved in the state.
+     */
+    function createTimer(questId, taskId, minutes) {
+        return { questId: questId, taskId: taskId, startedAt: Date.now(), duration: minutes * 60 * 1000 };
+    }
+
+    /**
+     * Works out how long a timer has been running, never counting past its end.
+     * @param {object} timer A running timer.
+     * @param {number} now The current time.
+     * @returns {number} The milliseconds spent so far.
+     */
+    function getElapsed(timer, now = Date.now()) {
+        return Math.min(timer.duration, Math.max(0, now - timer.startedAt));
+    }
+
+    /**
+     * Works out how long a timer has left.
+     * @param {object} timer A running timer.
+     * @param {number} now The current time.
+     * @returns {number} The milliseconds left. 0 means the session is over.
+     */
+    function getRemaining(timer, now = Date.now()) {
+        return timer.duration - getElapsed(timer, now);
+    }
+
+    /**
+     * Formats the time left as a countdown, e.g. "24:05".
+     * @param {number} milliseconds The time left.
+     * @returns {string} The minutes and seconds.
+     */
+    function formatCountdown(milliseconds) {
+        const totalSeconds = Math.ceil(milliseconds / 1000);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${Math.floor(totalSeconds / 60)}:${seconds}`;
+    }
+
+    /**
+     * Formats an amount of tracked time for display, e.g. "25 min" or "1 h 40 min".
+     * @param {number} milliseconds The time spent.
+     * @returns {string} The time, rounded to the nearest minute.
+     */
+    function formatDuration(milliseconds) {
+        const totalMinutes = Math.round(milliseconds / 60000);
+        if (totalMinutes < 60) {
+            return QuestifyI18n.t('focus.minutes', { count: totalMinutes });
+        }
+        return QuestifyI18n.t('focus.hoursMinutes', { hours: Math.floor(totalMinutes / 60), minutes: totalMinutes % 60 });
+    }
+
+    /**
+     * Adds up the time recorded for one task.
+     * @param {Array} events The event log.
+     * @param {string} taskId The task's id.
+     * @returns {number} The milliseconds spent on it.
+     */
+    function getTaskTime(events, taskId) {
+        return events
+            .filter(e => e.type === 'focus_session' && e.taskId === taskId)
+            .reduce((total, e) => total + (e.duration || 0), 0);
+    }
+
+    /**
+     * Adds up the time recorded for each quest.
+     * @param {Array} events The event log.
+     * @returns {Map} The milliseconds spent, keyed by quest id.
+     */
+    function getTimeByQuest(events) {
+        const times = new Map();
+        events.filter(e => e.type === 'focus_session').forEach(e => {
+            times.set(e.questId, (times.get(e.questId) || 0) + (e.duration || 0));
+        });
+        return times;
+    }
+
+    /**
+     * Adds up the time recorded for each difficulty, and how many different tasks it was spread over,
+     * so the average time a task of each difficulty takes can be compared.
+     * @param {Array} events The event log.
+     * @returns {object} For each difficulty, the total 'time' in milliseconds and the number of different 'tasks'.
+     */
+    function getTimeByDifficulty(events) {
+        const totals = Object.fromEntries(QuestifyState.DIFFICULTIES.map(d => [d, { time: 0, taskIds: new Set() }]));
+        events.filter(e => e.type === 'focus_session' && totals[e.difficulty]).forEach(e => {
+            const total = totals[e.difficulty];
+            total.time += e.duration || 0;
+            total.taskIds.add(e.taskId);
+        });
+        return Object.fromEntries(Object.entries(totals)
+            .map(([difficulty, total]) => [difficulty, { time: total.time, tasks: total.taskIds.size }]));
+    }
+
+    return {
+        MIN_SESSION_LENGTH,
+        createTimer,
+        getElapsed,
+        getRemaining,
+        formatCountdown,
+        formatDuration,
+        getTaskTime,
+        getTimeByQuest,
+        getTimeByDifficulty,
+    };
+})();
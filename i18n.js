@@ -0,0 +1,950 @@
+// This file translates the app. Every piece of text shown to the player lives in the MESSAGES catalog below, once per
+// language, and the code asks for it by key with QuestifyI18n.t (e.g. t('quest.deleted')).
+// Fixed text in the HTML pages is marked with 'data-i18n' attributes and is translated as soon as the page has loaded.
+// The chosen language is saved per profile (next to the profile's game state), so everyone sharing a browser gets their own.
+// Numbers and dates are formatted for the chosen language with the browser's built-in Intl API.
+// It is shared by every page, and must be loaded right after profiles.js.
+const QuestifyI18n = (() => {
+
+    // The languages the player can pick, each with its name written in that language.
+    const LOCALES = { en: 'English', es: 'Español' };
+    const DEFAULT_LOCALE = 'en';
+
+    // A message can be a string or, when it depends on a number, an object with a form per plural category
+    // (see Intl.PluralRules). "{name}" in a message is replaced with the 'name' parameter.
+    const MESSAGES = {
+        en: {
+            // --- Header ---
+            'nav.quest': 'Quest',
+            'nav.dashboard': 'Dashboard',
+            'nav.shop': 'Shop',
+            'nav.settings': 'Settings',
+            'language.label': 'Language',
+            'profile.label': 'Profile',
+            'profile.defaultName': 'Player 1',
+            'profile.new': 'New',
+            'profile.rename': 'Rename',
+            'profile.delete': 'Delete',
+            'profile.promptNew': 'Name for the new profile:',
+            'profile.promptRename': 'New name for this profile:',
+            'profile.confirmDelete': 'Delete the profile "{name}" and all of its progress? This can\'t be undone.',
+            'profile.errorNameRequired': 'A profile needs a name.',
+            'profile.errorNameTooLong': 'Profile names can be at most {max} characters long.',
+            'profile.errorMissing': 'That profile no longer exists.',
+            'profile.errorLastProfile': 'The last profile can\'t be deleted. Use "Reset All Progress" to start over instead.',
+
+            // --- Shared ---
+            'common.cancel': 'Cancel',
+            'common.continue': 'Continue',
+            'common.delete': 'Delete',
+            'difficulty.Easy': 'Easy',
+            'difficulty.Medium': 'Medium',
+            'difficulty.Hard': 'Hard',
+            'cadence.none': 'Doesn\'t repeat',
+            'cadence.daily': 'Every day',
+            'cadence.weekdays': 'Every weekday',
+            'cadence.weekly': 'Every week',
+            'modal.levelUp': 'Level Up!',
+            'modal.levelUpMessage': 'You\'ve reached Level {level}!',
+            'modal.goalAchieved': 'Goal Achieved!',
+            'modal.achievementUnlocked': 'Achievement Unlocked!',
+
+            // --- Achievements ---
+            'achievement.first-task.title': 'First Step',
+            'achievement.first-task.description': 'Complete your first task.',
+            'achievement.first-quest.title': 'Quest Complete',
+            'achievement.first-quest.description': 'Complete your first quest.',
+            'achievement.hard-tasks-10.title': 'Glutton for Punishment',
+            'achievement.hard-tasks-10.description': 'Complete 10 Hard tasks.',
+            'achievement.tasks-50.title': 'Taskmaster',
+            'achievement.tasks-50.description': 'Complete 50 tasks.',
+            'achievement.busy-week.title': 'Busy Week',
+            'achievement.busy-week.description': 'Complete 5 quests within 7 days.',
+            'achievement.streak-7.title': 'On Fire',
+            'achievement.streak-7.description': 'Reach a 7-day streak.',
+            'achievement.level-5.title': 'Rising Star',
+            'achievement.level-5.description': 'Reach Level 5.',
+            'achievement.level-10.title': 'Seasoned Hero',
+            'achievement.level-10.description': 'Reach Level 10.',
+
+            // --- Quest Log ---
+            'log.toggle': 'Q U E S T L O G',
+            'log.title': 'Quest Log',
+            'log.search': 'Search quests and tasks...',
+            'log.searchLabel': 'Search quests and tasks',
+            'log.filterSort': 'Filter & sort',
+            'log.completed': 'Completed',
+            'log.showing': 'Showing {visible} of {total} quests',
+            'log.noActiveMatch': 'No active quests match.',
+            'log.noActive': 'No active quests.',
+            'log.generatedOffline': 'Generated offline',
+            'filters.tag': 'Tag',
+            'filters.allTags': 'All tags',
+            'filters.difficulty': 'Difficulty',
+            'filters.difficulty.any': 'Any difficulty',
+            'filters.difficulty.Easy': 'Has Easy tasks',
+            'filters.difficulty.Medium': 'Has Medium tasks',
+            'filters.difficulty.Hard': 'Has Hard tasks',
+            'filters.status': 'Status',
+            'filters.status.all': 'All quests',
+            'filters.status.active': 'Active only',
+            'filters.status.completed': 'Completed only',
+            'filters.status.recurring': 'Habits only',
+            'filters.status.archived': 'Archived',
+            'filters.date': 'Date',
+            'filters.date.any': 'Any date',
+            'filters.date.overdue': 'Overdue',
+            'filters.date.due-soon': 'Due this week',
+            'filters.date.no-due-date': 'No due date',
+            'filters.date.recent': 'Added this week',
+            'filters.sort': 'Sort by',
+            'filters.sort.due': 'Due date',
+            'filters.sort.newest': 'Newest first',
+            'filters.sort.oldest': 'Oldest first',
+            'filters.sort.name': 'Name (A-Z)',
+            'filters.sort.progress': 'Most progress',
+            'filters.clear': 'Clear filters',
+            'tags.placeholder': 'Add a tag...',
+            'tags.label': 'New tag',
+            'tags.add': 'Add Tag',
+            'tags.remove': 'Remove tag {tag}',
+            'tags.errorEmpty': 'Type a name for the tag first.',
+            'tags.errorTooLong': 'Tags can be at most {max} characters long.',
+            'tags.errorTooMany': 'A quest can have at most {max} tags.',
+
+            // --- Quest page ---
+            'app.tagline': 'Your life is the game. Grind for the XP that matters.',
+            'goal.placeholder': 'What’s a new goal?',
+            'goal.submit': 'Add New Quest',
+            'goal.generating': 'Generating...',
+            'options.summary': 'Quest options',
+            'options.taskCount': 'Number of tasks',
+            'options.difficultyMix': 'Difficulty balance',
+            'options.mix.balanced': 'Balanced',
+            'options.mix.easier': 'Mostly Easy',
+            'options.mix.harder': 'Mostly Hard',
+            'options.mix.any': 'Let the AI decide',
+            'options.repeat': 'Repeat',
+            'options.deadline': 'Due date (optional)',
+            'options.context': 'Context (optional)',
+            'options.contextPlaceholder': 'e.g. I only have 20 minutes a day',
+            'stats.level': 'Level:',
+            'stats.xp': 'XP:',
+            'stats.gold': '🪙 Gold:',
+            'stats.visitShop': 'Visit the shop',
+            'streak.label': '🔥 Streak:',
+            'streak.days': 'days',
+            'streak.best': 'Best:',
+            'streak.freezes': '❄️ Freezes:',
+            'streak.freezeUsed': { one: '❄️ {count} streak freeze saved your streak!', other: '❄️ {count} streak freezes saved your streak!' },
+            'streak.freezeEarned': '❄️ {count}-day streak! You earned a streak freeze.',
+            'reminders.summary': 'Due dates & reminders',
+            'reminders.bonus': 'On-time bonus (% of XP)',
+            'reminders.label': 'Reminders',
+            'reminders.turnOn': 'Turn on reminders',
+            'reminders.turnOff': 'Turn off reminders',
+            'reminders.unsupported': 'This browser doesn\'t support notifications.',
+            'reminders.blocked': 'Notifications are blocked. Allow them in your browser\'s site settings to get reminders.',
+            'reminders.enabled': 'Reminders are on. You\'ll be notified the day before something is due, on the day, and if it becomes overdue.',
+            'reminders.questBody': 'Quest: {goal}',
+            'data.export': 'Export Progress',
+            'data.import': 'Import Progress',
+            'data.reset': 'Reset All Progress',
+
+            // --- Active quest ---
+            'quest.selectPrompt': 'Select a quest from your log or add a new one.',
+            'quest.title': 'Your Quest: "{goal}"',
+            'quest.pendingOffline': '⏳ You\'re offline. Tasks for this quest will be generated as soon as the connection is back.',
+            'quest.confirmDelete': 'Are you sure you want to delete this quest?',
+            'quest.deleted': 'Quest deleted.',
+            'quest.replayed': '🔄 "{goal}" is back in your Quest Log.',
+            'quest.unarchived': 'Quest restored to the Quest Log.',
+            'quest.archived': 'Quest archived. Choose "Archived" in the Quest Log filters to find it again.',
+            'summary.completedAt': 'Completed {date}',
+            'summary.completed': 'Completed',
+            'summary.details': '🏆 {finished} · {xp} XP earned',
+            'summary.replay': 'Replay quest',
+            'summary.replayTitle': 'Start this quest again with the same tasks',
+            'summary.archive': 'Archive',
+            'summary.unarchive': 'Unarchive',
+            'summary.archiveTitle': 'Hide this quest from the Quest Log. It still counts on the dashboard.',
+            'summary.unarchiveTitle': 'Show this quest in the Quest Log again',
+            'summary.taskTimeUnknown': 'Completion time unknown',
+            'task.badge': '{difficulty} | {xp} XP',
+            'task.difficultyOption': '{difficulty} ({xp} XP)',
+            'due.title': 'Due {date}',
+            'due.none': 'No due date',
+            'due.questDateLabel': 'Quest due date',
+            'due.taskDateLabel': 'Task due date',
+            'due.overdueBy': { one: 'Overdue by {count} day', other: 'Overdue by {count} days' },
+            'due.today': 'Due today',
+            'due.tomorrow': 'Due tomorrow',
+            'due.inDays': { one: 'Due in {count} day', other: 'Due in {count} days' },
+            'recurrence.oneOff': 'One-off quest',
+            'recurrence.cycleDone': '🔁 Done for this cycle. The tasks reset when the next one starts.',
+            'recurrence.completedTimes': { one: '🔁 Completed {count} time', other: '🔁 Completed {count} times' },
+            'recurrence.freshWording': 'Fresh wording each cycle',
+            'recurrence.habitDone': '🔁 "{goal}" is done for this cycle!',
+            'offline.banner': '⚡ These tasks were generated offline because the AI was unavailable.',
+            'offline.regenerate': 'Regenerate with AI',
+            'offline.regenerating': 'Regenerating...',
+            'offline.nothingLeft': 'Every offline task has been completed or changed, so there is nothing left to regenerate.',
+            'offline.regenerated': 'The AI has regenerated "{goal}".',
+            'offline.stillUnavailable': 'The AI is still unavailable. Try again later.',
+            'offline.regenerateFailed': 'Could not regenerate quest.',
+            'task.dragTitle': 'Drag to reorder',
+            'task.offlineTag': 'offline',
+            'task.offlineTitle': 'Generated offline. Refresh it to get a task from the AI.',
+            'task.stepsCount': '{done}/{total} steps',
+            'task.steps': 'Steps',
+            'task.edit': 'Edit',
+            'task.save': 'Save',
+            'task.refresh': 'Refresh',
+            'task.queued': 'Queued',
+            'task.deleteTitle': 'Delete task',
+            'task.placeholder': 'Add your own task...',
+            'task.add': 'Add Task',
+            'task.itemLabel': 'Task {position} of {total}: {text}. Press Alt and the arrow keys to move it.',
+            'task.textLabel': 'Task description',
+            'task.newLabel': 'New task description',
+            'task.needsOne': 'A quest needs at least one unfinished task.',
+            'task.stepsPaid': 'Some steps of this task are already done and their XP has been paid, so it can\'t be deleted or refreshed.',
+            'task.deleted': 'Task deleted.',
+            'task.refreshFailed': 'Could not refresh task.',
+            'task.refreshedOffline': 'You\'re offline, so the task was refreshed offline. The AI will replace it when you reconnect.',
+            'task.refreshedUnavailable': 'The AI is unavailable, so the task was refreshed offline.',
+            'step.xp': '{xp} XP',
+            'step.deleteTitle': 'Delete step',
+            'step.placeholder': 'Add a step...',
+            'step.label': 'New step description',
+            'step.add': 'Add Step',
+            'step.breakDown': 'Break it down',
+            'step.breakDownTitle': 'Ask the AI to split this task into smaller steps',
+            'step.thinking': 'Thinking...',
+            'step.checkOffInstead': 'To finish this task, check it off instead.',
+            'step.breakDownOffline': 'You\'re offline. Try breaking the task down later.',
+            'step.breakDownFailed': 'Could not break down task.',
+            'generate.offlineQueued': 'You\'re offline, so this quest was generated offline. It will be upgraded by the AI when you reconnect.',
+            'generate.offlineUnavailable': 'The AI is unavailable, so this quest was generated offline.',
+            'generate.failed': 'Could not generate new quest.',
+            'generate.tasksReady': 'Tasks are ready for "{goal}".',
+            'generate.upgraded': 'The AI has upgraded the tasks for "{goal}".',
+            'generate.replayFailed': 'Could not generate tasks for "{goal}". You can add your own instead.',
+
+            // --- Focus timer ---
+            'focus.start': '⏱ Focus',
+            'focus.startTitle': 'Start a {count}-minute focus session on this task',
+            'focus.stop': 'Stop',
+            'focus.stopTitle': 'Stop the focus session and record the time spent so far',
+            'focus.running': '⏱ Focusing on "{task}"',
+            'focus.started': { one: 'Focus session started: {count} minute. Good luck!', other: 'Focus session started: {count} minutes. Good luck!' },
+            'focus.stopped': 'Focus session stopped. {time} recorded.',
+            'focus.stoppedTooShort': 'Focus session stopped. Sessions under a minute aren\'t recorded.',
+            'focus.finished': '⏱ Focus session done on "{task}"! +{xp} XP',
+            'focus.finishedNoXp': '⏱ Focus session done on "{task}"!',
+            'focus.trackedTitle': 'Time tracked with the focus timer',
+            'focus.timeSuffix': ' · ⏱ {time} focused',
+            'focus.minutes': '{count} min',
+            'focus.hoursMinutes': '{hours} h {minutes} min',
+
+            // --- XP, goals and undo ---
+            'xp.gained': '+{xp} XP',
+            'xp.gainedWithStreak': '+{xp} XP (🔥 x{multiplier})',
+            'xp.onTime': ' ⏰ +{xp} on time',
+            'xp.gold': ' 🪙 +{gold} gold',
+            'goal.bonus': '+{xp} Goal Bonus! 🪙 +{gold} gold',
+            'goal.bonusOnTime': ' ⏰ On time!',
+            'goal.message': 'You completed "{goal}" and earned a {xp} XP bonus!',
+            'goal.messageOnTime': 'You completed "{goal}" on time and earned a {xp} XP bonus!',
+            'undo.button': 'Undo',
+            'undo.nothing': 'Nothing to undo.',
+            'undo.done': 'Undid {action}.',
+            'undo.quest-deletion': 'quest deletion',
+            'undo.new-tag': 'new tag',
+            'undo.tag-removal': 'tag removal',
+            'undo.quest-replay': 'quest replay',
+            'undo.archive': 'archive',
+            'undo.unarchive': 'unarchive',
+            'undo.repeat-change': 'repeat change',
+            'undo.due-date-change': 'due date change',
+            'undo.adding-a-task': 'adding a task',
+            'undo.task-edit': 'task edit',
+            'undo.task-deletion': 'task deletion',
+            'undo.task-reorder': 'task reorder',
+            'undo.task-completion': 'task completion',
+            'undo.step-completion': 'step completion',
+            'undo.adding-a-step': 'adding a step',
+            'undo.step-deletion': 'step deletion',
+            'undo.regeneration': 'regeneration',
+            'undo.task-breakdown': 'task breakdown',
+            'undo.progress-reset': 'progress reset',
+            'load.restored': 'Your save was damaged, so the last backup was restored.',
+            'load.newGame': 'Your save could not be read, so a new game was started.',
+
+            // --- Cloud sync ---
+            'sync.summary': 'Cloud sync',
+            'sync.enable': 'Turn on sync',
+            'sync.link': 'I have a sync code',
+            'sync.disable': 'Turn off sync',
+            'sync.status.off': 'Sync off',
+            'sync.status.pending': 'Changes waiting to sync',
+            'sync.status.syncing': 'Syncing…',
+            'sync.status.synced': 'Synced',
+            'sync.status.offline': 'Offline, will sync when reconnected',
+            'sync.status.error': 'Sync failed, retrying',
+            'sync.codeDescription': 'Sync code: {code}. Enter it on another device to use the same progress there.',
+            'sync.offDescription': 'Turn on sync to back up this profile and use it on your other devices.',
+            'sync.enabled': 'Cloud sync is on. Use the sync code to link your other devices.',
+            'sync.linkPrompt': 'Enter the sync code shown on your other device:',
+            'sync.linked': 'Linked! Your progress from both devices has been combined.',
+            'sync.confirmDisable': 'Turn off cloud sync on this device? Your progress stays here and in the cloud. Write down the sync code ({code}) if you want to link this device again later.',
+            'sync.errorBadCode': 'That doesn\'t look like a sync code. Copy it exactly as it is shown on your other device.',
+            'sync.errorNoProgress': 'No progress is stored under that sync code. Check it and try again.',
+            'sync.errorUnreachable': 'Couldn\'t reach the server. Check your connection and try again.',
+
+            // --- Reset, export and import ---
+            'reset.confirm': 'Are you sure you want to reset ALL progress for this profile?',
+            'reset.confirmSync': ' Cloud sync will be turned off on this device, and the cloud copy will be kept.',
+            'reset.done': 'Progress has been reset.',
+            'export.done': 'Progress exported.',
+            'import.title': 'Import Progress',
+            'import.replace': 'Replace',
+            'import.merge': 'Merge',
+            'import.summary': {
+                one: 'This file contains a Level {level} hero with {count} quest. Replace your current progress, or merge the two?',
+                other: 'This file contains a Level {level} hero with {count} quests. Replace your current progress, or merge the two?',
+            },
+            'import.failed': 'Import failed: {message}',
+            'import.merged': 'Progress merged.',
+            'import.imported': 'Progress imported.',
+            'import.errorNotExport': 'This file is not a Questify export.',
+            'import.errorNoVersion': 'This export has no valid version number.',
+            'import.errorNewer': 'This export was made by a newer version of Questify.',
+            'import.errorPlayer': 'The player\'s level or XP is missing or invalid.',
+            'import.errorNoQuests': 'The quest list is missing.',
+            'import.errorQuest': 'One of the quests is incomplete.',
+            'import.errorTask': 'A task in "{goal}" is invalid.',
+            'import.errorEvents': 'The XP history is invalid.',
+            'import.errorStreak': 'The streak is invalid.',
+            'import.errorAchievements': 'The achievements are invalid.',
+            'import.errorJson': 'This file is not valid JSON.',
+
+            // --- Dashboard ---
+            'dashboard.level': 'Current Level',
+            'dashboard.questsCompleted': 'Quests Completed',
+            'dashboard.tasksCompleted': 'Tasks Completed',
+            'dashboard.lifetimeXp': 'Lifetime XP Earned',
+            'dashboard.currentStreak': 'Current Streak',
+            'dashboard.bestStreak': 'Best Streak',
+            'dashboard.gold': 'Gold',
+            'dashboard.trophyCase': 'Trophy Case',
+            'dashboard.habits': 'Habits',
+            'dashboard.purchases': 'Reward Purchases',
+            'dashboard.xpPerDay': 'XP per Day',
+            'dashboard.tasksPerWeek': 'Tasks per Week',
+            'dashboard.xpTooltip': '{label}: {count} XP',
+            'dashboard.tasksTooltip': { one: '{label}: {count} task', other: '{label}: {count} tasks' },
+            'dashboard.earned': 'Earned {date}',
+            'dashboard.locked': 'Locked',
+            'dashboard.dayDone': '{date}: done',
+            'dashboard.noHabits': 'No habits yet. Set a quest to repeat to track it here.',
+            'dashboard.noLongerRepeats': 'No longer repeats',
+            'dashboard.habitSummary': { one: '{schedule} · completed {count} time', other: '{schedule} · completed {count} times' },
+            'dashboard.noPurchases': 'No rewards bought yet. Add some in the shop!',
+            'dashboard.focusTime': 'Focus Time',
+            'dashboard.focusByQuest': 'By quest',
+            'dashboard.noFocus': 'No focus sessions yet. Press "⏱ Focus" on a task to start tracking your time.',
+            'dashboard.focusNone': 'No time tracked yet',
+            'dashboard.focusDifficultyDetails': { one: '{average} per task · {total} on {count} task', other: '{average} per task · {total} over {count} tasks' },
+
+            // --- Shop ---
+            'shop.title': 'Shop',
+            'shop.tagline': 'Spend the gold from your quests on rewards you pick for yourself.',
+            'shop.gold': '🪙 Gold:',
+            'shop.namePlaceholder': 'A reward, e.g. 1 episode of a show',
+            'shop.nameLabel': 'Reward name',
+            'shop.costLabel': 'Price in gold',
+            'shop.add': 'Add Reward',
+            'shop.history': 'Purchase History',
+            'shop.noRewards': 'No rewards yet. Add something you look forward to!',
+            'shop.noPurchases': 'Nothing bought yet.',
+            'shop.cost': '🪙 {cost}',
+            'shop.redeem': 'Redeem',
+            'shop.refund': 'Refund',
+            'shop.needMoreGold': 'You need {cost} gold for that. Keep questing!',
+            'shop.confirmBuy': 'Spend {cost} gold on "{name}"?',
+            'shop.enjoy': '🎁 Enjoy your reward: {name}!',
+            'shop.confirmDelete': 'Delete the reward "{name}"?',
+            'shop.confirmRefund': 'Refund "{name}" and get {cost} gold back?',
+            'shop.purchaseDetails': '{cost} gold · {date}',
+            'shop.refunded': ' · refunded',
+            'shop.errorNameRequired': 'Give the reward a name, like "1 episode of a show".',
+            'shop.errorNameTooLong': 'Reward names can be at most {max} characters long.',
+            'shop.errorCost': 'The price must be a whole number of gold between {min} and {max}.',
+
+            // --- Settings ---
+            'settings.title': 'Settings',
+            'settings.tagline': 'Tune the game to fit you. These settings belong to this profile on this device.',
+            'settings.curveTitle': 'Leveling Curve',
+            'settings.curve': 'Curve',
+            'settings.curve.linear': 'Linear: each level costs a fixed amount more',
+            'settings.curve.exponential': 'Exponential: each level costs a percentage more',
+            'settings.curve.custom': 'Custom table',
+            'settings.base': 'XP for level 1',
+            'settings.step': 'Extra XP per level',
+            'settings.growth': 'Growth per level (%)',
+            'settings.table': 'XP per level',
+            'settings.tablePlaceholder': 'e.g. 100, 150, 250, 400',
+            'settings.tableHint': 'Levels after the end of the table keep needing the last amount.',
+            'settings.curvePreview': 'XP needed for levels 1–{levels}: {costs}',
+            'settings.levelPreview': 'With your {lifetimeXp} lifetime XP, you would be Level {level} ({xp} / {xpNeeded} XP).',
+            'settings.rewardsTitle': 'Rewards',
+            'settings.xpEasy': 'Easy task XP',
+            'settings.xpMedium': 'Medium task XP',
+            'settings.xpHard': 'Hard task XP',
+            'settings.goalBonus': 'Quest completion bonus XP',
+            'settings.taskXpHint': 'Task XP applies to tasks added from now on. Tasks you already have keep their XP.',
+            'settings.focusTitle': 'Focus Timer',
+            'settings.focusMinutes': 'Session length (minutes)',
+            'settings.focusXp': 'XP per finished session',
+            'settings.focusHint': 'Sessions you stop early still count towards your tracked time, but don\'t pay XP.',
+            'settings.preferencesTitle': 'Preferences',
+            'settings.confirmDialogs': 'Ask before deleting a quest and before buying, deleting or refunding a reward',
+            'settings.confirmHint': 'Resetting all progress and deleting a profile always ask first.',
+            'settings.sounds': 'Play sounds when finishing tasks, quests and focus sessions, leveling up and buying rewards',
+            'settings.testSound': 'Play a sound',
+            'settings.save': 'Save Settings',
+            'settings.restoreDefaults': 'Restore defaults',
+            'settings.saved': 'Settings saved.',
+            'settings.savedNewLevel': 'Settings saved. With the new curve you are Level {level}.',
+            'settings.defaultsRestored': 'Defaults restored. Press "Save Settings" to use them.',
+            'settings.errorWholeNumber': '{label} must be a whole number between {min} and {max}.',
+            'settings.errorTableEmpty': 'Enter the XP needed for at least one level, e.g. "100, 150, 250".',
+            'settings.errorTableTooLong': 'The custom table can have at most {max} levels.',
+            'settings.labelBase': 'The XP for level 1',
+            'settings.labelStep': 'The extra XP per level',
+            'settings.labelGrowth': 'The growth per level',
+            'settings.labelGoalBonus': 'The quest completion bonus',
+            'settings.labelFocusMinutes': 'The focus session length',
+            'settings.labelFocusXp': 'The XP per focus session',
+            'settings.labelTaskXp': '{difficulty} task XP',
+            'settings.labelTableEntry': 'The XP for level {level}',
+        },
+
+        es: {
+            // --- Header ---
+            'nav.quest': 'Misión',
+            'nav.dashboard': 'Panel',
+            'nav.shop': 'Tienda',
+            'nav.settings': 'Ajustes',
+            'language.label': 'Idioma',
+            'profile.label': 'Perfil',
+            'profile.defaultName': 'Jugador 1',
+            'profile.new': 'Nuevo',
+            'profile.rename': 'Renombrar',
+            'profile.delete': 'Eliminar',
+            'profile.promptNew': 'Nombre del nuevo perfil:',
+            'profile.promptRename': 'Nuevo nombre para este perfil:',
+            'profile.confirmDelete': '¿Eliminar el perfil "{name}" y todo su progreso? No se puede deshacer.',
+            'profile.errorNameRequired': 'Un perfil necesita un nombre.',
+            'profile.errorNameTooLong': 'Los nombres de perfil pueden tener como máximo {max} caracteres.',
+            'profile.errorMissing': 'Ese perfil ya no existe.',
+            'profile.errorLastProfile': 'El último perfil no se puede eliminar. Usa "Reiniciar todo el progreso" para empezar de nuevo.',
+
+            // --- Shared ---
+            'common.cancel': 'Cancelar',
+            'common.continue': 'Continuar',
+            'common.delete': 'Eliminar',
+            'difficulty.Easy': 'Fácil',
+            'difficulty.Medium': 'Media',
+            'difficulty.Hard': 'Difícil',
+            'cadence.none': 'No se repite',
+            'cadence.daily': 'Cada día',
+            'cadence.weekdays': 'Cada día laborable',
+            'cadence.weekly': 'Cada semana',
+            'modal.levelUp': '¡Subes de nivel!',
+            'modal.levelUpMessage': '¡Has alcanzado el nivel {level}!',
+            'modal.goalAchieved': '¡Meta cumplida!',
+            'modal.achievementUnlocked': '¡Logro desbloqueado!',
+
+            // --- Achievements ---
+            'achievement.first-task.title': 'Primer paso',
+            'achievement.first-task.description': 'Completa tu primera tarea.',
+            'achievement.first-quest.title': 'Misión cumplida',
+            'achievement.first-quest.description': 'Completa tu primera misión.',
+            'achievement.hard-tasks-10.title': 'Amante del sufrimiento',
+            'achievement.hard-tasks-10.description': 'Completa 10 tareas difíciles.',
+            'achievement.tasks-50.title': 'Maestro de tareas',
+            'achievement.tasks-50.description': 'Completa 50 tareas.',
+            'achievement.busy-week.title': 'Semana intensa',
+            'achievement.busy-week.description': 'Completa 5 misiones en 7 días.',
+            'achievement.streak-7.title': 'En racha',
+            'achievement.streak-7.description': 'Alcanza una racha de 7 días.',
+            'achievement.level-5.title': 'Estrella en ascenso',
+            'achievement.level-5.description': 'Alcanza el nivel 5.',
+            'achievement.level-10.title': 'Héroe veterano',
+            'achievement.level-10.description': 'Alcanza el nivel 10.',
+
+            // --- Quest Log ---
+            'log.toggle': 'M I S I O N E S',
+            'log.title': 'Diario de misiones',
+            'log.search': 'Buscar misiones y tareas...',
+            'log.searchLabel': 'Buscar misiones y tareas',
+            'log.filterSort': 'Filtrar y ordenar',
+            'log.completed': 'Completadas',
+            'log.showing': 'Mostrando {visible} de {total} misiones',
+            'log.noActiveMatch': 'Ninguna misión activa coincide.',
+            'log.noActive': 'No hay misiones activas.',
+            'log.generatedOffline': 'Generada sin conexión',
+            'filters.tag': 'Etiqueta',
+            'filters.allTags': 'Todas las etiquetas',
+            'filters.difficulty': 'Dificultad',
+            'filters.difficulty.any': 'Cualquier dificultad',
+            'filters.difficulty.Easy': 'Con tareas fáciles',
+            'filters.difficulty.Medium': 'Con tareas medias',
+            'filters.difficulty.Hard': 'Con tareas difíciles',
+            'filters.status': 'Estado',
+            'filters.status.all': 'Todas las misiones',
+            'filters.status.active': 'Solo activas',
+            'filters.status.completed': 'Solo completadas',
+            'filters.status.recurring': 'Solo hábitos',
+            'filters.status.archived': 'Archivadas',
+            'filters.date': 'Fecha',
+            'filters.date.any': 'Cualquier fecha',
+            'filters.date.overdue': 'Vencidas',
+            'filters.date.due-soon': 'Vencen esta semana',
+            'filters.date.no-due-date': 'Sin fecha límite',
+            'filters.date.recent': 'Añadidas esta semana',
+            'filters.sort': 'Ordenar por',
+            'filters.sort.due': 'Fecha límite',
+            'filters.sort.newest': 'Más recientes primero',
+            'filters.sort.oldest': 'Más antiguas primero',
+            'filters.sort.name': 'Nombre (A-Z)',
+            'filters.sort.progress': 'Más avanzadas',
+            'filters.clear': 'Quitar filtros',
+            'tags.placeholder': 'Añadir una etiqueta...',
+            'tags.label': 'Nueva etiqueta',
+            'tags.add': 'Añadir etiqueta',
+            'tags.remove': 'Quitar la etiqueta {tag}',
+            'tags.errorEmpty': 'Escribe primero un nombre para la etiqueta.',
+            'tags.errorTooLong': 'Las etiquetas pueden tener como máximo {max} caracteres.',
+            'tags.errorTooMany': 'Una misión puede tener como máximo {max} etiquetas.',
+
+            // --- Quest page ---
+            'app.tagline': 'Tu vida es el juego. Consigue la XP que importa.',
+            'goal.placeholder': '¿Cuál es tu nueva meta?',
+            'goal.submit': 'Añadir misión',
+            'goal.generating': 'Generando...',
+            'options.summary': 'Opciones de la misión',
+            'options.taskCount': 'Número de tareas',
+            'options.difficultyMix': 'Equilibrio de dificultad',
+            'options.mix.balanced': 'Equilibrado',
+            'options.mix.easier': 'Sobre todo fáciles',
+            'options.mix.harder': 'Sobre todo difíciles',
+            'options.mix.any': 'Que decida la IA',
+            'options.repeat': 'Repetir',
+            'options.deadline': 'Fecha límite (opcional)',
+            'options.context': 'Contexto (opcional)',
+            'options.contextPlaceholder': 'p. ej. Solo tengo 20 minutos al día',
+            'stats.level': 'Nivel:',
+            'stats.xp': 'XP:',
+            'stats.gold': '🪙 Oro:',
+            'stats.visitShop': 'Ir a la tienda',
+            'streak.label': '🔥 Racha:',
+            'streak.days': 'días',
+            'streak.best': 'Mejor:',
+            'streak.freezes': '❄️ Congelaciones:',
+            'streak.freezeUsed': { one: '❄️ {count} congelación ha salvado tu racha.', other: '❄️ {count} congelaciones han salvado tu racha.' },
+            'streak.freezeEarned': '❄️ ¡Racha de {count} días! Has ganado una congelación.',
+            'reminders.summary': 'Fechas límite y recordatorios',
+            'reminders.bonus': 'Bonus por puntualidad (% de XP)',
+            'reminders.label': 'Recordatorios',
+            'reminders.turnOn': 'Activar recordatorios',
+            'reminders.turnOff': 'Desactivar recordatorios',
+            'reminders.unsupported': 'Este navegador no admite notificaciones.',
+            'reminders.blocked': 'Las notificaciones están bloqueadas. Permítelas en los ajustes del sitio de tu navegador para recibir recordatorios.',
+            'reminders.enabled': 'Recordatorios activados. Recibirás un aviso el día antes de cada fecha límite, el mismo día y si se pasa.',
+            'reminders.questBody': 'Misión: {goal}',
+            'data.export': 'Exportar progreso',
+            'data.import': 'Importar progreso',
+            'data.reset': 'Reiniciar todo el progreso',
+
+            // --- Active quest ---
+            'quest.selectPrompt': 'Elige una misión de tu diario o añade una nueva.',
+            'quest.title': 'Tu misión: "{goal}"',
+            'quest.pendingOffline': '⏳ Estás sin conexión. Las tareas de esta misión se generarán en cuanto vuelva la conexión.',
+            'quest.confirmDelete': '¿Seguro que quieres eliminar esta misión?',
+            'quest.deleted': 'Misión eliminada.',
+            'quest.replayed': '🔄 "{goal}" vuelve a estar en tu diario de misiones.',
+            'quest.unarchived': 'Misión devuelta al diario de misiones.',
+            'quest.archived': 'Misión archivada. Elige "Archivadas" en los filtros del diario para volver a encontrarla.',
+            'summary.completedAt': 'Completada el {date}',
+            'summary.completed': 'Completada',
+            'summary.details': '🏆 {finished} · {xp} XP ganada',
+            'summary.replay': 'Repetir misión',
+            'summary.replayTitle': 'Empezar esta misión de nuevo con las mismas tareas',
+            'summary.archive': 'Archivar',
+            'summary.unarchive': 'Desarchivar',
+            'summary.archiveTitle': 'Ocultar esta misión del diario. Sigue contando en el panel.',
+            'summary.unarchiveTitle': 'Volver a mostrar esta misión en el diario',
+            'summary.taskTimeUnknown': 'Hora de finalización desconocida',
+            'task.badge': '{difficulty} | {xp} XP',
+            'task.difficultyOption': '{difficulty} ({xp} XP)',
+            'due.title': 'Vence el {date}',
+            'due.none': 'Sin fecha límite',
+            'due.questDateLabel': 'Fecha límite de la misión',
+            'due.taskDateLabel': 'Fecha límite de la tarea',
+            'due.overdueBy': { one: 'Vencida hace {count} día', other: 'Vencida hace {count} días' },
+            'due.today': 'Vence hoy',
+            'due.tomorrow': 'Vence mañana',
+            'due.inDays': { one: 'Vence en {count} día', other: 'Vence en {count} días' },
+            'recurrence.oneOff': 'Misión única',
+            'recurrence.cycleDone': '🔁 Hecha en este ciclo. Las tareas se reinician cuando empiece el siguiente.',
+            'recurrence.completedTimes': { one: '🔁 Completada {count} vez', other: '🔁 Completada {count} veces' },
+            'recurrence.freshWording': 'Redacción nueva en cada ciclo',
+            'recurrence.habitDone': '🔁 ¡"{goal}" está hecha en este ciclo!',
+            'offline.banner': '⚡ Estas tareas se generaron sin conexión porque la IA no estaba disponible.',
+            'offline.regenerate': 'Regenerar con IA',
+            'offline.regenerating': 'Regenerando...',
+            'offline.nothingLeft': 'Todas las tareas sin conexión se han completado o cambiado, así que no queda nada por regenerar.',
+            'offline.regenerated': 'La IA ha regenerado "{goal}".',
+            'offline.stillUnavailable': 'La IA sigue sin estar disponible. Inténtalo más tarde.',
+            'offline.regenerateFailed': 'No se pudo regenerar la misión.',
+            'task.dragTitle': 'Arrastra para reordenar',
+            'task.offlineTag': 'sin conexión',
+            'task.offlineTitle': 'Generada sin conexión. Actualízala para obtener una tarea de la IA.',
+            'task.stepsCount': '{done}/{total} pasos',
+            'task.steps': 'Pasos',
+            'task.edit': 'Editar',
+            'task.save': 'Guardar',
+            'task.refresh': 'Actualizar',
+            'task.queued': 'En cola',
+            'task.deleteTitle': 'Eliminar tarea',
+            'task.placeholder': 'Añade tu propia tarea...',
+            'task.add': 'Añadir tarea',
+            'task.itemLabel': 'Tarea {position} de {total}: {text}. Pulsa Alt y las flechas para moverla.',
+            'task.textLabel': 'Descripción de la tarea',
+            'task.newLabel': 'Descripción de la nueva tarea',
+            'task.needsOne': 'Una misión necesita al menos una tarea sin terminar.',
+            'task.stepsPaid': 'Algunos pasos de esta tarea ya están hechos y su XP ya se ha pagado, así que no se puede eliminar ni actualizar.',
+            'task.deleted': 'Tarea eliminada.',
+            'task.refreshFailed': 'No se pudo actualizar la tarea.',
+            'task.refreshedOffline': 'Estás sin conexión, así que la tarea se actualizó sin conexión. La IA la sustituirá cuando vuelvas a conectarte.',
+            'task.refreshedUnavailable': 'La IA no está disponible, así que la tarea se actualizó sin conexión.',
+            'step.xp': '{xp} XP',
+            'step.deleteTitle': 'Eliminar paso',
+            'step.placeholder': 'Añadir un paso...',
+            'step.label': 'Descripción del nuevo paso',
+            'step.add': 'Añadir paso',
+            'step.breakDown': 'Dividir en pasos',
+            'step.breakDownTitle': 'Pedir a la IA que divida esta tarea en pasos más pequeños',
+            'step.thinking': 'Pensando...',
+            'step.checkOffInstead': 'Para terminar esta tarea, márcala como hecha.',
+            'step.breakDownOffline': 'Estás sin conexión. Intenta dividir la tarea más tarde.',
+            'step.breakDownFailed': 'No se pudo dividir la tarea.',
+            'generate.offlineQueued': 'Estás sin conexión, así que esta misión se generó sin conexión. La IA la mejorará cuando vuelvas a conectarte.',
+            'generate.offlineUnavailable': 'La IA no está disponible, así que esta misión se generó sin conexión.',
+            'generate.failed': 'No se pudo generar la nueva misión.',
+            'generate.tasksReady': 'Las tareas de "{goal}" están listas.',
+            'generate.upgraded': 'La IA ha mejorado las tareas de "{goal}".',
+            'generate.replayFailed': 'No se pudieron generar tareas para "{goal}". Puedes añadir las tuyas.',
+
+            // --- Focus timer ---
+            'focus.start': '⏱ Concentrarse',
+            'focus.startTitle': { one: 'Empezar una sesión de concentración de {count} minuto en esta tarea', other: 'Empezar una sesión de concentración de {count} minutos en esta tarea' },
+            'focus.stop': 'Detener',
+            'focus.stopTitle': 'Detener la sesión de concentración y guardar el tiempo dedicado hasta ahora',
+            'focus.running': '⏱ Concentración: "{task}"',
+            'focus.started': { one: 'Sesión de concentración iniciada: {count} minuto. ¡Suerte!', other: 'Sesión de concentración iniciada: {count} minutos. ¡Suerte!' },
+            'focus.stopped': 'Sesión de concentración detenida. Tiempo registrado: {time}.',
+            'focus.stoppedTooShort': 'Sesión de concentración detenida. Las sesiones de menos de un minuto no se registran.',
+            'focus.finished': '⏱ ¡Sesión de concentración terminada en "{task}"! +{xp} XP',
+            'focus.finishedNoXp': '⏱ ¡Sesión de concentración terminada en "{task}"!',
+            'focus.trackedTitle': 'Tiempo registrado con el temporizador de concentración',
+            'focus.timeSuffix': ' · ⏱ {time} de concentración',
+            'focus.minutes': '{count} min',
+            'focus.hoursMinutes': '{hours} h {minutes} min',
+
+            // --- XP, goals and undo ---
+            'xp.gained': '+{xp} XP',
+            'xp.gainedWithStreak': '+{xp} XP (🔥 x{multiplier})',
+            'xp.onTime': ' ⏰ +{xp} por puntualidad',
+            'xp.gold': ' 🪙 +{gold} de oro',
+            'goal.bonus': '¡+{xp} de bonus por la meta! 🪙 +{gold} de oro',
+            'goal.bonusOnTime': ' ⏰ ¡A tiempo!',
+            'goal.message': '¡Has completado "{goal}" y ganado un bonus de {xp} XP!',
+            'goal.messageOnTime': '¡Has completado "{goal}" a tiempo y ganado un bonus de {xp} XP!',
+            'undo.button': 'Deshacer',
+            'undo.nothing': 'No hay nada que deshacer.',
+            'undo.done': 'Deshecho: {action}.',
+            'undo.quest-deletion': 'eliminar la misión',
+            'undo.new-tag': 'nueva etiqueta',
+            'undo.tag-removal': 'quitar la etiqueta',
+            'undo.quest-replay': 'repetir la misión',
+            'undo.archive': 'archivar',
+            'undo.unarchive': 'desarchivar',
+            'undo.repeat-change': 'cambio de repetición',
+            'undo.due-date-change': 'cambio de fecha límite',
+            'undo.adding-a-task': 'añadir una tarea',
+            'undo.task-edit': 'editar la tarea',
+            'undo.task-deletion': 'eliminar la tarea',
+            'undo.task-reorder': 'reordenar las tareas',
+            'undo.task-completion': 'completar la tarea',
+            'undo.step-completion': 'completar el paso',
+            'undo.adding-a-step': 'añadir un paso',
+            'undo.step-deletion': 'eliminar el paso',
+            'undo.regeneration': 'regenerar',
+            'undo.task-breakdown': 'dividir la tarea',
+            'undo.progress-reset': 'reiniciar el progreso',
+            'load.restored': 'Tu partida estaba dañada, así que se ha restaurado la última copia de seguridad.',
+            'load.newGame': 'No se pudo leer tu partida, así que se ha empezado una nueva.',
+
+            // --- Cloud sync ---
+            'sync.summary': 'Sincronización en la nube',
+            'sync.enable': 'Activar sincronización',
+            'sync.link': 'Tengo un código de sincronización',
+            'sync.disable': 'Desactivar sincronización',
+            'sync.status.off': 'Sincronización desactivada',
+            'sync.status.pending': 'Cambios pendientes de sincronizar',
+            'sync.status.syncing': 'Sincronizando…',
+            'sync.status.synced': 'Sincronizado',
+            'sync.status.offline': 'Sin conexión, se sincronizará al reconectar',
+            'sync.status.error': 'Error al sincronizar, reintentando',
+            'sync.codeDescription': 'Código de sincronización: {code}. Introdúcelo en otro dispositivo para usar allí el mismo progreso.',
+            'sync.offDescription': 'Activa la sincronización para guardar una copia de este perfil y usarlo en tus otros dispositivos.',
+            'sync.enabled': 'Sincronización activada. Usa el código para vincular tus otros dispositivos.',
+            'sync.linkPrompt': 'Introduce el código de sincronización que aparece en tu otro dispositivo:',
+            'sync.linked': '¡Vinculado! Se ha combinado el progreso de ambos dispositivos.',
+            'sync.confirmDisable': '¿Desactivar la sincronización en este dispositivo? Tu progreso se queda aquí y en la nube. Apunta el código ({code}) si quieres volver a vincular este dispositivo más adelante.',
+            'sync.errorBadCode': 'Eso no parece un código de sincronización. Cópialo exactamente como aparece en tu otro dispositivo.',
+            'sync.errorNoProgress': 'No hay progreso guardado con ese código. Revísalo e inténtalo de nuevo.',
+            'sync.errorUnreachable': 'No se pudo contactar con el servidor. Revisa tu conexión e inténtalo de nuevo.',
+
+            // --- Reset, export and import ---
+            'reset.confirm': '¿Seguro que quieres reiniciar TODO el progreso de este perfil?',
+            'reset.confirmSync': ' La sincronización se desactivará en este dispositivo y se conservará la copia en la nube.',
+            'reset.done': 'Se ha reiniciado el progreso.',
+            'export.done': 'Progreso exportado.',
+            'import.title': 'Importar progreso',
+            'import.replace': 'Sustituir',
+            'import.merge': 'Combinar',
+            'import.summary': {
+                one: 'Este archivo contiene un héroe de nivel {level} con {count} misión. ¿Sustituir tu progreso actual o combinar ambos?',
+                other: 'Este archivo contiene un héroe de nivel {level} con {count} misiones. ¿Sustituir tu progreso actual o combinar ambos?',
+            },
+            'import.failed': 'Error al importar: {message}',
+            'import.merged': 'Progreso combinado.',
+            'import.imported': 'Progreso importado.',
+            'import.errorNotExport': 'Este archivo no es una exportación de Questify.',
+            'import.errorNoVersion': 'Esta exportación no tiene un número de versión válido.',
+            'import.errorNewer': 'Esta exportación se hizo con una versión más reciente de Questify.',
+            'import.errorPlayer': 'Falta el nivel o la XP del jugador, o no son válidos.',
+            'import.errorNoQuests': 'Falta la lista de misiones.',
+            'import.errorQuest': 'Una de las misiones está incompleta.',
+            'import.errorTask': 'Una tarea de "{goal}" no es válida.',
+            'import.errorEvents': 'El historial de XP no es válido.',
+            'import.errorStreak': 'La racha no es válida.',
+            'import.errorAchievements': 'Los logros no son válidos.',
+            'import.errorJson': 'Este archivo no es JSON válido.',
+
+            // --- Dashboard ---
+            'dashboard.level': 'Nivel actual',
+            'dashboard.questsCompleted': 'Misiones completadas',
+            'dashboard.tasksCompleted': 'Tareas completadas',
+            'dashboard.lifetimeXp': 'XP total ganada',
+            'dashboard.currentStreak': 'Racha actual',
+            'dashboard.bestStreak': 'Mejor racha',
+            'dashboard.gold': 'Oro',
+            'dashboard.trophyCase': 'Vitrina de trofeos',
+            'dashboard.habits': 'Hábitos',
+            'dashboard.purchases': 'Recompensas compradas',
+            'dashboard.xpPerDay': 'XP por día',
+            'dashboard.tasksPerWeek': 'Tareas por semana',
+            'dashboard.xpTooltip': '{label}: {count} XP',
+            'dashboard.tasksTooltip': { one: '{label}: {count} tarea', other: '{label}: {count} tareas' },
+            'dashboard.earned': 'Conseguido el {date}',
+            'dashboard.locked': 'Bloqueado',
+            'dashboard.dayDone': '{date}: hecho',
+            'dashboard.noHabits': 'Aún no hay hábitos. Haz que una misión se repita para seguirla aquí.',
+            'dashboard.noLongerRepeats': 'Ya no se repite',
+            'dashboard.habitSummary': { one: '{schedule} · completada {count} vez', other: '{schedule} · completada {count} veces' },
+            'dashboard.noPurchases': 'Aún no has comprado recompensas. ¡Añade algunas en la tienda!',
+            'dashboard.focusTime': 'Tiempo de concentración',
+            'dashboard.focusByQuest': 'Por misión',
+            'dashboard.noFocus': 'Aún no hay sesiones de concentración. Pulsa "⏱ Concentrarse" en una tarea para empezar a registrar tu tiempo.',
+            'dashboard.focusNone': 'Aún no hay tiempo registrado',
+            'dashboard.focusDifficultyDetails': { one: '{average} por tarea · {total} en {count} tarea', other: '{average} por tarea · {total} en {count} tareas' },
+
+            // --- Shop ---
+            'shop.title': 'Tienda',
+            'shop.tagline': 'Gasta el oro de tus misiones en recompensas que eliges tú.',
+            'shop.gold': '🪙 Oro:',
+            'shop.namePlaceholder': 'Una recompensa, p. ej. 1 episodio de una serie',
+            'shop.nameLabel': 'Nombre de la recompensa',
+            'shop.costLabel': 'Precio en oro',
+            'shop.add': 'Añadir recompensa',
+            'shop.history': 'Historial de compras',
+            'shop.noRewards': 'Aún no hay recompensas. ¡Añade algo que te haga ilusión!',
+            'shop.noPurchases': 'Aún no has comprado nada.',
+            'shop.cost': '🪙 {cost}',
+            'shop.redeem': 'Canjear',
+            'shop.refund': 'Devolver',
+            'shop.needMoreGold': 'Necesitas {cost} de oro para eso. ¡Sigue con tus misiones!',
+            'shop.confirmBuy': '¿Gastar {cost} de oro en "{name}"?',
+            'shop.enjoy': '🎁 ¡Disfruta tu recompensa: {name}!',
+            'shop.confirmDelete': '¿Eliminar la recompensa "{name}"?',
+            'shop.confirmRefund': '¿Devolver "{name}" y recuperar {cost} de oro?',
+            'shop.purchaseDetails': '{cost} de oro · {date}',
+            'shop.refunded': ' · devuelta',
+            'shop.errorNameRequired': 'Ponle un nombre a la recompensa, como "1 episodio de una serie".',
+            'shop.errorNameTooLong': 'Los nombres de recompensa pueden tener como máximo {max} caracteres.',
+            'shop.errorCost': 'El precio debe ser un número entero de oro entre {min} y {max}.',
+
+            // --- Settings ---
+            'settings.title': 'Ajustes',
+            'settings.tagline': 'Adapta el juego a ti. Estos ajustes son de este perfil en este dispositivo.',
+            'settings.curveTitle': 'Curva de niveles',
+            'settings.curve': 'Curva',
+            'settings.curve.linear': 'Lineal: cada nivel cuesta una cantidad fija más',
+            'settings.curve.exponential': 'Exponencial: cada nivel cuesta un porcentaje más',
+            'settings.curve.custom': 'Tabla personalizada',
+            'settings.base': 'XP para el nivel 1',
+            'settings.step': 'XP extra por nivel',
+            'settings.growth': 'Crecimiento por nivel (%)',
+            'settings.table': 'XP por nivel',
+            'settings.tablePlaceholder': 'p. ej. 100, 150, 250, 400',
+            'settings.tableHint': 'Los niveles posteriores al final de la tabla siguen necesitando la última cantidad.',
+            'settings.curvePreview': 'XP necesaria para los niveles 1–{levels}: {costs}',
+            'settings.levelPreview': 'Con tus {lifetimeXp} XP totales, estarías en el nivel {level} ({xp} / {xpNeeded} XP).',
+            'settings.rewardsTitle': 'Recompensas',
+            'settings.xpEasy': 'XP de las tareas fáciles',
+            'settings.xpMedium': 'XP de las tareas medias',
+            'settings.xpHard': 'XP de las tareas difíciles',
+            'settings.goalBonus': 'Bonus de XP al completar una misión',
+            'settings.taskXpHint': 'La XP de las tareas se aplica a las tareas que añadas a partir de ahora. Las que ya tienes conservan su XP.',
+            'settings.focusTitle': 'Temporizador de concentración',
+            'settings.focusMinutes': 'Duración de la sesión (minutos)',
+            'settings.focusXp': 'XP por sesión terminada',
+            'settings.focusHint': 'Las sesiones que detienes antes de tiempo cuentan para el tiempo registrado, pero no dan XP.',
+            'settings.preferencesTitle': 'Preferencias',
+            'settings.confirmDialogs': 'Preguntar antes de eliminar una misión y antes de comprar, eliminar o devolver una recompensa',
+            'settings.confirmHint': 'Reiniciar todo el progreso y eliminar un perfil siempre piden confirmación.',
+            'settings.sounds': 'Reproducir sonidos al terminar tareas, misiones y sesiones de concentración, subir de nivel y comprar recompensas',
+            'settings.testSound': 'Probar un sonido',
+            'settings.save': 'Guardar ajustes',
+            'settings.restoreDefaults': 'Restaurar valores predeterminados',
+            'settings.saved': 'Ajustes guardados.',
+            'settings.savedNewLevel': 'Ajustes guardados. Con la nueva curva estás en el nivel {level}.',
+            'settings.defaultsRestored': 'Valores predeterminados restaurados. Pulsa "Guardar ajustes" para usarlos.',
+            'settings.errorWholeNumber': '{label} debe ser un número entero entre {min} y {max}.',
+            'settings.errorTableEmpty': 'Introduce la XP necesaria para al menos un nivel, p. ej. "100, 150, 250".',
+            'settings.errorTableTooLong': 'La tabla personalizada puede tener como máximo {max} niveles.',
+            'settings.labelBase': 'La XP para el nivel 1',
+            'settings.labelStep': 'La XP extra por nivel',
+            'settings.labelGrowth': 'El crecimiento por nivel',
+            'settings.labelGoalBonus': 'El bonus por completar una misión',
+            'settings.labelFocusMinutes': 'La duración de la sesión de concentración',
+            'settings.labelFocusXp': 'La XP por sesión de concentración',
+            'settings.labelTaskXp': 'La XP de las tareas de dificultad {difficulty}',
+            'settings.labelTableEntry': 'La XP para el nivel {level}',
+        },
+    };
+
+    // The language is saved next to the profile's game state, so deleting the profile deletes it too (see profiles.js).
+    const LOCALE_KEY = `${QuestifyProfiles.getStorageKey(QuestifyProfiles.getActive().id)}.locale`;
+
+    /**
+     * Picks the language to use: the one saved for this profile, otherwise the browser's language if it is supported.
+     * @returns {string} A key of LOCALES.
+     */
+    function readLocale() {
+        const saved = localStorage.getItem(LOCALE_KEY);
+        if (Object.prototype.hasOwnProperty.call(LOCALES, saved)) return saved;
+        const browserLocale = String(navigator.language || '').slice(0, 2).toLowerCase();
+        return Object.prototype.hasOwnProperty.call(LOCALES, browserLocale) ? browserLocale : DEFAULT_LOCALE;
+    }
+
+    // Like the profile, the language is read once when the page loads. Changing it reloads the page.
+    const locale = readLocale();
+
+    /**
+     * Returns the language in use.
+     * @returns {string} A key of LOCALES, e.g. 'es'.
+     */
+    function getLocale() {
+        return locale;
+    }
+
+    /**
+     * Saves the language for this profile. The page must be reloaded afterwards.
+     * @param {string} newLocale A key of LOCALES.
+     */
+    function setLocale(newLocale) {
+        if (!Object.prototype.hasOwnProperty.call(LOCALES, newLocale)) {
+            throw new Error(`Unknown language "${newLocale}".`);
+        }
+        localStorage.setItem(LOCALE_KEY, newLocale);
+    }
+
+    /**
+     * Formats a number for the language in use, e.g. 1234 becomes "1,234" in English and "1234" in Spanish.
+     * @param {number} value The number.
+     * @returns {string} The formatted number.
+     */
+    function formatNumber(value) {
+        return new Intl.NumberFormat(locale).format(value);
+    }
+
+    /**
+     * Formats a date for the language in use.
+     * @param {Date|number} value The date, or a timestamp.
+     * @param {object} options Intl.DateTimeFormat options. The default shows the date only.
+     * @returns {string} The formatted date.
+     */
+    function formatDate(value, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(locale, options).format(value);
+    }
+
+    /**
+     * Looks up a message and fills in its parameters. A message missing from the language falls back to English,
+     * and a message missing altogether shows its key, so a mistake is visible rather than blank.
+     * @param {string} key The message's key, e.g. 'quest.deleted'.
+     * @param {object} params Values for the "{name}" placeholders. Numbers are formatted for the language, and
+     *     'count' also picks the plural form.
+     * @returns {string} The translated text.
+     */
+    function t(key, params = {}) {
+        let message = MESSAGES[locale][key] !== undefined ? MESSAGES[locale][key] : MESSAGES[DEFAULT_LOCALE][key];
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(locale).select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined) return placeholder;
+            return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    /**
+     * Translates the fixed text of a page. 'data-i18n' sets an element's text, and 'data-i18n-placeholder',
+     * 'data-i18n-title' and 'data-i18n-aria-label' set those attributes.
+     * @param {ParentNode} root The part of the page to translate. Defaults to the whole page.
+     */
+    function applyToDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    // The page's language is set straight away (for screen readers), and its fixed text once the HTML has loaded.
+    document.documentElement.lang = locale;
+    document.addEventListener('DOMContentLoaded', () => applyToDocument());
+
+    return { LOCALES, getLocale, setLocale, formatNumber, formatDate, t, applyToDocument };
+})();
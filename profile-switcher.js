@@ -0,0 +1,126 @@
+// This file runs the profile switcher and the language picker in the header of every page.
+// Every change reloads the page, because each page reads the active profile's save (and language) only once, when it loads.
+document.addEventListener('DOMContentLoaded', () => {
+
+    const profileSelect = document.getElementById('profile-select');
+    const newProfileButton = document.getElementById('profile-new-button');
+    const renameProfileButton = document.getElementById('profile-rename-button');
+    const deleteProfileButton = document.getElementById('profile-delete-button');
+    const languageSelect = document.getElementById('language-select');
+
+    // The profile this page loaded. Another tab may switch the active profile, but this page keeps showing (and saving) this one.
+    const pageProfileId = QuestifyProfiles.getActive().id;
+
+    /**
+     * Finds this page's profile in the current list.
+     * @returns {object|undefined} The profile, or undefined if another tab deleted it.
+     */
+    function getPageProfile() {
+        return QuestifyProfiles.list().find(p => p.id === pageProfileId);
+    }
+
+    /**
+     * Finds this page's profile for a rename or delete. If another tab deleted it (and the storage event that reloads
+     * this page hasn't arrived yet), the user is told and the page reloads with the profile that is active now.
+     * @returns {object|undefined} The profile, or undefined if it no longer exists.
+     */
+    function getPageProfileOrReload() {
+        const profile = getPageProfile();
+        if (!profile) {
+            alert(QuestifyI18n.t('profile.errorMissing'));
+            window.location.reload();
+        }
+        return profile;
+    }
+
+    /**
+     * Fills the drop-down with every profile and selects this page's one.
+     */
+    function renderProfiles() {
+        profileSelect.innerHTML = '';
+        QuestifyProfiles.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = QuestifyProfiles.getName(profile);
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = pageProfileId;
+        deleteProfileButton.disabled = QuestifyProfiles.list().length <= 1; // The last profile can't be deleted.
+    }
+
+    /**
+     * Fills the language drop-down with every language, each written in its own language, and selects the current one.
+     */
+    function renderLanguages() {
+        languageSelect.innerHTML = '';
+        Object.entries(QuestifyI18n.LOCALES).forEach(([locale, name]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = name;
+            languageSelect.appendChild(option);
+        });
+        languageSelect.value = QuestifyI18n.getLocale();
+    }
+
+    /**
+     * Runs a profile change and reloads the page, or shows the error message if the change isn't allowed.
+     * @param {function} change The change to make.
+     */
+    function applyChange(change) {
+        try {
+            change();
+            window.location.reload();
+        } catch (error) {
+            alert(error.message);
+            renderProfiles();
+        }
+    }
+
+    // Switching profile.
+    profileSelect.addEventListener('change', () => {
+        applyChange(() => QuestifyProfiles.setActive(profileSelect.value));
+    });
+
+    // Creating a profile. The new profile is switched to straight away.
+    newProfileButton.addEventListener('click', () => {
+        const name = prompt(QuestifyI18n.t('profile.promptNew'));
+        if (name === null) return; // The user pressed "Cancel".
+        applyChange(() => QuestifyProfiles.setActive(QuestifyProfiles.create(name).id));
+    });
+
+    // Renaming this page's profile.
+    renameProfileButton.addEventListener('click', () => {
+        const profile = getPageProfileOrReload();
+        if (!profile) return;
+        const name = prompt(QuestifyI18n.t('profile.promptRename'), QuestifyProfiles.getName(profile));
+        if (name === null) return;
+        applyChange(() => QuestifyProfiles.rename(profile.id, name));
+    });
+
+    // Deleting this page's profile. A confirmation dialog is crucial, because all of its progress is deleted with it.
+    deleteProfileButton.addEventListener('click', () => {
+        const profile = getPageProfileOrReload();
+        if (!profile) return;
+        if (!confirm(QuestifyI18n.t('profile.confirmDelete', { name: QuestifyProfiles.getName(profile) }))) return;
+        applyChange(() => QuestifyProfiles.remove(profile.id));
+    });
+
+    // Switching language. The choice is saved for this page's profile.
+    languageSelect.addEventListener('change', () => {
+        applyChange(() => QuestifyI18n.setLocale(languageSelect.value));
+    });
+
+    // Another tab may add, rename or remove profiles, so the list is kept in sync with it.
+    // If this page's profile was deleted there, the page reloads instead of carrying on with a profile that no longer exists.
+    window.addEventListener('storage', (event) => {
+        if (event.key !== 'questifyProfiles') return;
+        if (getPageProfile()) {
+            renderProfiles();
+        } else {
+            window.location.reload();
+        }
+    });
+
+    renderProfiles();
+    renderLanguages();
+});
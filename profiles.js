@@ -0,0 +1,200 @@
+// This file manages local player profiles, so several people can share one browser without overwriting each other's progress.
+// The list of profiles is kept under its own Local Storage key, and each profile's game state is saved under a key
+// that includes the profile's id (e.g. 'questifyGameState:default'). It is shared by index.html and dashboard.html,
+// and must be loaded before i18n.js and state.js, which ask it which key to use.
+// Its error messages and the default profile's name come from i18n.js; they are only needed after every script has loaded.
+const QuestifyProfiles = (() => {
+
+    const PROFILES_KEY = 'questifyProfiles'; // Holds { activeId, profiles: [{ id, name, createdAt }] }. See getName for a null name.
+    const LEGACY_STATE_KEY = 'questifyGameState'; // Where the single save lived before profiles existed.
+    const STATE_KEY_SUFFIXES = ['', '.backup', '.corrupt', '.sync', '.locale']; // Every key state.js, sync.js and i18n.js use for one profile.
+    const DEFAULT_PROFILE_ID = 'default';
+    const MAX_NAME_LENGTH = 30;
+
+    /**
+     * Returns the Local Storage key that holds a profile's game state.
+     * @param {string} profileId The profile's id.
+     * @returns {string} The storage key.
+     */
+    function getStorageKey(profileId) {
+        return `${LEGACY_STATE_KEY}:${profileId}`;
+    }
+
+    /**
+     * Creates the profile the app starts with. It is created before i18n.js has loaded (which needs the profile to find
+     * its language), so it is saved without a name and getName shows it as 'profile.defaultName' in the chosen language.
+     * @returns {object} The default profile.
+     */
+    function createDefaultProfile() {
+        return { id: DEFAULT_PROFILE_ID, name: null, createdAt: Date.now() };
+    }
+
+    /**
+     * Returns the name to show for a profile.
+     * @param {object} profile A profile from the list.
+     * @returns {string} Its name, or the translated default name if it was never named.
+     */
+    function getName(profile) {
+        return profile.name === null ? QuestifyI18n.t('profile.defaultName') : profile.name;
+    }
+
+    /**
+     * Moves a value from one Local Storage key to another, if there is one to move.
+     * @param {string} fromKey The old key.
+     * @param {string} toKey The new key.
+     */
+    function moveItem(fromKey, toKey) {
+        const value = localStorage.getItem(fromKey);
+        if (value !== null) {
+            localStorage.setItem(toKey, value);
+            localStorage.removeItem(fromKey);
+        }
+    }
+
+    /**
+     * Creates the profile list the first time the app runs with profiles.
+     * A save from before profiles existed is moved into a default profile, along with its backup copies.
+     * @returns {object} The new profile list.
+     */
+    function createIndex() {
+        STATE_KEY_SUFFIXES.forEach(suffix => {
+            moveItem(`${LEGACY_STATE_KEY}${suffix}`, `${getStorageKey(DEFAULT_PROFILE_ID)}${suffix}`);
+        });
+        return {
+            activeId: DEFAULT_PROFILE_ID,
+            profiles: [createDefaultProfile()],
+        };
+    }
+
+    /**
+     * Reads the profile list, creating it if it doesn't exist yet and repairing it if it is damaged.
+     * @returns {object} The profile list, with 'activeId' and 'profiles'.
+     */
+    function readIndex() {
+        let index = null;
+        try {
+            index = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        } catch (error) {
+            console.error('Could not read the profile list:', error);
+        }
+
+        if (!index || !Array.isArray(index.profiles)) {
+            index = createIndex();
+        }
+        index.profiles = index.profiles.filter(p => p && typeof p.id === 'string' && (typeof p.name === 'string' || p.name === null));
+        if (index.profiles.length === 0) {
+            index.profiles.push(createDefaultProfile());
+        }
+        if (!index.profiles.some(p => p.id === index.activeId)) {
+            index.activeId = index.profiles[0].id;
+        }
+        writeIndex(index);
+        return index;
+    }
+
+    /**
+     * Saves the profile list.
+     * @param {object} index The profile list.
+     */
+    function writeIndex(index) {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(index));
+    }
+
+    /**
+     * Checks a profile name typed by the user. Each problem throws an Error whose message is shown to the user.
+     * @param {string} name The name to check.
+     * @returns {string} The name, trimmed.
+     */
+    function validateName(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error(QuestifyI18n.t('profile.errorNameRequired'));
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(QuestifyI18n.t('profile.errorNameTooLong', { max: MAX_NAME_LENGTH }));
+        }
+        return trimmed;
+    }
+
+    /**
+     * Lists every profile.
+     * @returns {Array} The profiles, each with an 'id', 'name' (shown with getName) and 'createdAt'.
+     */
+    function list() {
+        return readIndex().profiles;
+    }
+
+    /**
+     * Returns the profile that is currently in use.
+     * @returns {object} The active profile.
+     */
+    function getActive() {
+        const index = readIndex();
+        return index.profiles.find(p => p.id === index.activeId);
+    }
+
+    /**
+     * Switches to another profile. Pages only read the active profile when they load, so they must be reloaded afterwards.
+     * @param {string} profileId The profile to switch to.
+     */
+    function setActive(profileId) {
+        const index = readIndex();
+        if (!index.profiles.some(p => p.id === profileId)) {
+            throw new Error(QuestifyI18n.t('profile.errorMissing'));
+        }
+        index.activeId = profileId;
+        writeIndex(index);
+    }
+
+    /**
+     * Creates a new, empty profile. It is not switched to automatically.
+     * @param {string} name The profile's name.
+     * @returns {object} The new profile.
+     */
+    function create(name) {
+        const index = readIndex();
+        const profile = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: validateName(name),
+            createdAt: Date.now(),
+        };
+        index.profiles.push(profile);
+        writeIndex(index);
+        return profile;
+    }
+
+    /**
+     * Renames a profile.
+     * @param {string} profileId The profile to rename.
+     * @param {string} name The new name.
+     */
+    function rename(profileId, name) {
+        const index = readIndex();
+        const profile = index.profiles.find(p => p.id === profileId);
+        if (!profile) {
+            throw new Error(QuestifyI18n.t('profile.errorMissing'));
+        }
+        profile.name = validateName(name);
+        writeIndex(index);
+    }
+
+    /**
+     * Deletes a profile and all of its saved data. The last profile can't be deleted.
+     * If the active profile is deleted, the first remaining profile becomes active.
+     * @param {string} profileId The profile to delete.
+     */
+    function remove(profileId) {
+        const index = readIndex();
+        if (index.profiles.length <= 1) {
+            throw new Error(QuestifyI18n.t('profile.errorLastProfile'));
+        }
+        index.profiles = index.profiles.filter(p => p.id !== profileId);
+        if (index.activeId === profileId) {
+            index.activeId = index.profiles[0].id;
+        }
+        writeIndex(index);
+        STATE_KEY_SUFFIXES.forEach(suffix => localStorage.removeItem(`${getStorageKey(profileId)}${suffix}`));
+    }
+
+    return { getStorageKey, getName, list, getActive, setActive, create, rename, remove };
+})();
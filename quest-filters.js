@@ -0,0 +1,195 @@
+// This file contains the rules for tags, search, filters and sorting in the Quest Log sidebar.
+// A quest's tags are stored in its 'tags' field as a list of lowercase names, and each tag always gets the same color.
+// The chosen filters are saved with the rest of the state (as 'questLogFilters'), so the sidebar looks the same on the next visit.
+// It must be loaded before state.js, which uses DEFAULT_FILTERS and the option lists to validate saved filters.
+const QuestifyQuestFilters = (() => {
+
+    const MAX_TAGS_PER_QUEST = 5;
+    const MAX_TAG_LENGTH = 20;
+
+    // The filters used when nothing has been chosen. An empty 'tag' means every tag.
+    const DEFAULT_FILTERS = { tag: '', difficulty: 'any', status: 'all', date: 'any', sort: 'due' };
+
+    // The allowed values of each filter. The labels live in the sidebar's drop-downs in index.html.
+    const DIFFICULTY_FILTERS = ['any', 'Easy', 'Medium', 'Hard'];
+    const STATUS_FILTERS = ['all', 'active', 'completed', 'recurring', 'archived'];
+    const DATE_FILTERS = ['any', 'overdue', 'due-soon', 'no-due-date', 'recent'];
+    const SORTS = ['due', 'newest', 'oldest', 'name', 'progress'];
+
+    const DUE_SOON_DAYS = 7; // "Due this week" includes anything due in the next seven days.
+    const RECENT_DAYS = 7; // "Added this week" includes quests created in the last seven days.
+
+    // Tag colors, picked to stand out against the dark sidebar.
+    const TAG_COLORS = ['#4dff91', '#4da6ff', '#ffd24d', '#ff6b6b', '#c084fc', '#ff9f43', '#2dd4bf', '#f472b6'];
+
+    /**
+     * Cleans up a tag typed by the user. Each problem throws an Error whose message is shown to the user.
+     * @param {string} text The tag as typed.
+     * @returns {string} The tag, trimmed and in lowercase.
+     */
+    function normalizeTag(text) {
+        const tag = String(text || '').trim().replace(/^#/, '').replace(/\s+/g, ' ').toLowerCase();
+        if (!tag) {
+            throw new Error(QuestifyI18n.t('tags.errorEmpty'));
+        }
+        if (tag.length > MAX_TAG_LENGTH) {
+            throw new Error(QuestifyI18n.t('tags.errorTooLong', { max: MAX_TAG_LENGTH }));
+        }
+        return tag;
+    }
+
+    /**
+     * Adds a tag to a quest, returning a new quest. Adding a tag the quest already has changes nothing.
+     * @param {object} quest The quest.
+     * @param {string} text The tag as typed.
+     * @returns {object} The quest with the tag added.
+     */
+    function addTag(quest, text) {
+        const tag = normalizeTag(text);
+        const tags = quest.tags || [];
+        if (tags.includes(tag)) return quest;
+        if (tags.length >= MAX_TAGS_PER_QUEST) {
+            throw new Error(QuestifyI18n.t('tags.errorTooMany', { max: MAX_TAGS_PER_QUEST }));
+        }
+        return { ...quest, tags: [...tags, tag] };
+    }
+
+    /**
+     * Picks a tag's color. The color comes from the tag's name, so it is the same everywhere without being saved.
+     * @param {string} tag The tag.
+     * @returns {string} A CSS color.
+     */
+    function getTagColor(tag) {
+        let hash = 0;
+        for (const character of tag) {
+            hash = (hash * 31 + character.codePointAt(0)) % 1000003;
+        }
+        return TAG_COLORS[hash % TAG_COLORS.length];
+    }
+
+    /**
+     * Lists every tag used by any quest, in alphabetical order.
+     * @param {Array} quests All quests.
+     * @returns {Array} The tags.
+     */
+    function collectTags(quests) {
+        const tags = new Set();
+        quests.forEach(quest => (quest.tags || []).forEach(tag => tags.add(tag)));
+        return [...tags].sort();
+    }
+
+    /**
+     * Checks whether a quest matches the search text. The goal, tags, tasks and sub-steps are all searched.
+     * @param {object} quest The quest.
+     * @param {string} search The search text. Every word must appear somewhere, in any order.
+     * @returns {boolean} True if the quest matches.
+     */
+    function matchesSearch(quest, search) {
+        const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return true;
+
+        const texts = [quest.goal, ...(quest.tags || [])];
+        quest.tasks.forEach(task => {
+            texts.push(task.text);
+            (task.subtasks || []).forEach(subtask => texts.push(subtask.text));
+        });
+        const haystack = texts.join('\n').toLowerCase();
+        return words.every(word => haystack.includes(word));
+    }
+
+    /**
+     * Checks whether a quest passes the date filter.
+     * @param {object} quest The quest.
+     * @param {string} dateFilter One of DATE_FILTERS.
+     * @param {string} todayKey Today's day key.
+     * @returns {boolean} True if the quest passes.
+     */
+    function matchesDate(quest, dateFilter, todayKey) {
+        switch (dateFilter) {
+            case 'overdue':
+                return !quest.isComplete && Boolean(quest.deadline) && QuestifyDueDates.isOverdue(quest.deadline, todayKey);
+            case 'due-soon': {
+                if (!quest.deadline) return false;
+                const daysLeft = QuestifyDueDates.getDaysLeft(quest.deadline, todayKey);
+                return daysLeft >= 0 && daysLeft < DUE_SOON_DAYS;
+            }
+            case 'no-due-date':
+                return !quest.deadline;
+            case 'recent':
+                // A quest's id is the time it was created.
+                return typeof quest.id === 'number' && QuestifyStreaks.daysBetween(QuestifyStreaks.getDayKey(new Date(quest.id)), todayKey) < RECENT_DAYS;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Checks whether a quest passes every filter (but not the search, which is separate).
+     * @param {object} quest The quest.
+     * @param {object} filters The chosen filters.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {boolean} True if the quest passes.
+     */
+    function matchesFilters(quest, filters, todayKey = QuestifyStreaks.getDayKey()) {
+        // Archived quests only show up when they are asked for, and then nothing else does.
+        if (Boolean(quest.isArchived) !== (filters.status === 'archived')) return false;
+        if (filters.tag && !(quest.tags || []).includes(filters.tag)) return false;
+        if (filters.difficulty !== 'any' && !quest.tasks.some(t => t.difficulty === filters.difficulty)) return false;
+        if (filters.status === 'active' && quest.isComplete) return false;
+        if (filters.status === 'completed' && !quest.isComplete) return false;
+        if (filters.status === 'recurring' && !quest.recurrence) return false;
+        return matchesDate(quest, filters.date, todayKey);
+    }
+
+    /**
+     * Returns the share of a quest's tasks that are completed, from 0 to 1.
+     * @param {object} quest The quest.
+     * @returns {number} The progress.
+     */
+    function getProgress(quest) {
+        return quest.tasks.length === 0 ? 0 : quest.tasks.filter(t => t.completed).length / quest.tasks.length;
+    }
+
+    /**
+     * Returns a sorted copy of a list of quests.
+     * @param {Array} quests The quests.
+     * @param {string} sort One of SORTS.
+     * @returns {Array} The sorted quests.
+     */
+    function sortQuests(quests, sort) {
+        const comparators = {
+            due: QuestifyDueDates.compareQuests,
+            newest: (a, b) => (b.id > a.id ? 1 : b.id < a.id ? -1 : 0),
+            oldest: (a, b) => (a.id > b.id ? 1 : a.id < b.id ? -1 : 0),
+            name: (a, b) => a.goal.localeCompare(b.goal),
+            progress: (a, b) => getProgress(b) - getProgress(a),
+        };
+        return [...quests].sort(comparators[sort] || comparators.due);
+    }
+
+    /**
+     * Counts how many filters differ from the defaults. Sorting doesn't count, because it never hides anything.
+     * @param {object} filters The chosen filters.
+     * @returns {number} The number of active filters.
+     */
+    function countActiveFilters(filters) {
+        return ['tag', 'difficulty', 'status', 'date'].filter(key => filters[key] !== DEFAULT_FILTERS[key]).length;
+    }
+
+    return {
+        MAX_TAGS_PER_QUEST,
+        DEFAULT_FILTERS,
+        DIFFICULTY_FILTERS,
+        STATUS_FILTERS,
+        DATE_FILTERS,
+        SORTS,
+        normalizeTag,
+        addTag,
+        getTagColor,
+        collectTags,
+        matchesSearch,
+        matchesFilters,
+        sortQuests,
+        countActiveFilters,
+    };
+})();
@@ -0,0 +1,250 @@
+// This file is a simple, rule-based quest generator that works without the AI backend.
+// script.js falls back to it when the server says the AI is unavailable (503) or can't be reached at all,
+// so the player can still start a quest. The tasks it creates have the same { text, difficulty, xp } shape as the API's.
+// It works by matching the goal against keywords for a few common categories and picking tasks from that category's templates.
+// The templates are only written in English, so offline quests stay in English whatever language is chosen in i18n.js.
+const QuestifyGenerator = (() => {
+
+    // Repeating difficulty patterns for each "difficulty balance" option. These match DIFFICULTY_MIXES in api/app.py.
+    const DIFFICULTY_MIXES = {
+        balanced: ['Medium', 'Easy', 'Hard'],
+        easier: ['Easy', 'Easy', 'Medium'],
+        harder: ['Hard', 'Hard', 'Medium'],
+        any: ['Medium', 'Easy', 'Hard'], // Without the AI there is nothing to "decide", so 'any' behaves like 'balanced'.
+    };
+
+    // The template library. A goal is matched to the first category with a keyword that starts one of its words.
+    // Keywords only have to match the start of a word, so 'organi' matches "organize" and 'run' matches "running",
+    // but 'run' doesn't match "brunch" and 'read' doesn't match "already".
+    // "{goal}" in a template is replaced with the user's goal.
+    const CATEGORIES = [
+        {
+            id: 'fitness',
+            keywords: ['run', 'gym', 'fit', 'exercise', 'workout', 'weight', 'marathon', 'yoga', 'swim', 'muscle', 'walk', 'health'],
+            tasks: {
+                Easy: [
+                    'Lay out your workout clothes for tomorrow.',
+                    'Go for a 10-minute walk.',
+                    'Drink a full glass of water before each meal today.',
+                    'Do 5 minutes of stretching.',
+                ],
+                Medium: [
+                    'Complete a 20-minute workout.',
+                    'Write down a simple weekly exercise schedule.',
+                    'Prepare a healthy meal for tomorrow.',
+                    'Try a new exercise and learn its correct form.',
+                ],
+                Hard: [
+                    'Finish a 45-minute training session without skipping sets.',
+                    'Exercise on three separate days this week.',
+                    'Beat your personal best at one exercise.',
+                ],
+            },
+        },
+        {
+            id: 'learning',
+            keywords: ['learn', 'study', 'course', 'exam', 'language', 'read', 'book', 'skill', 'practice', 'class', 'test', 'math'],
+            tasks: {
+                Easy: [
+                    'Write down why you want to achieve "{goal}".',
+                    'Find one good beginner resource and bookmark it.',
+                    'Review your notes for 10 minutes.',
+                    'Make 5 flashcards of key ideas.',
+                ],
+                Medium: [
+                    'Study for 30 minutes without distractions.',
+                    'Summarise one chapter or lesson in your own words.',
+                    'Complete one practice exercise or quiz.',
+                    'Explain one thing you learned to a friend.',
+                ],
+                Hard: [
+                    'Finish a full lesson or chapter and test yourself on it.',
+                    'Take a complete practice test under real conditions.',
+                    'Build or write something small that uses what you learned.',
+                ],
+            },
+        },
+        {
+            id: 'chores',
+            keywords: ['clean', 'tidy', 'laundry', 'dishes', 'organi', 'declutter', 'house', 'room', 'garden', 'kitchen', 'chore', 'move'],
+            tasks: {
+                Easy: [
+                    'Set a 10-minute timer and tidy one surface.',
+                    'Take out the trash and recycling.',
+                    'Put away five things that are out of place.',
+                    'Make a list of every chore that needs doing.',
+                ],
+                Medium: [
+                    'Deep clean one room from top to bottom.',
+                    'Do a full load of laundry, including folding it.',
+                    'Sort through one drawer or shelf and remove what you don\'t need.',
+                    'Clean the kitchen after dinner.',
+                ],
+                Hard: [
+                    'Declutter a whole room and donate what you don\'t use.',
+                    'Finish every chore on your list in one session.',
+                    'Reorganise a closet or storage area completely.',
+                ],
+            },
+        },
+        {
+            id: 'writing',
+            keywords: ['write', 'writing', 'essay', 'novel', 'blog', 'story', 'article', 'journal', 'poem', 'thesis', 'report', 'letter'],
+            tasks: {
+                Easy: [
+                    'Write down three ideas for "{goal}".',
+                    'Free-write for 5 minutes without stopping.',
+                    'Read one example of the kind of writing you want to do.',
+                    'Set up a document and give it a working title.',
+                ],
+                Medium: [
+                    'Write a rough outline with the main sections.',
+                    'Write 300 words of a first draft.',
+                    'Edit one page of your draft for clarity.',
+                    'Rewrite your opening paragraph.',
+                ],
+                Hard: [
+                    'Finish a complete first draft.',
+                    'Write 1,000 words in a single session.',
+                    'Revise the whole draft and ask someone for feedback.',
+                ],
+            },
+        },
+        {
+            id: 'career',
+            keywords: ['job', 'career', 'resume', 'cv', 'interview', 'promotion', 'network', 'linkedin', 'portfolio', 'work'],
+            tasks: {
+                Easy: [
+                    'Update one section of your CV.',
+                    'Write down three roles or companies that interest you.',
+                    'Reach out to one person in your network.',
+                ],
+                Medium: [
+                    'Tailor your CV to one specific job posting.',
+                    'Practise answers to three common interview questions.',
+                    'Apply to one job that fits your goal.',
+                ],
+                Hard: [
+                    'Apply to three jobs with tailored cover letters.',
+                    'Do a full mock interview and note what to improve.',
+                    'Finish a portfolio piece that shows your best work.',
+                ],
+            },
+        },
+        {
+            id: 'finance',
+            keywords: ['money', 'save', 'saving', 'budget', 'debt', 'invest', 'finance', 'spend', 'bills', 'tax'],
+            tasks: {
+                Easy: [
+                    'Check your account balances and write them down.',
+                    'Cancel one subscription you don\'t use.',
+                    'Write down everything you spent today.',
+                ],
+                Medium: [
+                    'Create a simple monthly budget.',
+                    'Review last month\'s spending and find one thing to cut.',
+                    'Set up an automatic transfer to savings.',
+                ],
+                Hard: [
+                    'Stick to your budget for a whole week.',
+                    'Make a complete plan to pay off one debt.',
+                    'Gather every document you need for your taxes.',
+                ],
+            },
+        },
+    ];
+
+    // Used when no category matches. These are written to fit almost any goal.
+    const GENERAL_TASKS = {
+        Easy: [
+            'Write down what "done" looks like for "{goal}".',
+            'Spend 10 minutes researching how others approach "{goal}".',
+            'List the first three steps you can think of.',
+            'Clear 15 minutes in your calendar to work on this.',
+        ],
+        Medium: [
+            'Work on "{goal}" for 30 focused minutes.',
+            'Break the goal into a short checklist of milestones.',
+            'Gather everything you need to get started.',
+            'Ask someone for advice or help with one part of the goal.',
+        ],
+        Hard: [
+            'Complete the first milestone on your checklist.',
+            'Spend a full hour of uninterrupted work on "{goal}".',
+            'Tackle the part of the goal you have been avoiding.',
+        ],
+    };
+
+    /**
+     * Finds the template library that fits a goal best.
+     * @param {string} goal The user's goal.
+     * @returns {object} The matching category's tasks, or the general tasks if nothing matches.
+     */
+    function getTemplates(goal) {
+        const lowerGoal = goal.toLowerCase();
+        const category = CATEGORIES.find(c => c.keywords.some(keyword => new RegExp(`\\b${keyword}`).test(lowerGoal)));
+        return category ? category.tasks : GENERAL_TASKS;
+    }
+
+    /**
+     * Picks a random template of the given difficulty, avoiding any text that is already in use.
+     * If every template is taken, one from the general library is used; as a last resort a repeat is allowed.
+     * @param {string} goal The user's goal.
+     * @param {string} difficulty 'Easy', 'Medium' or 'Hard'.
+     * @param {Array} usedTexts Task texts that shouldn't be repeated.
+     * @returns {string} The task text.
+     */
+    function pickText(goal, difficulty, usedTexts) {
+        // A replacer function is used so that patterns like "$&" in the goal are inserted as typed.
+        const fill = template => template.replace(/\{goal\}/g, () => goal);
+        const isUnused = text => !usedTexts.includes(text);
+        const categoryTexts = getTemplates(goal)[difficulty].map(fill);
+        const generalTexts = GENERAL_TASKS[difficulty].map(fill);
+
+        let pool = categoryTexts.filter(isUnused);
+        if (pool.length === 0) pool = generalTexts.filter(isUnused);
+        if (pool.length === 0) pool = categoryTexts;
+        return pool[Math.floor(Math.random() * pool.length)];
+    }
+
+    /**
+     * Decides the difficulty of every task, sorted from easiest to hardest so the quest ramps up.
+     * @param {number} taskCount How many tasks to plan.
+     * @param {string} difficultyMix One of the keys in DIFFICULTY_MIXES.
+     * @returns {Array} The difficulties.
+     */
+    function planDifficulties(taskCount, difficultyMix) {
+        const pattern = DIFFICULTY_MIXES[difficultyMix] || DIFFICULTY_MIXES.balanced;
+        const planned = Array.from({ length: taskCount }, (_, i) => pattern[i % pattern.length]);
+        return planned.sort((a, b) => QuestifyState.DIFFICULTIES.indexOf(a) - QuestifyState.DIFFICULTIES.indexOf(b));
+    }
+
+    /**
+     * Generates the tasks for a new quest, following the same options as the generate endpoint.
+     * @param {string} goal The user's goal.
+     * @param {object} options The 'task_count' and 'difficulty_mix' chosen in the quest options.
+     * @returns {Array} The tasks, each with 'text', 'difficulty' and 'xp'.
+     */
+    function generateQuests(goal, options = {}) {
+        const usedTexts = [];
+        return planDifficulties(options.task_count || 3, options.difficulty_mix).map(difficulty => {
+            const text = pickText(goal, difficulty, usedTexts);
+            usedTexts.push(text);
+            return { text: text, difficulty: difficulty, xp: QuestifyState.XP_BY_DIFFICULTY[difficulty] };
+        });
+    }
+
+    /**
+     * Generates a single replacement task, like the refresh endpoint. The difficulty is chosen at random.
+     * @param {string} goal The user's goal.
+     * @param {Array} existingTasks The quest's current tasks, whose text shouldn't be repeated.
+     * @returns {object} The new task, with 'text', 'difficulty' and 'xp'.
+     */
+    function generateTask(goal, existingTasks = []) {
+        const difficulty = QuestifyState.DIFFICULTIES[Math.floor(Math.random() * QuestifyState.DIFFICULTIES.length)];
+        const text = pickText(goal, difficulty, existingTasks.map(t => t.text));
+        return { text: text, difficulty: difficulty, xp: QuestifyState.XP_BY_DIFFICULTY[difficulty] };
+    }
+
+    return { generateQuests, generateTask };
+})();
@@ -0,0 +1,88 @@
+// This file contains the schedule rules for recurring (habit) quests. A recurring quest never moves to "Completed";
+// instead its tasks are unchecked at the start of every new cycle, and each finished cycle is added to the quest's history.
+// A quest's schedule is stored in its 'recurrence' field as { cadence, cycleStart }, where 'cycleStart' is the day key
+// of the first day of the current cycle. Like streaks.js, the functions here return new objects instead of changing the originals.
+const QuestifyRecurrence = (() => {
+
+    // The available schedules. The "Repeat" menus show each one's 'cadence.*' label from i18n.js.
+    const CADENCES = ['daily', 'weekdays', 'weekly'];
+
+    /**
+     * Finds the first day of the cycle that contains the given day.
+     * Daily cycles are one day long. Weekday cycles are one weekday long, with the weekend counting towards Friday's cycle.
+     * Weekly cycles start on Monday, matching the weeks on the dashboard.
+     * @param {string} cadence One of CADENCES.
+     * @param {string} dayKey The day to look up. Defaults to today.
+     * @returns {string} The day key of the start of the cycle.
+     */
+    function getCycleStart(cadence, dayKey = QuestifyStreaks.getDayKey()) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        const weekday = date.getDay(); // 0 is Sunday, 6 is Saturday.
+
+        if (cadence === 'weekly') {
+            date.setDate(date.getDate() - ((weekday + 6) % 7));
+        } else if (cadence === 'weekdays' && (weekday === 0 || weekday === 6)) {
+            date.setDate(date.getDate() - (weekday === 0 ? 2 : 1));
+        }
+        return QuestifyStreaks.getDayKey(date);
+    }
+
+    /**
+     * Creates the recurrence field for a quest that starts repeating today.
+     * @param {string} cadence One of CADENCES.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {object} The new recurrence.
+     */
+    function createRecurrence(cadence, todayKey = QuestifyStreaks.getDayKey()) {
+        return { cadence: cadence, cycleStart: getCycleStart(cadence, todayKey) };
+    }
+
+    /**
+     * Checks whether the current cycle of a recurring quest has already been finished.
+     * @param {object} quest A recurring quest.
+     * @returns {boolean} True if the current cycle is in the quest's history.
+     */
+    function isCycleComplete(quest) {
+        return (quest.history || []).some(entry => entry.cycleStart === quest.recurrence.cycleStart);
+    }
+
+    /**
+     * Adds the current cycle to a quest's history. A cycle is only ever recorded once.
+     * @param {object} quest A recurring quest whose tasks are all completed.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {object} The quest with the updated history.
+     */
+    function recordCycle(quest, todayKey = QuestifyStreaks.getDayKey()) {
+        if (isCycleComplete(quest)) return quest;
+        const entry = { cycleStart: quest.recurrence.cycleStart, completedOn: todayKey };
+        return { ...quest, history: [...(quest.history || []), entry] };
+    }
+
+    /**
+     * Starts a new cycle if the current one has ended, unchecking every task and sub-step.
+     * @param {object} quest A recurring quest.
+     * @param {string} todayKey Today's day key. Defaults to today.
+     * @returns {object} The (possibly reset) 'quest', and 'isReset', which is true if a new cycle started.
+     */
+    function advance(quest, todayKey = QuestifyStreaks.getDayKey()) {
+        const cycleStart = getCycleStart(quest.recurrence.cadence, todayKey);
+        if (cycleStart === quest.recurrence.cycleStart) {
+            return { quest: quest, isReset: false };
+        }
+
+        // The completion time belongs to the old cycle, so it is removed along with the check mark.
+        const uncheck = ({ completedAt, ...item }) => ({ ...item, completed: false });
+        const resetQuest = {
+            ...quest,
+            recurrence: { ...quest.recurrence, cycleStart: cycleStart },
+            tasks: quest.tasks.map(task => ({
+                ...uncheck(task),
+                ...(task.subtasks ? { subtasks: task.subtasks.map(uncheck) } : {}),
+            })),
+        };
+        return { quest: resetQuest, isReset: true };
+    }
+
+    return { CADENCES, getCycleStart, createRecurrence, isCycleComplete, recordCycle, advance };
+})();
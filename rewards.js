@@ -0,0 +1,77 @@
+// This file contains the rules for gold and the reward shop. Gold is earned alongside XP and spent on rewards
+// the player defines for themselves, like "1 episode of a show" for 150 gold.
+// There is no saved gold balance: every event that earns or spends gold carries a 'gold' field, and the balance is
+// their sum. Undoing a task, refunding a purchase or merging two devices' histories therefore always leaves the
+// balance correct. A purchase is a 'reward_purchased' event, and a refund is a 'reward_refunded' event that points to it.
+// Rewards are saved in the state's 'rewards' list as { id, name, cost, createdAt, updatedAt }. A deleted reward is kept
+// with 'isDeleted' set, so cloud sync can tell a deletion from a reward the other device hasn't seen yet.
+// It is shared by index.html, dashboard.html and shop.html, and must be loaded before state.js.
+const QuestifyRewards = (() => {
+
+    // The gold earned for completing a task, by difficulty. Finishing a whole quest pays a bonus on top (see script.js).
+    const GOLD_BY_DIFFICULTY = { Easy: 10, Medium: 20, Hard: 30 };
+
+    const MAX_NAME_LENGTH = 60;
+    const MIN_COST = 1;
+    const MAX_COST = 100000;
+
+    /**
+     * Adds up the gold earned and spent across the event log.
+     * A purchase refunded on two devices before they synced has two refunds in the merged log, so only the first one counts.
+     * @param {Array} events The event log.
+     * @returns {number} The current balance. It can be negative if gold was spent and the task that earned it was undone.
+     */
+    function getBalance(events) {
+        const refundedPurchases = new Set();
+        return events.reduce((total, e) => {
+            if (e.type === 'reward_refunded') {
+                if (refundedPurchases.has(e.purchaseId)) return total;
+                refundedPurchases.add(e.purchaseId);
+            }
+            return total + (e.gold || 0);
+        }, 0);
+    }
+
+    /**
+     * Checks a reward typed by the user. Each problem throws an Error whose message is shown to the user.
+     * @param {string} name The reward's name.
+     * @param {*} cost The price in gold, as typed.
+     * @returns {object} The trimmed 'name' and whole-number 'cost'.
+     */
+    function validateReward(name, cost) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error(QuestifyI18n.t('shop.errorNameRequired'));
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(QuestifyI18n.t('shop.errorNameTooLong', { max: MAX_NAME_LENGTH }));
+        }
+        const price = Number(cost);
+        if (!Number.isInteger(price) || price < MIN_COST || price > MAX_COST) {
+            throw new Error(QuestifyI18n.t('shop.errorCost', { min: MIN_COST, max: MAX_COST }));
+        }
+        return { name: trimmed, cost: price };
+    }
+
+    /**
+     * Lists every purchase in the event log, newest first, with its refund if it was refunded.
+     * @param {Array} events The event log.
+     * @returns {Array} The purchases, each with 'id', 'rewardName', 'cost', 'timestamp' and 'refundedAt' (or null).
+     */
+    function getPurchases(events) {
+        const refunds = new Map();
+        events.filter(e => e.type === 'reward_refunded' && !refunds.has(e.purchaseId)).forEach(e => refunds.set(e.purchaseId, e.timestamp));
+        return events
+            .filter(e => e.type === 'reward_purchased')
+            .map(e => ({
+                id: e.id,
+                rewardName: e.rewardName,
+                cost: -e.gold,
+                timestamp: e.timestamp,
+                refundedAt: refunds.get(e.id) || null,
+            }))
+            .reverse();
+    }
+
+    return { GOLD_BY_DIFFICULTY, getBalance, validateReward, getPurchases };
+})();
@@ -10,18 +10,55 @@ document.addEventListener('DOMContentLoaded', () => {
     const questLogToggle = document.getElementById('quest-log-toggle');
     const goalInput = document.getElementById('goal-input');
     const submitGoalButton = document.getElementById('submit-goal');
+    const taskCountInput = document.getElementById('task-count-input');
+    const difficultyMixSelect = document.getElementById('difficulty-mix-select');
+    const deadlineInput = document.getElementById('deadline-input');
+    const contextInput = document.getElementById('context-input');
+    const repeatSelect = document.getElementById('repeat-select');
     const questLogList = document.getElementById('quest-log-list');
+    const questSearchInput = document.getElementById('quest-search-input');
+    const tagFilterSelect = document.getElementById('tag-filter-select');
+    const difficultyFilterSelect = document.getElementById('difficulty-filter-select');
+    const statusFilterSelect = document.getElementById('status-filter-select');
+    const dateFilterSelect = document.getElementById('date-filter-select');
+    const sortSelect = document.getElementById('sort-select');
+    const clearFiltersButton = document.getElementById('clear-filters-button');
+    const filterCountSpan = document.getElementById('filter-count');
+    const questLogSummary = document.getElementById('quest-log-summary');
     const completedQuestsList = document.getElementById('completed-quests-list');
     const currentGoalDisplay = document.getElementById('current-goal-display');
     const questsContainer = document.getElementById('quests-container');
     const levelSpan = document.getElementById('level');
     const xpCountSpan = document.getElementById('xp-count');
     const progressBar = document.getElementById('progress-bar');
+    const streakCountSpan = document.getElementById('streak-count');
+    const bestStreakSpan = document.getElementById('best-streak');
+    const streakFreezesSpan = document.getElementById('streak-freezes');
+    const goldCountSpan = document.getElementById('gold-count');
     const resetProgressButton = document.getElementById('reset-progress-button');
     const levelUpModal = document.getElementById('level-up-modal');
     const modalTitle = document.getElementById('modal-title');
     const modalMessage = document.getElementById('modal-message');
     const modalCloseButton = document.getElementById('modal-close-button');
+    const exportButton = document.getElementById('export-button');
+    const importButton = document.getElementById('import-button');
+    const importFileInput = document.getElementById('import-file-input');
+    const importModal = document.getElementById('import-modal');
+    const importModalMessage = document.getElementById('import-modal-message');
+    const importReplaceButton = document.getElementById('import-replace-button');
+    const importMergeButton = document.getElementById('import-merge-button');
+    const importCancelButton = document.getElementById('import-cancel-button');
+    const onTimeBonusInput = document.getElementById('on-time-bonus-input');
+    const remindersButton = document.getElementById('reminders-button');
+    const syncStatus = document.getElementById('sync-status');
+    const focusTimerBar = document.getElementById('focus-timer-bar');
+    const focusTimerTask = document.getElementById('focus-timer-task');
+    const focusTimerCountdown = document.getElementById('focus-timer-countdown');
+    const focusTimerStopButton = document.getElementById('focus-timer-stop-button');
+    const syncDescription = document.getElementById('sync-description');
+    const syncEnableButton = document.getElementById('sync-enable-button');
+    const syncLinkButton = document.getElementById('sync-link-button');
+    const syncDisableButton = document.getElementById('sync-disable-button');
 
     // =================================
     //  2. STATE VARIABLES
@@ -30,21 +67,59 @@ document.addEventListener('DOMContentLoaded', () => {
     let player = { level: 1, xp: 0 };
     let quests = [];
     let activeQuestId = null;
-    let levelUpPending = false; // A flag to handle the sequential display of "Goal Achieved" and "Level Up" modals.
-    const GOAL_COMPLETE_BONUS = 75; // A constant for the bonus XP awarded upon completing a main goal.
+    let events = []; // A timestamped history of every XP-affecting action, used by the dashboard.
+    let streak = QuestifyStreaks.createStreak(); // Consecutive days with at least one completed task.
+    let achievements = {}; // Unlocked achievements, keyed by achievement id, each with the date it was earned.
+    let pendingRequests = []; // AI requests made while offline, replayed in order once the connection returns.
+    let settings = { ...QuestifyState.DEFAULT_SETTINGS }; // The player's preferences, such as the on-time bonus.
+    let remindersSent = {}; // Due date reminders that have already been shown, keyed by reminder id, with the day they were shown.
+    let questLogFilters = { ...QuestifyQuestFilters.DEFAULT_FILTERS }; // The Quest Log's tag, difficulty, status and date filters, and its sort order.
+    let questSearch = ''; // The text in the Quest Log's search box. It only lasts until the page is closed, so it isn't saved.
+    let rewards = []; // The rewards the player has added in the shop. Only shop.js changes them; this page keeps them so saves don't drop them.
+    let deletedQuests = {}; // The ids of deleted quests, with when they were deleted, so cloud sync doesn't bring them back.
+    let undoneEvents = {}; // The keys of events removed from the log by undo, with when, so cloud sync doesn't bring their XP back.
+    let focusTimer = null; // The focus session running on a task, if any (see focus-timer.js). It is saved, so it survives a reload.
+    let questFingerprints = new Map(); // Each quest's content at the last save, used to notice which quests changed.
+    let savedEventKeys = new Set(); // The keys of the events in the log at the last save, used to notice which were undone.
+    let syncClient = null; // The cloud sync client for this page's profile, created during the initial load.
+    let isReplayingRequests = false; // Prevents the queue from being replayed twice at the same time.
+    let modalQueue = []; // Modals waiting to be shown, so "Goal Achieved", "Level Up" and achievements appear one after another.
+    let pendingImport = null; // A validated state from an import file, waiting for the user to choose "Replace" or "Merge".
+    let undoStack = []; // Snapshots of the state taken before each undoable action, most recent last.
+    let editingTaskId = null; // The id of the task currently open in the inline editor, if any.
+    let draggedTaskIndex = null; // The position of the task being dragged during a drag-and-drop reorder.
+    let expandedTaskIds = new Set(); // Tasks whose sub-steps are currently shown. This is view-only, so it isn't saved.
+    const GOAL_COMPLETE_GOLD = 50; // The gold paid alongside the goal bonus. Tasks pay gold by difficulty (see rewards.js).
+    const MAX_UNDO_STEPS = 20; // Older snapshots are dropped so the undo stack doesn't grow forever.
+    const MIN_TASKS_PER_QUEST = 1; // The range allowed for "Number of tasks". The backend enforces the same limits.
+    const MAX_TASKS_PER_QUEST = 10;
+    const EXPORT_SCHEMA_VERSION = 1; // Bumped whenever the shape of an exported file changes.
+    const REMINDER_CHECK_INTERVAL = 15 * 60 * 1000; // How often (in milliseconds) due dates are checked for reminders while the app is open.
+    const REMINDER_HISTORY_DAYS = 60; // Records of shown reminders are forgotten after this many days.
+    const RECURRENCE_CHECK_INTERVAL = 60 * 1000; // How often (in milliseconds) recurring quests are checked for a new cycle while the app is open.
+    const FOCUS_CHECK_INTERVAL = 1000; // How often (in milliseconds) the focus timer's countdown is updated.
+    const DATE_TIME_FORMAT = { dateStyle: 'medium', timeStyle: 'short' }; // How completion times are shown (see QuestifyI18n.formatDate).
 
     // =================================
     //  3. CORE FUNCTIONS
     // =================================
 
+    // Looks up the text shown to the player in the chosen language (see i18n.js).
+    const { t } = QuestifyI18n;
+
     // Handles the deletion of a main quest from the Quest Log.
     function handleDeleteQuest(questId) {
-        // A confirmation dialog is crucial for destructive actions.
-        const isConfirmed = confirm("Are you sure you want to delete this quest? This cannot be undone.");
+        // A confirmation dialog is crucial for destructive actions. The player can turn it off on the settings page, because deleting can be undone.
+        const isConfirmed = QuestifyConfig.confirmAction(settings, t('quest.confirmDelete'));
 
         if (isConfirmed) {
+            pushUndo('quest-deletion');
+            const quest = quests.find(q => q.id === questId);
             // Filters the main quests array, keeping everything EXCEPT the quest with the matching ID.
             quests = quests.filter(q => q.id !== questId);
+            if (quest) {
+                logEvent('quest_deleted', { questId: quest.id, goal: quest.goal });
+            }
 
             // If the deleted quest was the currently active one, reset the active view.
             if (activeQuestId === questId) {
@@ -55,60 +130,292 @@ document.addEventListener('DOMContentLoaded', () => {
             saveState();
             renderQuestLog();
             displayActiveQuest();
-            showToast("Quest deleted.");
+            showToast(t('quest.deleted'), false, UNDO_ACTION);
         }
     }
 
     /**
-     * Saves the current application state to the browser's Local Storage.
-     * This allows the user's progress to persist between sessions.
-     * The state object is converted to a JSON string because Local Storage can only store strings.
+     * Appends an entry to the event log. Every entry gets a timestamp so the dashboard can build a real history.
+     * @param {string} type The kind of event, e.g. 'task_completed' or 'level_up'.
+     * @param {object} details Extra data describing the event. XP-awarding events carry an 'xp' field.
      */
-    function saveState() {
-        const state = {
+    function logEvent(type, details = {}) {
+        // The id lets cloud sync recognise the same event when it comes back from another device.
+        events.push({ id: QuestifyState.createId(), type: type, timestamp: Date.now(), ...details });
+    }
+
+    /**
+     * Checks whether any days were missed since the player was last active, spending streak freezes to cover them.
+     * This runs on page load so the displayed streak is accurate even before the first task of the day.
+     */
+    function checkStreak() {
+        const result = QuestifyStreaks.reconcile(streak, QuestifyStreaks.getDayKey());
+        streak = result.streak;
+
+        if (result.freezesUsed > 0) {
+            logEvent('streak_freeze_used', { count: result.freezesUsed });
+            showToast(t('streak.freezeUsed', { count: result.freezesUsed }));
+        } else if (result.broken) {
+            logEvent('streak_broken', {});
+        }
+    }
+
+    /**
+     * Records today's activity in the streak and reports any freezes that were spent or earned along the way.
+     */
+    function extendStreak() {
+        const result = QuestifyStreaks.recordActivity(streak, QuestifyStreaks.getDayKey());
+        streak = result.streak;
+
+        if (result.freezesUsed > 0) {
+            logEvent('streak_freeze_used', { count: result.freezesUsed });
+        }
+        if (result.freezeEarned) {
+            logEvent('streak_freeze_earned', { streak: streak.current });
+            setTimeout(() => { showToast(t('streak.freezeEarned', { count: streak.current }), true); }, 1000);
+        }
+    }
+
+    /**
+     * Unlocks any achievements the player has earned since the last check and queues a modal for each one.
+     */
+    function checkAchievements() {
+        const newlyUnlocked = QuestifyAchievements.findNewUnlocks(getState());
+        newlyUnlocked.forEach(achievement => {
+            achievements[achievement.id] = { unlockedAt: Date.now() };
+            logEvent('achievement_unlocked', { achievementId: achievement.id });
+            queueModal(t('modal.achievementUnlocked'),
+                `${achievement.icon} ${t(`achievement.${achievement.id}.title`)}: ${t(`achievement.${achievement.id}.description`)}`);
+        });
+    }
+
+    /**
+     * Gathers all the state variables into a single object, in the shape that is saved to Local Storage.
+     * It carries the current schema version, so undo snapshots and exported files aren't mistaken for old saves and migrated again.
+     * @returns {object} The current game state.
+     */
+    function getState() {
+        return {
+            schemaVersion: QuestifyState.SCHEMA_VERSION,
             player: player,
             quests: quests,
             activeQuestId: activeQuestId,
+            events: events,
+            streak: streak,
+            achievements: achievements,
+            pendingRequests: pendingRequests,
+            settings: settings,
+            remindersSent: remindersSent,
+            deletedQuests: deletedQuests,
+            undoneEvents: undoneEvents,
+            rewards: rewards,
+            focusTimer: focusTimer,
+            questLogFilters: questLogFilters,
             isLogCollapsed: body.classList.contains('log-collapsed')
         };
-        localStorage.setItem('questifyGameState', JSON.stringify(state));
     }
 
     /**
-     * Loads the application state from Local Storage when the page is first opened.
-     * If a saved state exists, it parses the JSON string back into an object and updates the state variables.
+     * Saves the current application state to the browser's Local Storage through the shared state module.
+     * This allows the user's progress to persist between sessions.
+     * Every state change ends with a save, so this is also where achievements are evaluated.
+     */
+    function saveState() {
+        checkAchievements();
+        trackQuestChanges();
+        trackUndoneEvents();
+        QuestifyState.save(getState());
+        if (syncClient) syncClient.scheduleSync();
+    }
+
+    /**
+     * Returns a quest's content as text, leaving out 'updatedAt' so that only real changes count.
+     * @param {object} quest A quest.
+     * @returns {string} The quest's fingerprint.
+     */
+    function getQuestFingerprint(quest) {
+        const { updatedAt, ...content } = quest;
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Stamps every quest that changed since the last save with the current time, and records every quest that disappeared.
+     * Cloud sync uses these timestamps to decide which copy of a quest is newer when two devices both changed it.
+     */
+    function trackQuestChanges() {
+        const now = Date.now();
+        const currentIds = new Set();
+        quests = quests.map(quest => {
+            currentIds.add(quest.id);
+            const fingerprint = getQuestFingerprint(quest);
+            const isChanged = questFingerprints.get(quest.id) !== fingerprint;
+            questFingerprints.set(quest.id, fingerprint);
+            return isChanged ? { ...quest, updatedAt: now } : quest;
+        });
+        [...questFingerprints.keys()].forEach(id => {
+            if (!currentIds.has(id)) {
+                deletedQuests[id] = now;
+                questFingerprints.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Records every event that disappeared from the log since the last save, which happens when an action is undone.
+     * Without this, cloud sync would bring the event (and its XP and gold) back from another device's copy of the log.
+     */
+    function trackUndoneEvents() {
+        const now = Date.now();
+        const currentKeys = new Set(events.map(QuestifyState.getEventKey));
+        savedEventKeys.forEach(key => {
+            if (!currentKeys.has(key)) {
+                undoneEvents[key] = now;
+            }
+        });
+        savedEventKeys = currentKeys;
+    }
+
+    /**
+     * Records every quest's current content, and the current event log, as unchanged. This is used after loading a save
+     * or receiving changes from another device, which shouldn't count as new edits on this one.
+     */
+    function rememberQuestVersions() {
+        questFingerprints = new Map(quests.map(quest => [quest.id, getQuestFingerprint(quest)]));
+        savedEventKeys = new Set(events.map(QuestifyState.getEventKey));
+    }
+
+    /**
+     * Copies a normalized state object (from Local Storage or an imported file) into the state variables.
+     * @param {object} state The game state to apply.
+     */
+    function applyState(state) {
+        player = state.player;
+        quests = state.quests;
+        activeQuestId = state.activeQuestId;
+        events = state.events;
+        streak = state.streak;
+        achievements = state.achievements;
+        pendingRequests = state.pendingRequests;
+        settings = state.settings;
+        remindersSent = state.remindersSent;
+        deletedQuests = state.deletedQuests;
+        undoneEvents = state.undoneEvents;
+        rewards = state.rewards;
+        focusTimer = state.focusTimer;
+        questLogFilters = state.questLogFilters;
+        body.classList.toggle('log-collapsed', state.isLogCollapsed);
+    }
+
+    /**
+     * Takes a snapshot of the whole state before an undoable action.
+     * Restoring a full snapshot is what makes undo reliable: XP, goal bonuses, level ups, streaks and the event log all roll back together.
+     * @param {string} label The action, as one of the 'undo.*' keys in i18n.js (e.g. 'task-edit'). It is shown when the action is undone.
+     */
+    function pushUndo(label) {
+        removeUndoButtons();
+        undoStack.push({ label: label, snapshot: JSON.stringify(getState()) });
+        if (undoStack.length > MAX_UNDO_STEPS) {
+            undoStack.shift();
+        }
+    }
+
+    /**
+     * Removes the Undo button from every toast still on screen.
+     * Undo always reverts the newest action, so once a newer action is taken or undone, an older toast's button would undo the wrong thing.
+     */
+    function removeUndoButtons() {
+        document.querySelectorAll('.toast-notification .toast-action').forEach(button => button.remove());
+    }
+
+    /**
+     * Reverts the most recent undoable action by restoring the snapshot taken just before it.
+     */
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) {
+            showToast(t('undo.nothing'));
+            return;
+        }
+        removeUndoButtons();
+        const isLogCollapsed = body.classList.contains('log-collapsed');
+        const currentFilters = questLogFilters;
+        const currentTimer = focusTimer;
+        const currentUndoneEvents = undoneEvents;
+        applyState(QuestifyState.normalize(JSON.parse(entry.snapshot)));
+        body.classList.toggle('log-collapsed', isLogCollapsed); // Undo shouldn't move the sidebar or change its filters.
+        questLogFilters = currentFilters;
+        // The snapshot's list of undone events is older than this one, and forgetting an entry would let sync bring its XP back.
+        // The events this undo removes are added to the list when the state is saved below.
+        undoneEvents = currentUndoneEvents;
+        // A running focus timer keeps running. If none is running, the snapshot's timer comes back, which resumes the
+        // session that finishing or deleting its task ended.
+        focusTimer = currentTimer || focusTimer;
+
+        // Any "Goal Achieved" or "Level Up" messages from the undone action no longer apply.
+        modalQueue = [];
+        levelUpModal.classList.add('hidden');
+
+        saveState();
+        updateUI();
+        renderSettings();
+        renderQuestLog();
+        displayActiveQuest();
+        showToast(t('undo.done', { action: t(`undo.${entry.label}`) }));
+    }
+
+    // The "Undo" button shown on toasts for undoable actions.
+    const UNDO_ACTION = { label: t('undo.button'), onClick: undo };
+
+    /**
+     * Loads the application state when the page is first opened.
+     * The shared state module takes care of upgrading old saves and recovering from damaged ones.
      * It then calls the necessary functions to render the UI based on this loaded data.
      */
     function loadState() {
-        const savedState = localStorage.getItem('questifyGameState');
-        if (savedState) {
-            const state = JSON.parse(savedState);
-            player = state.player || { level: 1, xp: 0 };
-            quests = state.quests || [];
-            activeQuestId = state.activeQuestId;
-            if (state.isLogCollapsed) {
-                body.classList.add('log-collapsed');
-            }
+        const result = QuestifyState.load();
+        applyState(result.state);
+        rememberQuestVersions();
+        if (result.status === 'restored') {
+            showToast(t('load.restored'));
+        } else if (result.status === 'reset') {
+            showToast(t('load.newGame'));
         }
+        checkStreak();
+        checkRecurringQuests();
+        // Saving right away keeps any migrations and streak changes, and unlocks achievements earned before they existed.
+        saveState();
         // These functions are called to ensure the UI is in sync with the state on initial load.
         updateUI();
+        renderSettings();
         renderQuestLog();
         displayActiveQuest();
     }
 
     /**
      * Renders the lists of active and completed quests in the sidebar (Quest Log).
-     * It filters the main 'quests' array and dynamically creates HTML elements for each quest.
+     * It applies the search box, filters and sort order to the main 'quests' array and dynamically creates HTML elements for each quest.
      */
     function renderQuestLog() {
         questLogList.innerHTML = '';
         completedQuestsList.innerHTML = '';
+        renderQuestLogControls();
+
+        // Only the quests that match the search and every filter are shown, in the chosen order.
+        const todayKey = QuestifyStreaks.getDayKey();
+        const visibleQuests = QuestifyQuestFilters.sortQuests(
+            quests.filter(q => QuestifyQuestFilters.matchesFilters(q, questLogFilters, todayKey) && QuestifyQuestFilters.matchesSearch(q, questSearch)),
+            questLogFilters.sort
+        );
+        const activeQuests = visibleQuests.filter(q => !q.isComplete);
+        const completedQuests = visibleQuests.filter(q => q.isComplete);
 
-        const activeQuests = quests.filter(q => !q.isComplete);
-        const completedQuests = quests.filter(q => q.isComplete);
+        // The summary explains why some quests are missing, and how many.
+        const isFiltered = QuestifyQuestFilters.countActiveFilters(questLogFilters) > 0 || questSearch.trim() !== '';
+        questLogSummary.textContent = isFiltered ? t('log.showing', { visible: visibleQuests.length, total: quests.length }) : '';
 
-        if (activeQuests.length === 0) {
-            questLogList.innerHTML = '<p style="color: #888; text-align: center;">No active quests.</p>';
+        if (activeQuests.length === 0 && questLogFilters.status !== 'completed' && questLogFilters.status !== 'archived') {
+            const message = isFiltered ? t('log.noActiveMatch') : t('log.noActive');
+            questLogList.innerHTML = `<p style="color: #888; text-align: center;">${message}</p>`;
         } else {
             activeQuests.forEach(quest => {
                 const questItem = document.createElement('div');
@@ -142,8 +449,26 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (quest.id === activeQuestId) {
                     questItem.classList.add('active');
                 }
+                if (quest.isPending) {
+                    questItem.classList.add('pending');
+                }
+                if (quest.recurrence) {
+                    questItem.classList.add('recurring');
+                    questItem.classList.toggle('cycle-done', QuestifyRecurrence.isCycleComplete(quest));
+                }
+                if (quest.source === 'offline') {
+                    questItem.classList.add('offline-generated');
+                    questItem.title = t('log.generatedOffline');
+                }
 
                 questItem.appendChild(textSpan);
+                if (quest.tags && quest.tags.length > 0) {
+                    questItem.appendChild(createTagDots(quest.tags));
+                }
+                if (quest.deadline) {
+                    questItem.appendChild(createDueLabel(quest.deadline, 'quest-log-due'));
+                    questItem.classList.toggle('overdue', QuestifyDueDates.isOverdue(quest.deadline));
+                }
                 questItem.appendChild(deleteButton);
                 questLogList.appendChild(questItem);
             });
@@ -153,272 +478,2413 @@ document.addEventListener('DOMContentLoaded', () => {
             const questItem = document.createElement('div');
             questItem.className = 'quest-log-item completed';
             
-            // Completed quests don't get a delete button, just text.
+            // Completed quests don't get a delete button. Clicking one opens its read-only summary.
             const textSpan = document.createElement('span');
             textSpan.className = 'quest-log-text';
             textSpan.textContent = quest.goal;
             questItem.appendChild(textSpan);
+            questItem.addEventListener('click', () => {
+                activeQuestId = quest.id;
+                saveState();
+                renderQuestLog();
+                displayActiveQuest();
+            });
+            if (quest.id === activeQuestId) {
+                questItem.classList.add('active');
+            }
+            if (quest.isArchived) {
+                questItem.classList.add('archived');
+            }
+            if (quest.tags && quest.tags.length > 0) {
+                questItem.appendChild(createTagDots(quest.tags));
+            }
 
             completedQuestsList.appendChild(questItem);
         });
     }
-    
+
     /**
-     * Renders the detailed view (list of tasks) for the currently selected active quest.
+     * Shows the saved filters in the Quest Log's drop-downs. The tag list is rebuilt each time, because tags come and go.
      */
-    function displayActiveQuest() {
-        const quest = quests.find(q => q.id === activeQuestId);
-        if (!quest) {
-            currentGoalDisplay.textContent = 'Select a quest from your log or add a new one.';
-            questsContainer.innerHTML = '';
-            return;
+    function renderQuestLogControls() {
+        tagFilterSelect.innerHTML = '';
+        const tags = QuestifyQuestFilters.collectTags(quests);
+        // A saved tag filter stays selectable even after its last quest loses the tag, so it is never hidden from the user.
+        if (questLogFilters.tag && !tags.includes(questLogFilters.tag)) {
+            tags.push(questLogFilters.tag);
         }
+        [['', t('filters.allTags')], ...tags.map(tag => [tag, `#${tag}`])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            tagFilterSelect.appendChild(option);
+        });
 
-        currentGoalDisplay.textContent = `Your Quest: "${quest.goal}"`;
-        questsContainer.innerHTML = ''; // Clear any previously displayed tasks.
-
-        quest.tasks.forEach((task, index) => {
-            // Dynamically create the HTML for each task item.
-            const taskItem = document.createElement('div');
-            taskItem.className = 'quest-item';
+        tagFilterSelect.value = questLogFilters.tag;
+        difficultyFilterSelect.value = questLogFilters.difficulty;
+        statusFilterSelect.value = questLogFilters.status;
+        dateFilterSelect.value = questLogFilters.date;
+        sortSelect.value = questLogFilters.sort;
 
-            const questLabelContainer = document.createElement('div');
-            questLabelContainer.className = 'quest-label-container';
-            
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.id = `quest-${quest.id}-task-${index}`;
-            checkbox.checked = task.completed;
-            checkbox.dataset.xp = task.xp;
-            checkbox.addEventListener('change', () => handleTaskCompletion(quest.id, index));
-            
-            const label = document.createElement('label');
-            label.htmlFor = `quest-${quest.id}-task-${index}`;
-            label.textContent = task.text;
-            
-            questLabelContainer.appendChild(checkbox);
-            questLabelContainer.appendChild(label);
-            
-            const controlsContainer = document.createElement('div');
-            controlsContainer.style.display = 'flex';
-            controlsContainer.style.alignItems = 'center';
+        const activeFilterCount = QuestifyQuestFilters.countActiveFilters(questLogFilters);
+        filterCountSpan.textContent = activeFilterCount > 0 ? `(${activeFilterCount})` : '';
+    }
 
-            const badge = document.createElement('span');
-            badge.className = `difficulty-badge difficulty-${task.difficulty.toLowerCase()}`;
-            badge.textContent = task.difficulty;
-            controlsContainer.appendChild(badge);
+    /**
+     * Saves the filters chosen in the Quest Log's drop-downs and shows the matching quests.
+     */
+    function handleFilterChange() {
+        questLogFilters = {
+            tag: tagFilterSelect.value,
+            difficulty: difficultyFilterSelect.value,
+            status: statusFilterSelect.value,
+            date: dateFilterSelect.value,
+            sort: sortSelect.value,
+        };
+        saveState();
+        renderQuestLog();
+    }
 
-            if (task.completed) {
-                checkbox.disabled = true;
-                label.classList.add('completed');
-                badge.classList.add('completed');
-            } else {
-                const refreshButton = document.createElement('button');
-                refreshButton.className = 'refresh-button';
-                refreshButton.textContent = 'Refresh';
-                refreshButton.addEventListener('click', (e) => handleRefreshTask(quest.id, index, e));
-                controlsContainer.appendChild(refreshButton);
-            }
+    /**
+     * Clears the search and every filter. The sort order is kept, because it never hides anything.
+     */
+    function clearQuestLogFilters() {
+        questLogFilters = { ...QuestifyQuestFilters.DEFAULT_FILTERS, sort: questLogFilters.sort };
+        questSearch = '';
+        questSearchInput.value = '';
+        saveState();
+        renderQuestLog();
+    }
 
-            taskItem.appendChild(questLabelContainer);
-            taskItem.appendChild(controlsContainer);
-            questsContainer.appendChild(taskItem);
+    /**
+     * Builds the small colored dots that show a quest's tags in the Quest Log.
+     * @param {Array} tags The quest's tags.
+     * @returns {HTMLElement} The dots.
+     */
+    function createTagDots(tags) {
+        const container = document.createElement('span');
+        container.className = 'quest-log-tags';
+        container.title = tags.map(tag => `#${tag}`).join(' ');
+        tags.forEach(tag => {
+            const dot = document.createElement('span');
+            dot.className = 'tag-dot';
+            dot.style.backgroundColor = QuestifyQuestFilters.getTagColor(tag);
+            container.appendChild(dot);
         });
+        return container;
     }
 
     /**
-     * Handles the submission of a new goal. It calls the backend API to generate tasks.
-     * The 'async' keyword allows the use of 'await' for the network request.
+     * Builds the row with the quest's tags, each with a button to remove it, and a box for adding a new one.
+     * The box suggests the tags already used on other quests.
+     * @param {object} quest The active quest.
+     * @returns {HTMLElement} The tag row.
      */
-    async function handleGoalSubmission() {
-        const goal = goalInput.value.trim();
-        if (!goal) return; // Do nothing if the input is empty.
+    function createTagRow(quest) {
+        const row = document.createElement('div');
+        row.className = 'tag-row';
 
-        submitGoalButton.disabled = true;
-        submitGoalButton.textContent = 'Generating...';
+        (quest.tags || []).forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.style.borderColor = QuestifyQuestFilters.getTagColor(tag);
+            chip.textContent = `#${tag}`;
 
-        try {
-            // The 'fetch' API is used to send a POST request to the Python backend.
-            const response = await fetch('/api/generate-quests', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ goal: goal }),
+            const removeButton = document.createElement('button');
+            removeButton.className = 'tag-remove-button';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', t('tags.remove', { tag: tag }));
+            removeButton.addEventListener('click', () => handleRemoveTag(quest.id, tag));
+            chip.appendChild(removeButton);
+            row.appendChild(chip);
+        });
+
+        const suggestions = document.createElement('datalist');
+        suggestions.id = 'tag-suggestions';
+        QuestifyQuestFilters.collectTags(quests)
+            .filter(tag => !(quest.tags || []).includes(tag))
+            .forEach(tag => {
+                const option = document.createElement('option');
+                option.value = tag;
+                suggestions.appendChild(option);
             });
-            if (!response.ok) throw new Error('Failed to fetch quests');
-            
-            const data = await response.json();
 
-            // Creates a new quest object with a unique ID based on the current timestamp.
-            const newQuest = {
-                id: Date.now(),
-                goal: goal,
-                tasks: data.quests.map(task => ({ ...task, completed: false })),
-                isComplete: false,
-            };
+        const tagInput = document.createElement('input');
+        tagInput.type = 'text';
+        tagInput.className = 'tag-input';
+        tagInput.placeholder = t('tags.placeholder');
+        tagInput.setAttribute('list', suggestions.id);
+        tagInput.setAttribute('aria-label', t('tags.label'));
+        tagInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') handleAddTag(quest.id, tagInput.value);
+        });
+
+        const addButton = document.createElement('button');
+        addButton.className = 'refresh-button';
+        addButton.textContent = t('tags.add');
+        addButton.addEventListener('click', () => handleAddTag(quest.id, tagInput.value));
 
-            quests.push(newQuest);
-            activeQuestId = newQuest.id; // The new quest becomes the active one.
-            goalInput.value = '';
+        row.appendChild(tagInput);
+        row.appendChild(suggestions);
+        row.appendChild(addButton);
+        return row;
+    }
 
-            // Update state and UI.
-            saveState();
-            renderQuestLog();
-            displayActiveQuest();
+    /**
+     * Adds a tag to a quest, or explains why it can't be added.
+     * @param {number} questId The quest to tag.
+     * @param {string} text The tag as typed.
+     */
+    function handleAddTag(questId, text) {
+        const index = quests.findIndex(q => q.id === questId);
+        if (index === -1) return;
 
+        let taggedQuest;
+        try {
+            taggedQuest = QuestifyQuestFilters.addTag(quests[index], text);
         } catch (error) {
-            showToast("Could not generate new quest.");
-        } finally {
-            // The 'finally' block ensures this code runs whether the request succeeded or failed.
-            submitGoalButton.disabled = false;
-            submitGoalButton.textContent = 'Add New Quest';
+            showToast(error.message);
+            return;
         }
+        if (taggedQuest === quests[index]) return; // The quest already has this tag.
+
+        pushUndo('new-tag');
+        quests[index] = taggedQuest;
+        saveState();
+        renderQuestLog();
+        displayActiveQuest();
     }
-    
+
     /**
-     * Handles the completion of a single task. This is the core game loop function.
-     * It awards XP, checks for goal completion, checks for level ups, and triggers UI updates.
+     * Removes a tag from a quest.
+     * @param {number} questId The quest.
+     * @param {string} tag The tag to remove.
      */
-    function handleTaskCompletion(questId, taskIndex) {
+    function handleRemoveTag(questId, tag) {
         const quest = quests.find(q => q.id === questId);
-        if (!quest) return;
+        if (!quest || !(quest.tags || []).includes(tag)) return;
 
-        const task = quest.tasks[taskIndex];
-        if (task.completed) return; // Prevents earning XP multiple times for the same task.
+        pushUndo('tag-removal');
+        quest.tags = quest.tags.filter(existing => existing !== tag);
+        saveState();
+        renderQuestLog();
+        displayActiveQuest();
+    }
 
-        task.completed = true;
-        const xpGained = parseInt(task.xp, 10);
-        player.xp += xpGained;
-        showToast(`+${xpGained} XP`);
-        
-        displayActiveQuest(); // Re-render immediately to show the checked state.
-        
-        let leveledUp = false;
-        const allTasksCompleted = quest.tasks.every(t => t.completed);
+    /**
+     * Renders the detailed view (list of tasks) for the currently selected active quest, and the focus timer bar above it.
+     */
+    function displayActiveQuest() {
+        renderFocusTimer(); // The focus timer bar sits above the quest, so it is refreshed along with it.
+        const quest = quests.find(q => q.id === activeQuestId);
+        if (!quest) {
+            currentGoalDisplay.textContent = t('quest.selectPrompt');
+            questsContainer.innerHTML = '';
+            return;
+        }
 
-        if (allTasksCompleted) {
-            quest.isComplete = true; // Mark the parent quest as complete.
-            player.xp += GOAL_COMPLETE_BONUS;
-            // A timeout provides a slight delay for the bonus toast, making the UI feel less cluttered.
-            setTimeout(() => { showToast(`+${GOAL_COMPLETE_BONUS} Goal Bonus!`, true); }, 500);
-            renderQuestLog(); // Re-render the log to move the quest to the "Completed" section.
+        currentGoalDisplay.textContent = t('quest.title', { goal: quest.goal });
+        questsContainer.innerHTML = ''; // Clear any previously displayed tasks.
+
+        // Finished quests can't be changed, so they get a read-only summary instead of the usual task list.
+        if (quest.isComplete) {
+            displayCompletedQuest(quest);
+            return;
         }
 
-        // A 'while' loop is used to handle cases where a user might gain enough XP to level up multiple times at once.
-        while (player.xp >= getXpForLevel(player.level)) {
-            const xpNeeded = getXpForLevel(player.level);
-            player.xp -= xpNeeded;
-            player.level++;
-            leveledUp = true;
+        // A quest created while offline has no tasks until its queued request is replayed.
+        if (quest.isPending) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'pending-message';
+            placeholder.textContent = t('quest.pendingOffline');
+            questsContainer.appendChild(placeholder);
+            return;
         }
 
-        // This logic determines which modal to show, prioritizing the "Goal Achieved" message.
-        if (allTasksCompleted) {
-            modalTitle.textContent = 'Goal Achieved!';
-            modalMessage.innerHTML = `You completed "${quest.goal}" and earned a ${GOAL_COMPLETE_BONUS} XP bonus!`;
-            modalCloseButton.textContent = 'Continue';
-            levelUpModal.classList.remove('hidden');
-            if (leveledUp) {
-                levelUpPending = true; // Queue the level up modal to show next.
-            }
-        } else if (leveledUp) {
-            modalTitle.textContent = 'Level Up!';
-            modalMessage.textContent = `You've reached Level ${player.level}!`;
-            modalCloseButton.textContent = 'Continue';
-            levelUpModal.classList.remove('hidden');
+        // Quests made by the built-in generator are labelled, with a button to replace their tasks once the AI is back.
+        if (quest.source === 'offline') {
+            questsContainer.appendChild(createOfflineNotice(quest));
         }
-        
-        updateUI();
-        saveState();
+        questsContainer.appendChild(createDueDateRow(quest));
+        questsContainer.appendChild(createTagRow(quest));
+        questsContainer.appendChild(createRecurrenceRow(quest));
+
+        quest.tasks.forEach((task, index) => {
+            const taskItem = task.id === editingTaskId
+                ? createTaskEditor(quest, task, index)
+                : createTaskItem(quest, task, index);
+            questsContainer.appendChild(taskItem);
+            if (expandedTaskIds.has(task.id)) {
+                questsContainer.appendChild(createSubtaskPanel(quest, task, index));
+            }
+        });
+
+        questsContainer.appendChild(createAddTaskRow(quest));
     }
-    
+
     /**
-     * Handles refreshing a single task by calling the dedicated backend endpoint.
+     * Works out when a quest and each of its tasks were completed, and how much XP the quest earned in total.
+     * Quests finished before completion times were stored get their times from the event log instead.
+     * @param {object} quest A completed quest.
+     * @returns {object} The quest's 'completedAt', each task's completion time in 'taskTimes' (keyed by task id), and 'totalXp'.
      */
-    async function handleRefreshTask(questId, taskIndex, event) {
-        const quest = quests.find(q => q.id === questId);
-        if (!quest) return;
-        const refreshButton = event.target;
-        refreshButton.disabled = true;
-        refreshButton.textContent = '...';
-        try {
-            const response = await fetch('/api/refresh-quest', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    goal: quest.goal,
-                    existing_quests: quest.tasks,
-                    quest_to_replace: quest.tasks[taskIndex]
-                }),
-            });
-            if (!response.ok) throw new Error('Failed to refresh task.');
-            const data = await response.json();
-            // Replaces the old task object with the new one from the server.
-            quest.tasks[taskIndex] = { ...data.new_quest, completed: false };
-            
-            displayActiveQuest();
-            saveState();
-        } catch (error) {
-            showToast("Could not refresh task.");
-            refreshButton.disabled = false; // Re-enable the button if the refresh fails.
-            refreshButton.textContent = 'Refresh';
-        }
+    function getQuestRecord(quest) {
+        const questEvents = events.filter(e => e.questId === quest.id);
+        const taskTimes = new Map();
+        quest.tasks.forEach(task => {
+            const event = [...questEvents].reverse().find(e => e.type === 'task_completed'
+                && (e.taskId ? e.taskId === task.id : e.taskText === task.text));
+            const completedAt = task.completedAt || (event && event.timestamp);
+            if (completedAt) taskTimes.set(task.id, completedAt);
+        });
+        const goalEvent = questEvents.find(e => e.type === 'goal_bonus');
+        return {
+            completedAt: quest.completedAt || (goalEvent && goalEvent.timestamp) || null,
+            taskTimes: taskTimes,
+            totalXp: questEvents.reduce((total, e) => total + (e.xp || 0), 0),
+        };
     }
-    
+
     /**
-     * Updates all UI elements related to player stats (Level, XP, progress bar).
-     * This is a dedicated function to avoid repeating code.
+     * Renders the read-only summary of a completed quest: when it was finished, the XP it earned, and every task
+     * with its difficulty, XP and completion time. Time tracked with the focus timer is added where there is some. It also holds the "Replay quest" and "Archive" buttons.
+     * @param {object} quest The completed quest.
      */
-    function updateUI() {
-        const xpNeeded = getXpForLevel(player.level);
-        levelSpan.textContent = player.level;
-        xpCountSpan.textContent = `${player.xp} / ${xpNeeded}`;
-        progressBar.style.width = `${(player.xp / xpNeeded) * 100}%`;
+    function displayCompletedQuest(quest) {
+        const record = getQuestRecord(quest);
+        const summary = document.createElement('div');
+        summary.className = 'quest-summary';
+
+        const details = document.createElement('p');
+        details.className = 'quest-summary-details';
+        const finishedText = record.completedAt
+            ? t('summary.completedAt', { date: QuestifyI18n.formatDate(record.completedAt, DATE_TIME_FORMAT) })
+            : t('summary.completed');
+        details.textContent = t('summary.details', { finished: finishedText, xp: record.totalXp });
+        const questFocusTime = QuestifyFocus.getTimeByQuest(events).get(quest.id) || 0;
+        if (questFocusTime > 0) {
+            details.textContent += t('focus.timeSuffix', { time: QuestifyFocus.formatDuration(questFocusTime) });
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'quest-summary-actions';
+        const replayButton = document.createElement('button');
+        replayButton.className = 'refresh-button';
+        replayButton.textContent = t('summary.replay');
+        replayButton.title = t('summary.replayTitle');
+        replayButton.addEventListener('click', () => handleReplayQuest(quest.id));
+        const archiveButton = document.createElement('button');
+        archiveButton.className = 'refresh-button';
+        archiveButton.textContent = quest.isArchived ? t('summary.unarchive') : t('summary.archive');
+        archiveButton.title = quest.isArchived ? t('summary.unarchiveTitle') : t('summary.archiveTitle');
+        archiveButton.addEventListener('click', () => handleToggleArchive(quest.id));
+        actions.appendChild(replayButton);
+        actions.appendChild(archiveButton);
+
+        summary.appendChild(details);
+        summary.appendChild(actions);
+        questsContainer.appendChild(summary);
+
+        quest.tasks.forEach(task => {
+            const row = document.createElement('div');
+            row.className = 'quest-item completed-task-row';
+
+            const text = document.createElement('div');
+            text.className = 'completed-task-text';
+            const label = document.createElement('span');
+            label.textContent = task.text;
+            const time = document.createElement('span');
+            time.className = 'completed-task-time';
+            time.textContent = record.taskTimes.has(task.id)
+                ? t('summary.completedAt', { date: QuestifyI18n.formatDate(record.taskTimes.get(task.id), DATE_TIME_FORMAT) })
+                : t('summary.taskTimeUnknown');
+            const taskFocusTime = QuestifyFocus.getTaskTime(events, task.id);
+            if (taskFocusTime > 0) {
+                time.textContent += t('focus.timeSuffix', { time: QuestifyFocus.formatDuration(taskFocusTime) });
+            }
+            text.appendChild(label);
+            text.appendChild(time);
+
+            const badge = document.createElement('span');
+            badge.className = `difficulty-badge difficulty-${task.difficulty.toLowerCase()}`;
+            badge.textContent = t('task.badge', { difficulty: t(`difficulty.${task.difficulty}`), xp: task.xp });
+
+            row.appendChild(text);
+            row.appendChild(badge);
+            questsContainer.appendChild(row);
+        });
     }
-    
+
     /**
-     * Resets all progress after getting user confirmation.
+     * Starts a completed quest again as a new quest, with the same goal, tags and tasks, all unchecked.
+     * The original stays in the log as it was, so its history and XP are kept.
+     * @param {number} questId The completed quest to replay.
      */
-    function resetProgress() {
-        // The 'confirm' dialog is a simple way to prevent accidental data loss.
-        const isConfirmed = confirm("Are you sure you want to reset ALL progress? This cannot be undone.");
-        if (isConfirmed) {
+    function handleReplayQuest(questId) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+
+        pushUndo('quest-replay');
+        const freshTasks = quest.tasks.map(task => ({
+            id: QuestifyState.createId(),
+            text: task.text,
+            difficulty: task.difficulty,
+            xp: task.xp,
+            completed: false,
+            ...(task.subtasks ? { subtasks: task.subtasks.map(st => ({ id: QuestifyState.createId(), text: st.text, xp: st.xp, completed: false })) } : {}),
+        }));
+        const newQuest = addQuest(quest.goal, freshTasks, {
+            ...(quest.tags ? { tags: [...quest.tags] } : {}),
+            ...(quest.context ? { context: quest.context } : {}),
+        });
+        logEvent('quest_replayed', { questId: newQuest.id, replayOf: quest.id, goal: quest.goal });
+        saveState();
+        showToast(t('quest.replayed', { goal: quest.goal }), false, UNDO_ACTION);
+    }
+
+    /**
+     * Archives a completed quest, hiding it from the Quest Log, or brings an archived quest back.
+     * Archived quests aren't deleted, so they still count towards the dashboard's stats and achievements.
+     * They can be found again with the Quest Log's "Archived" status filter.
+     * @param {number} questId The completed quest.
+     */
+    function handleToggleArchive(questId) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest || !quest.isComplete) return;
+
+        pushUndo(quest.isArchived ? 'unarchive' : 'archive');
+        if (quest.isArchived) {
+            delete quest.isArchived;
+            showToast(t('quest.unarchived'));
+        } else {
+            quest.isArchived = true;
+            showToast(t('quest.archived'), false, UNDO_ACTION);
+        }
+        saveState();
+        renderQuestLog();
+        displayActiveQuest();
+    }
+
+    /**
+     * Builds a short countdown label for a due date, highlighted once it is overdue.
+     * @param {string} dueKey The due date.
+     * @param {string} className The label's CSS class.
+     * @returns {HTMLElement} The label.
+     */
+    function createDueLabel(dueKey, className) {
+        const label = document.createElement('span');
+        label.className = className;
+        label.textContent = QuestifyDueDates.describe(dueKey);
+        label.title = t('due.title', { date: QuestifyI18n.formatDate(new Date(`${dueKey}T00:00`)) });
+        if (QuestifyDueDates.isOverdue(dueKey)) {
+            label.classList.add('overdue');
+        }
+        return label;
+    }
+
+    /**
+     * Builds the row above the task list with the quest's countdown and a date picker to change its due date.
+     * @param {object} quest The active quest.
+     * @returns {HTMLElement} The due date row.
+     */
+    function createDueDateRow(quest) {
+        const row = document.createElement('div');
+        row.className = 'due-date-row';
+
+        const countdown = quest.deadline
+            ? createDueLabel(quest.deadline, 'due-countdown')
+            : document.createElement('span');
+        if (!quest.deadline) {
+            countdown.className = 'due-countdown';
+            countdown.textContent = t('due.none');
+        }
+
+        const dateInput = document.createElement('input');
+        dateInput.type = 'date';
+        dateInput.value = quest.deadline || '';
+        dateInput.setAttribute('aria-label', t('due.questDateLabel'));
+        dateInput.addEventListener('change', () => handleSetQuestDueDate(quest.id, dateInput.value));
+
+        row.appendChild(countdown);
+        row.appendChild(dateInput);
+        return row;
+    }
+
+    /**
+     * Builds the row with the quest's repeat schedule. Recurring quests also show whether the current cycle is done,
+     * and an option to get fresh task wording from the AI each cycle.
+     * @param {object} quest The active quest.
+     * @returns {HTMLElement} The recurrence row.
+     */
+    function createRecurrenceRow(quest) {
+        const row = document.createElement('div');
+        row.className = 'recurrence-row';
+
+        const status = document.createElement('span');
+        status.className = 'recurrence-status';
+        if (!quest.recurrence) {
+            status.textContent = t('recurrence.oneOff');
+        } else if (QuestifyRecurrence.isCycleComplete(quest)) {
+            status.textContent = t('recurrence.cycleDone');
+            status.classList.add('cycle-done');
+        } else {
+            status.textContent = t('recurrence.completedTimes', { count: quest.history.length });
+        }
+
+        const controls = document.createElement('div');
+        controls.className = 'recurrence-controls';
+
+        if (quest.recurrence) {
+            const rewordLabel = document.createElement('label');
+            const rewordCheckbox = document.createElement('input');
+            rewordCheckbox.type = 'checkbox';
+            rewordCheckbox.checked = Boolean(quest.recurrence.freshWording);
+            rewordCheckbox.addEventListener('change', () => handleToggleFreshWording(quest.id, rewordCheckbox.checked));
+            rewordLabel.appendChild(rewordCheckbox);
+            rewordLabel.appendChild(document.createTextNode(` ${t('recurrence.freshWording')}`));
+            controls.appendChild(rewordLabel);
+        }
+
+        const select = document.createElement('select');
+        select.className = 'difficulty-select';
+        select.setAttribute('aria-label', t('options.repeat'));
+        ['none', ...QuestifyRecurrence.CADENCES].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = t(`cadence.${value}`);
+            select.appendChild(option);
+        });
+        select.value = quest.recurrence ? quest.recurrence.cadence : 'none';
+        select.addEventListener('change', () => handleSetRecurrence(quest.id, select.value));
+        controls.appendChild(select);
+
+        row.appendChild(status);
+        row.appendChild(controls);
+        return row;
+    }
+
+    /**
+     * Changes a quest's repeat schedule, or turns it back into a one-off quest. The history of finished cycles is kept either way.
+     * @param {number} questId The quest to change.
+     * @param {string} cadence One of QuestifyRecurrence.CADENCES, or 'none'.
+     */
+    function handleSetRecurrence(questId, cadence) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+
+        pushUndo('repeat-change');
+        if (cadence === 'none') {
+            delete quest.recurrence;
+        } else {
+            const freshWording = quest.recurrence ? Boolean(quest.recurrence.freshWording) : false;
+            quest.recurrence = { ...QuestifyRecurrence.createRecurrence(cadence), freshWording: freshWording };
+            quest.history = quest.history || [];
+        }
+        saveState();
+        renderQuestLog();
+        displayActiveQuest();
+    }
+
+    /**
+     * Turns the "Fresh wording each cycle" option of a recurring quest on or off.
+     * @param {number} questId The recurring quest.
+     * @param {boolean} isEnabled Whether the option is on.
+     */
+    function handleToggleFreshWording(questId, isEnabled) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest || !quest.recurrence) return;
+        quest.recurrence.freshWording = isEnabled;
+        saveState();
+    }
+
+    /**
+     * Starts a new cycle for every recurring quest whose current cycle has ended, unchecking their tasks.
+     * It runs on page load, every minute while the app is open, and whenever the page becomes visible again.
+     */
+    function checkRecurringQuests() {
+        const resetQuests = [];
+        quests = quests.map(quest => {
+            if (!quest.recurrence) return quest;
+            const result = QuestifyRecurrence.advance(quest);
+            if (result.isReset) {
+                resetQuests.push(result.quest);
+            }
+            return result.quest;
+        });
+        if (resetQuests.length === 0) return;
+
+        saveState();
+        renderQuestLog();
+        displayActiveQuest();
+        resetQuests.filter(q => q.recurrence.freshWording).forEach(rewordQuestTasks);
+    }
+
+    /**
+     * Asks the AI to reword a recurring quest's tasks for the new cycle, so the habit doesn't get stale.
+     * The difficulties and XP stay the same. This is a nice-to-have, so any failure is silently ignored.
+     * @param {object} quest A recurring quest that has just been reset.
+     */
+    async function rewordQuestTasks(quest) {
+        const cycleStart = quest.recurrence.cycleStart;
+        try {
+            const data = await postJson('/api/reword-tasks', { goal: quest.goal, tasks: quest.tasks.map(task => task.text), locale: QuestifyI18n.getLocale() });
+            const current = quests.find(q => q.id === quest.id);
+            // The new wording is only used if nothing has changed while waiting: same cycle, same tasks, none checked off yet.
+            const isUnchanged = current && current.recurrence && current.recurrence.cycleStart === cycleStart
+                && current.tasks.length === data.tasks.length && current.tasks.every(task => !task.completed);
+            if (!isUnchanged) return;
+
+            current.tasks.forEach((task, i) => { task.text = data.tasks[i]; });
+            saveState();
+            displayActiveQuest();
+        } catch (error) {
+            console.error(`Could not reword the tasks for "${quest.goal}":`, error);
+        }
+    }
+
+    /**
+     * Changes or removes a quest's due date.
+     * @param {number} questId The quest to change.
+     * @param {string} dueKey The new due date, or an empty string to remove it.
+     */
+    function handleSetQuestDueDate(questId, dueKey) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest || (quest.deadline || '') === dueKey) return;
+
+        pushUndo('due-date-change');
+        if (dueKey) {
+            quest.deadline = dueKey;
+        } else {
+            delete quest.deadline;
+        }
+        saveState();
+        renderQuestLog();
+        displayActiveQuest();
+        checkReminders(); // A date moved to today or tomorrow may need a reminder straight away.
+    }
+
+    /**
+     * Builds the notice shown above an offline-generated quest, with its "Regenerate with AI" button.
+     * @param {object} quest The offline-generated quest.
+     * @returns {HTMLElement} The notice.
+     */
+    function createOfflineNotice(quest) {
+        const notice = document.createElement('div');
+        notice.className = 'offline-notice';
+
+        const message = document.createElement('span');
+        message.textContent = t('offline.banner');
+
+        const regenerateButton = document.createElement('button');
+        regenerateButton.className = 'refresh-button';
+        regenerateButton.textContent = t('offline.regenerate');
+        regenerateButton.addEventListener('click', () => handleRegenerateQuest(quest.id, regenerateButton));
+
+        notice.appendChild(message);
+        notice.appendChild(regenerateButton);
+        return notice;
+    }
+
+    /**
+     * Builds the HTML for a single task: a drag handle, the checkbox and label, the time tracked on it, the difficulty badge and its buttons.
+     * @param {object} quest The quest the task belongs to.
+     * @param {object} task The task to display.
+     * @param {number} index The task's position in the quest.
+     * @returns {HTMLElement} The task item.
+     */
+    function createTaskItem(quest, task, index) {
+        // Dynamically create the HTML for each task item.
+        const taskItem = document.createElement('div');
+        taskItem.className = 'quest-item';
+        const isFocused = Boolean(focusTimer) && focusTimer.taskId === task.id;
+        taskItem.classList.toggle('focusing', isFocused);
+        taskItem.dataset.taskId = task.id;
+
+        // The whole item can be dragged to reorder it, or focused and moved with Alt + Up/Down for keyboard users.
+        taskItem.draggable = true;
+        taskItem.tabIndex = 0;
+        taskItem.setAttribute('aria-label', t('task.itemLabel', { position: index + 1, total: quest.tasks.length, text: task.text }));
+        taskItem.addEventListener('dragstart', (e) => {
+            draggedTaskIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+            taskItem.classList.add('dragging');
+        });
+        taskItem.addEventListener('dragend', () => {
+            draggedTaskIndex = null;
+            taskItem.classList.remove('dragging');
+        });
+        taskItem.addEventListener('dragover', (e) => {
+            e.preventDefault(); // Allows the item to be a drop target.
+            e.dataTransfer.dropEffect = 'move';
+        });
+        taskItem.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (draggedTaskIndex !== null) {
+                moveTask(quest.id, draggedTaskIndex, index);
+            }
+        });
+        taskItem.addEventListener('keydown', (e) => {
+            // Only react when the item itself has focus, not one of its buttons.
+            if (e.target !== taskItem || !e.altKey) return;
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                moveTask(quest.id, index, index + (e.key === 'ArrowUp' ? -1 : 1));
+            }
+        });
+
+        const dragHandle = document.createElement('span');
+        dragHandle.className = 'drag-handle';
+        dragHandle.textContent = '⠿';
+        dragHandle.title = t('task.dragTitle');
+        dragHandle.setAttribute('aria-hidden', 'true');
+
+        const questLabelContainer = document.createElement('div');
+        questLabelContainer.className = 'quest-label-container';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `quest-${quest.id}-task-${index}`;
+        checkbox.checked = task.completed;
+        checkbox.dataset.xp = task.xp;
+        checkbox.addEventListener('change', () => handleTaskCompletion(quest.id, index));
+        
+        const label = document.createElement('label');
+        label.htmlFor = `quest-${quest.id}-task-${index}`;
+        label.textContent = task.text;
+        
+        questLabelContainer.appendChild(dragHandle);
+        questLabelContainer.appendChild(checkbox);
+        questLabelContainer.appendChild(label);
+        if (task.source === 'offline') {
+            const offlineTag = document.createElement('span');
+            offlineTag.className = 'offline-tag';
+            offlineTag.textContent = t('task.offlineTag');
+            offlineTag.title = t('task.offlineTitle');
+            questLabelContainer.appendChild(offlineTag);
+        }
+        
+        const controlsContainer = document.createElement('div');
+        controlsContainer.style.display = 'flex';
+        controlsContainer.style.alignItems = 'center';
+
+        // The steps button shows progress through the sub-steps, and opens or closes the list of them.
+        const subtasks = task.subtasks || [];
+        const stepsButton = document.createElement('button');
+        stepsButton.className = 'refresh-button steps-button';
+        stepsButton.textContent = subtasks.length > 0
+            ? `${expandedTaskIds.has(task.id) ? '▾' : '▸'} ${t('task.stepsCount', { done: subtasks.filter(st => st.completed).length, total: subtasks.length })}`
+            : `${expandedTaskIds.has(task.id) ? '▾' : '▸'} ${t('task.steps')}`;
+        stepsButton.setAttribute('aria-expanded', String(expandedTaskIds.has(task.id)));
+        stepsButton.addEventListener('click', () => {
+            if (expandedTaskIds.has(task.id)) {
+                expandedTaskIds.delete(task.id);
+            } else {
+                expandedTaskIds.add(task.id);
+            }
+            displayActiveQuest();
+        });
+        // Completed tasks without sub-steps have nothing to show, so they don't get the button.
+        if (!task.completed || subtasks.length > 0) {
+            controlsContainer.appendChild(stepsButton);
+        }
+
+        if (task.dueDate && !task.completed) {
+            controlsContainer.appendChild(createDueLabel(task.dueDate, 'task-due'));
+        }
+
+        // The time tracked with the focus timer, once there is some.
+        const focusTime = QuestifyFocus.getTaskTime(events, task.id);
+        if (focusTime > 0) {
+            const focusTimeLabel = document.createElement('span');
+            focusTimeLabel.className = 'task-focus-time';
+            focusTimeLabel.textContent = `⏱ ${QuestifyFocus.formatDuration(focusTime)}`;
+            focusTimeLabel.title = t('focus.trackedTitle');
+            controlsContainer.appendChild(focusTimeLabel);
+        }
+
+        const badge = document.createElement('span');
+        badge.className = `difficulty-badge difficulty-${task.difficulty.toLowerCase()}`;
+        badge.textContent = t(`difficulty.${task.difficulty}`);
+        controlsContainer.appendChild(badge);
+
+        if (task.completed) {
+            checkbox.disabled = true;
+            label.classList.add('completed');
+            badge.classList.add('completed');
+        } else {
+            const focusButton = document.createElement('button');
+            focusButton.className = 'refresh-button focus-button';
+            focusButton.textContent = isFocused ? t('focus.stop') : t('focus.start');
+            focusButton.title = isFocused ? t('focus.stopTitle') : t('focus.startTitle', { count: settings.focusMinutes });
+            focusButton.addEventListener('click', () => {
+                if (isFocused) {
+                    handleStopFocus();
+                } else {
+                    handleStartFocus(quest.id, task.id);
+                }
+            });
+            controlsContainer.appendChild(focusButton);
+
+            const editButton = document.createElement('button');
+            editButton.className = 'refresh-button';
+            editButton.textContent = t('task.edit');
+            editButton.addEventListener('click', () => {
+                editingTaskId = task.id;
+                displayActiveQuest();
+            });
+            controlsContainer.appendChild(editButton);
+
+            const refreshButton = document.createElement('button');
+            refreshButton.className = 'refresh-button';
+            refreshButton.textContent = t('task.refresh');
+            refreshButton.addEventListener('click', (e) => handleRefreshTask(quest.id, index, e));
+            if (task.isRefreshQueued) {
+                // The refresh was requested offline and is waiting in the queue.
+                refreshButton.textContent = t('task.queued');
+                refreshButton.disabled = true;
+            }
+            controlsContainer.appendChild(refreshButton);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'delete-quest-button';
+            deleteButton.innerHTML = '×';
+            deleteButton.title = t('task.deleteTitle');
+            deleteButton.addEventListener('click', () => handleDeleteTask(quest.id, index));
+            controlsContainer.appendChild(deleteButton);
+        }
+
+        taskItem.appendChild(questLabelContainer);
+        taskItem.appendChild(controlsContainer);
+        return taskItem;
+    }
+
+    /**
+     * Builds the expandable list of a task's sub-steps, with controls for adding more by hand or asking the AI for them.
+     * @param {object} quest The quest the task belongs to.
+     * @param {object} task The parent task.
+     * @param {number} index The task's position in the quest.
+     * @returns {HTMLElement} The sub-step panel.
+     */
+    function createSubtaskPanel(quest, task, index) {
+        const panel = document.createElement('div');
+        panel.className = 'subtask-panel';
+
+        (task.subtasks || []).forEach(subtask => {
+            const row = document.createElement('div');
+            row.className = 'subtask-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `subtask-${subtask.id}`;
+            checkbox.checked = subtask.completed;
+            checkbox.disabled = subtask.completed;
+            checkbox.addEventListener('change', () => handleSubtaskCompletion(quest.id, index, subtask.id));
+
+            const label = document.createElement('label');
+            label.htmlFor = `subtask-${subtask.id}`;
+            label.textContent = subtask.text;
+            if (subtask.completed) {
+                label.classList.add('completed');
+            }
+
+            const xpLabel = document.createElement('span');
+            xpLabel.className = 'subtask-xp';
+            xpLabel.textContent = t('step.xp', { xp: subtask.xp });
+
+            row.appendChild(checkbox);
+            row.appendChild(label);
+            row.appendChild(xpLabel);
+
+            if (!subtask.completed) {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'delete-quest-button';
+                deleteButton.innerHTML = '×';
+                deleteButton.title = t('step.deleteTitle');
+                deleteButton.addEventListener('click', () => handleDeleteSubtask(quest.id, index, subtask.id));
+                row.appendChild(deleteButton);
+            }
+            panel.appendChild(row);
+        });
+
+        // Steps can only be added while the parent task is still open.
+        if (!task.completed) {
+            const addRow = document.createElement('div');
+            addRow.className = 'subtask-item';
+
+            const textInput = document.createElement('input');
+            textInput.type = 'text';
+            textInput.className = 'task-text-input';
+            textInput.placeholder = t('step.placeholder');
+            textInput.setAttribute('aria-label', t('step.label'));
+
+            const addButton = document.createElement('button');
+            addButton.className = 'refresh-button';
+            addButton.textContent = t('step.add');
+            addButton.addEventListener('click', () => handleAddSubtask(quest.id, index, textInput.value));
+            textInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') addButton.click(); });
+
+            const breakDownButton = document.createElement('button');
+            breakDownButton.className = 'refresh-button';
+            breakDownButton.textContent = t('step.breakDown');
+            breakDownButton.title = t('step.breakDownTitle');
+            breakDownButton.addEventListener('click', () => handleBreakDownTask(quest.id, index, breakDownButton));
+
+            addRow.appendChild(textInput);
+            addRow.appendChild(addButton);
+            addRow.appendChild(breakDownButton);
+            panel.appendChild(addRow);
+        }
+        return panel;
+    }
+
+    /**
+     * Creates a dropdown for choosing a task's difficulty.
+     * @param {string} selected The difficulty to pre-select.
+     * @returns {HTMLSelectElement} The dropdown.
+     */
+    function createDifficultySelect(selected) {
+        const select = document.createElement('select');
+        select.className = 'difficulty-select';
+        QuestifyState.DIFFICULTIES.forEach(difficulty => {
+            const option = document.createElement('option');
+            option.value = difficulty;
+            option.textContent = t('task.difficultyOption', { difficulty: t(`difficulty.${difficulty}`), xp: settings.xpByDifficulty[difficulty] });
+            option.selected = difficulty === selected;
+            select.appendChild(option);
+        });
+        return select;
+    }
+
+    /**
+     * Builds the inline editor that replaces a task while it is being edited.
+     * @param {object} quest The quest the task belongs to.
+     * @param {object} task The task being edited.
+     * @param {number} index The task's position in the quest.
+     * @returns {HTMLElement} The editor.
+     */
+    function createTaskEditor(quest, task, index) {
+        const editor = document.createElement('div');
+        editor.className = 'quest-item task-editor';
+
+        const textInput = document.createElement('input');
+        textInput.type = 'text';
+        textInput.className = 'task-text-input';
+        textInput.value = task.text;
+        textInput.setAttribute('aria-label', t('task.textLabel'));
+
+        const difficultySelect = createDifficultySelect(task.difficulty);
+
+        const dueDateInput = document.createElement('input');
+        dueDateInput.type = 'date';
+        dueDateInput.value = task.dueDate || '';
+        dueDateInput.setAttribute('aria-label', t('due.taskDateLabel'));
+
+        const saveButton = document.createElement('button');
+        saveButton.className = 'refresh-button';
+        saveButton.textContent = t('task.save');
+        saveButton.addEventListener('click', () => handleEditTask(quest.id, index, textInput.value, difficultySelect.value, dueDateInput.value));
+
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'refresh-button';
+        cancelButton.textContent = t('common.cancel');
+        cancelButton.addEventListener('click', () => {
+            editingTaskId = null;
+            displayActiveQuest();
+        });
+
+        // Enter saves and Escape cancels, like most inline editors.
+        textInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveButton.click();
+            if (e.key === 'Escape') cancelButton.click();
+        });
+
+        editor.appendChild(textInput);
+        editor.appendChild(difficultySelect);
+        editor.appendChild(dueDateInput);
+        editor.appendChild(saveButton);
+        editor.appendChild(cancelButton);
+        setTimeout(() => textInput.focus(), 0); // Focus once the editor is on the page.
+        return editor;
+    }
+
+    /**
+     * Builds the row at the bottom of the task list for adding a task by hand.
+     * @param {object} quest The quest to add tasks to.
+     * @returns {HTMLElement} The "add task" row.
+     */
+    function createAddTaskRow(quest) {
+        const row = document.createElement('div');
+        row.className = 'quest-item task-editor add-task-row';
+
+        const textInput = document.createElement('input');
+        textInput.type = 'text';
+        textInput.className = 'task-text-input';
+        textInput.placeholder = t('task.placeholder');
+        textInput.setAttribute('aria-label', t('task.newLabel'));
+
+        const difficultySelect = createDifficultySelect('Medium');
+
+        const addButton = document.createElement('button');
+        addButton.className = 'refresh-button';
+        addButton.textContent = t('task.add');
+        addButton.addEventListener('click', () => handleAddTask(quest.id, textInput.value, difficultySelect.value));
+        textInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') addButton.click(); });
+
+        row.appendChild(textInput);
+        row.appendChild(difficultySelect);
+        row.appendChild(addButton);
+        return row;
+    }
+
+    /**
+     * Adds a task written by the user to a quest. The XP always comes from the difficulty table, never from user input.
+     * @param {number} questId The quest to add the task to.
+     * @param {string} text The task description.
+     * @param {string} difficulty Easy, Medium or Hard.
+     */
+    function handleAddTask(questId, text, difficulty) {
+        const quest = quests.find(q => q.id === questId);
+        const trimmedText = text.trim();
+        if (!quest || quest.isComplete || !trimmedText) return;
+
+        pushUndo('adding-a-task');
+        const task = {
+            id: QuestifyState.createId(),
+            text: trimmedText,
+            difficulty: difficulty,
+            xp: settings.xpByDifficulty[difficulty],
+            completed: false,
+        };
+        quest.tasks.push(task);
+        logEvent('task_added', { questId: quest.id, taskText: task.text, difficulty: task.difficulty });
+
+        saveState();
+        displayActiveQuest();
+    }
+
+    /**
+     * Saves the changes made in the inline task editor. The XP is recalculated from the new difficulty.
+     * @param {number} questId The quest the task belongs to.
+     * @param {number} taskIndex The task's position in the quest.
+     * @param {string} text The new task description.
+     * @param {string} difficulty The new difficulty.
+     * @param {string} dueDate The new due date, or an empty string for none.
+     */
+    function handleEditTask(questId, taskIndex, text, difficulty, dueDate = '') {
+        const quest = quests.find(q => q.id === questId);
+        const trimmedText = text.trim();
+        if (!quest || !trimmedText) return;
+
+        const task = quest.tasks[taskIndex];
+        if (task.completed) return; // Completed tasks have already paid out their XP, so they can't be changed.
+
+        editingTaskId = null;
+        const isContentChanged = task.text !== trimmedText || task.difficulty !== difficulty;
+        const isDueDateChanged = (task.dueDate || '') !== dueDate;
+        if (isContentChanged || isDueDateChanged) {
+            pushUndo('task-edit');
+        }
+        if (isContentChanged) {
+            // A queued offline refresh would overwrite the user's edit, so it is cancelled.
+            if (task.isRefreshQueued) {
+                task.isRefreshQueued = false;
+                pendingRequests = pendingRequests.filter(r => r.taskId !== task.id);
+            }
+            // Once edited, the task is the user's own, so "Regenerate with AI" leaves it alone.
+            delete task.source;
+            task.text = trimmedText;
+            task.difficulty = difficulty;
+            task.xp = settings.xpByDifficulty[difficulty];
+            distributeSubtaskXp(task); // The sub-steps share the new XP total.
+            logEvent('task_edited', { questId: quest.id, taskText: task.text, difficulty: task.difficulty });
+        }
+        if (isDueDateChanged) {
+            if (dueDate) {
+                task.dueDate = dueDate;
+            } else {
+                delete task.dueDate;
+            }
+        }
+        if (isContentChanged || isDueDateChanged) {
+            saveState();
+            checkReminders();
+        }
+        displayActiveQuest();
+    }
+
+    /**
+     * Removes an unfinished task from a quest.
+     * @param {number} questId The quest the task belongs to.
+     * @param {number} taskIndex The task's position in the quest.
+     */
+    function handleDeleteTask(questId, taskIndex) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+
+        const task = quest.tasks[taskIndex];
+        if (task.completed) return;
+        if (hasPaidSubtasks(task)) {
+            showToast(t('task.stepsPaid'));
+            return;
+        }
+
+        // Removing the last unfinished task would leave a quest that is "done" without ever being completed.
+        const unfinishedCount = quest.tasks.filter(t => !t.completed).length;
+        if (unfinishedCount <= 1) {
+            showToast(t('task.needsOne'));
+            return;
+        }
+
+        pushUndo('task-deletion');
+        quest.tasks.splice(taskIndex, 1);
+        logEvent('task_deleted', { questId: quest.id, taskText: task.text, difficulty: task.difficulty });
+
+        saveState();
+        displayActiveQuest();
+        showToast(t('task.deleted'), false, UNDO_ACTION);
+    }
+
+    /**
+     * Moves a task to a new position within its quest.
+     * @param {number} questId The quest the task belongs to.
+     * @param {number} fromIndex The task's current position.
+     * @param {number} toIndex The position to move it to.
+     */
+    function moveTask(questId, fromIndex, toIndex) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest || fromIndex === toIndex || toIndex < 0 || toIndex >= quest.tasks.length) return;
+
+        pushUndo('task-reorder');
+        const [task] = quest.tasks.splice(fromIndex, 1);
+        quest.tasks.splice(toIndex, 0, task);
+
+        saveState();
+        displayActiveQuest();
+
+        // Keep keyboard focus on the task that was moved, so it can be moved again straight away.
+        const movedItem = questsContainer.querySelector(`[data-task-id="${task.id}"]`);
+        if (movedItem) {
+            movedItem.focus();
+        }
+    }
+
+    /**
+     * Sends a POST request with a JSON body to the backend and returns the parsed JSON response.
+     * Errors caused by a missing connection are flagged with 'isNetworkError', so callers can queue the request instead of giving up.
+     * @param {string} url The API endpoint.
+     * @param {object} payload The data to send.
+     * @returns {Promise<object>} The response data.
+     */
+    async function postJson(url, payload) {
+        if (!navigator.onLine) {
+            const error = new Error('The browser is offline.');
+            error.isNetworkError = true;
+            throw error;
+        }
+
+        let response;
+        try {
+            // The 'fetch' API is used to send a POST request to the Python backend.
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+            });
+        } catch (error) {
+            // 'fetch' only rejects when the server can't be reached at all.
+            error.isNetworkError = true;
+            throw error;
+        }
+        if (!response.ok) {
+            const error = new Error(`Request to ${url} failed with status ${response.status}.`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    /**
+     * Turns the tasks returned by the backend into task objects for a quest.
+     * The backend always sends the default XP, so each task is given the player's own XP for its difficulty instead.
+     * @param {Array} generatedTasks The tasks from the API, each with 'text', 'difficulty' and 'xp'.
+     * @returns {Array} The new, unchecked tasks.
+     */
+    function createTasks(generatedTasks) {
+        return generatedTasks.map(task => ({
+            ...task,
+            id: QuestifyState.createId(),
+            xp: settings.xpByDifficulty[task.difficulty] || task.xp,
+            completed: false,
+        }));
+    }
+
+    /**
+     * Checks whether a request failed because the AI can't be used right now: either the server has no AI model (503),
+     * or the server can't be reached at all. In both cases the built-in generator is used instead.
+     * @param {Error} error The error thrown by 'postJson'.
+     * @returns {boolean} True if the built-in generator should be used.
+     */
+    function isAiUnavailable(error) {
+        return Boolean(error.isNetworkError) || error.status === 503;
+    }
+
+    /**
+     * Checks whether a task is still exactly as the built-in generator made it, so it is safe to replace with an AI task.
+     * @param {object} task The task to check.
+     * @returns {boolean} True if the task can be replaced.
+     */
+    function isUntouchedOfflineTask(task) {
+        return task.source === 'offline' && !task.completed && !(task.subtasks && task.subtasks.length > 0);
+    }
+
+    /**
+     * Replaces a quest's untouched offline tasks with tasks from the AI, keeping their positions.
+     * Tasks the user has completed, edited or broken into steps are kept.
+     * @param {object} quest The offline-generated quest.
+     * @param {Array} generatedTasks The tasks from the API.
+     * @returns {number} How many tasks were replaced.
+     */
+    function applyRegeneratedTasks(quest, generatedTasks) {
+        const newTasks = createTasks(generatedTasks);
+        let replaced = 0;
+        quest.tasks = quest.tasks.map(task => {
+            if (replaced >= newTasks.length || !isUntouchedOfflineTask(task)) return task;
+            return newTasks[replaced++];
+        });
+        // The quest only stays labelled while it still has offline tasks that could be regenerated.
+        if (!quest.tasks.some(isUntouchedOfflineTask)) {
+            delete quest.source;
+        }
+        if (replaced > 0) {
+            logEvent('quest_regenerated', { questId: quest.id, goal: quest.goal, tasksReplaced: replaced });
+        }
+        return replaced;
+    }
+
+    /**
+     * Adds a new quest to the log, makes it the active quest and updates the UI.
+     * @param {string} goal The goal the quest is for.
+     * @param {Array} tasks The quest's tasks.
+     * @param {object} extraFields Any additional fields to store on the quest.
+     * @returns {object} The new quest.
+     */
+    function addQuest(goal, tasks, extraFields = {}) {
+        // Creates a new quest object with a unique ID based on the current timestamp.
+        const newQuest = {
+            id: Date.now(),
+            goal: goal,
+            tasks: tasks,
+            isComplete: false,
+            ...extraFields,
+        };
+
+        quests.push(newQuest);
+        logEvent('quest_created', { questId: newQuest.id, goal: newQuest.goal });
+        activeQuestId = newQuest.id; // The new quest becomes the active one.
+
+        // Update state and UI.
+        saveState();
+        renderQuestLog();
+        displayActiveQuest();
+        return newQuest;
+    }
+
+    /**
+     * Adds a request to the offline queue. It is replayed by 'processPendingRequests' once the connection returns.
+     * @param {object} request The request, with 'type' ('generate' or 'refresh'), 'questId', 'payload' and, for refreshes, 'taskId'.
+     */
+    function queueRequest(request) {
+        pendingRequests.push({ id: QuestifyState.createId(), ...request });
+    }
+
+    /**
+     * Reads the "Quest options" form into the fields the generate endpoint expects.
+     * The task count is clamped to the allowed range, so a typed-in value can't produce an invalid request.
+     * @returns {object} The generation options.
+     */
+    function getGenerationOptions() {
+        const requestedCount = parseInt(taskCountInput.value, 10) || 3;
+        const taskCount = Math.min(MAX_TASKS_PER_QUEST, Math.max(MIN_TASKS_PER_QUEST, requestedCount));
+        taskCountInput.value = taskCount;
+
+        const options = { task_count: taskCount, difficulty_mix: difficultyMixSelect.value };
+        if (deadlineInput.value) {
+            options.deadline = deadlineInput.value; // Already in "YYYY-MM-DD" format.
+        }
+        if (contextInput.value.trim()) {
+            options.context = contextInput.value.trim();
+        }
+        return options;
+    }
+
+    /**
+     * Clears the parts of the goal form that only apply to one quest. The task count and difficulty balance are kept as preferences.
+     */
+    function resetGoalForm() {
+        goalInput.value = '';
+        deadlineInput.value = '';
+        contextInput.value = '';
+        repeatSelect.value = 'none';
+    }
+
+    /**
+     * Handles the submission of a new goal. It calls the backend API to generate tasks.
+     * If the AI is unavailable, the built-in generator makes the tasks instead. While offline, the request is also queued,
+     * so the offline tasks can be swapped for AI ones when the connection returns.
+     * The 'async' keyword allows the use of 'await' for the network request.
+     */
+    async function handleGoalSubmission() {
+        const goal = goalInput.value.trim();
+        if (!goal) return; // Do nothing if the input is empty.
+
+        submitGoalButton.disabled = true;
+        submitGoalButton.textContent = t('goal.generating');
+        const options = getGenerationOptions();
+        // The locale asks the AI to write the tasks in the player's language.
+        const payload = { goal: goal, ...options, locale: QuestifyI18n.getLocale() };
+
+        // The deadline and context are stored on the quest, so they can be shown later and reused when refreshing a task.
+        const questFields = {};
+        if (options.deadline) questFields.deadline = options.deadline;
+        if (options.context) questFields.context = options.context;
+        if (repeatSelect.value !== 'none') {
+            questFields.recurrence = QuestifyRecurrence.createRecurrence(repeatSelect.value);
+            questFields.history = [];
+        }
+
+        try {
+            const data = await postJson('/api/generate-quests', payload);
+            addQuest(goal, createTasks(data.quests), questFields);
+            resetGoalForm();
+        } catch (error) {
+            if (isAiUnavailable(error)) {
+                const offlineTasks = createTasks(QuestifyGenerator.generateQuests(goal, options))
+                    .map(task => ({ ...task, source: 'offline' }));
+                // The difficulty balance is kept so "Regenerate with AI" can ask for the same mix later.
+                const quest = addQuest(goal, offlineTasks, { ...questFields, source: 'offline', difficultyMix: options.difficulty_mix });
+                resetGoalForm();
+                if (error.isNetworkError) {
+                    queueRequest({ type: 'generate', questId: quest.id, payload: payload });
+                    saveState();
+                    showToast(t('generate.offlineQueued'));
+                } else {
+                    showToast(t('generate.offlineUnavailable'));
+                }
+            } else {
+                showToast(t('generate.failed'));
+            }
+        } finally {
+            // The 'finally' block ensures this code runs whether the request succeeded or failed.
+            submitGoalButton.disabled = false;
+            submitGoalButton.textContent = t('goal.submit');
+        }
+    }
+
+    /**
+     * Sends every queued offline request, oldest first. It runs on page load and whenever the browser comes back online.
+     * If the connection drops again part-way through, the remaining requests stay queued for next time.
+     */
+    async function processPendingRequests() {
+        if (isReplayingRequests || pendingRequests.length === 0 || !navigator.onLine) return;
+        isReplayingRequests = true;
+
+        try {
+            while (pendingRequests.length > 0) {
+                const request = pendingRequests[0];
+                try {
+                    await replayRequest(request);
+                } catch (error) {
+                    if (error.isNetworkError) break; // Still offline, so stop and keep the queue as it is.
+                    handleFailedReplay(request);
+                }
+                // The request is removed by id because the queue may have been replaced (e.g. by an undo) while waiting.
+                pendingRequests = pendingRequests.filter(r => r.id !== request.id);
+                saveState();
+            }
+        } finally {
+            isReplayingRequests = false;
+            renderQuestLog();
+            displayActiveQuest();
+        }
+    }
+
+    /**
+     * Sends a single queued request and applies the result.
+     * The quest is looked up both before and after the request, because it may be deleted while the request is in flight.
+     * @param {object} request The queued request.
+     */
+    async function replayRequest(request) {
+        if (!quests.some(q => q.id === request.questId)) return; // The quest was deleted while offline.
+
+        const endpoint = request.type === 'generate' ? '/api/generate-quests' : '/api/refresh-quest';
+        const data = await postJson(endpoint, request.payload);
+        const quest = quests.find(q => q.id === request.questId);
+        if (!quest) return;
+
+        if (request.type === 'generate') {
+            if (quest.isPending) {
+                // A placeholder queued by an older version of the app, before the built-in generator existed.
+                quest.tasks = createTasks(data.quests);
+                quest.isPending = false;
+                showToast(t('generate.tasksReady', { goal: quest.goal }));
+            } else if (applyRegeneratedTasks(quest, data.quests) > 0) {
+                showToast(t('generate.upgraded', { goal: quest.goal }));
+            }
+        } else {
+            const task = quest.tasks.find(t => t.id === request.taskId);
+            // The refresh is skipped if the task was completed, edited or deleted in the meantime.
+            if (task && (task.isRefreshQueued || isUntouchedOfflineTask(task)) && !task.completed) {
+                replaceTask(quest, task.id, data.new_quest);
+            }
+        }
+    }
+
+    /**
+     * Cleans up after a queued request that the server rejected, so nothing is left waiting forever.
+     * @param {object} request The queued request that failed.
+     */
+    function handleFailedReplay(request) {
+        const quest = quests.find(q => q.id === request.questId);
+        if (!quest) return;
+
+        if (request.type === 'generate') {
+            if (quest.isPending) {
+                // The placeholder becomes an ordinary quest, so the user can add their own tasks to it.
+                quest.isPending = false;
+                showToast(t('generate.replayFailed', { goal: quest.goal }));
+            }
+            // An offline-generated quest simply keeps its tasks, and can still be regenerated by hand.
+        } else {
+            const task = quest.tasks.find(t => t.id === request.taskId);
+            if (task) {
+                task.isRefreshQueued = false;
+            }
+            showToast(t('task.refreshFailed'));
+        }
+    }
+
+    /**
+     * Replaces a task with a new one from the server, keeping its position in the quest.
+     * @param {object} quest The quest the task belongs to.
+     * @param {string} taskId The id of the task to replace.
+     * @param {object} newTaskData The new task from the API, with 'text', 'difficulty' and 'xp'.
+     */
+    function replaceTask(quest, taskId, newTaskData) {
+        const index = quest.tasks.findIndex(t => t.id === taskId);
+        if (index === -1) return;
+
+        const oldTask = quest.tasks[index];
+        quest.tasks[index] = createTasks([newTaskData])[0];
+        logEvent('quest_refreshed', { questId: quest.id, oldText: oldTask.text, newText: newTaskData.text });
+    }
+
+    /**
+     * Awards XP for finishing a task or sub-step, scaled by the streak multiplier.
+     * @param {number} baseXp The XP before the multiplier.
+     * @returns {object} The 'xpGained' after the multiplier, and the 'multiplier' used.
+     */
+    function awardXp(baseXp) {
+        extendStreak(); // The streak is updated first so today's task already benefits from it.
+        const multiplier = QuestifyStreaks.getMultiplier(streak.current);
+        const xpGained = Math.round(baseXp * multiplier);
+        player.xp += xpGained;
+        return { xpGained, multiplier };
+    }
+
+    /**
+     * Shows the "+XP" toast for a finished task or sub-step, with an Undo button.
+     * @param {object} award The result of 'awardXp'.
+     */
+    function showXpToast(award) {
+        let message = award.multiplier > 1
+            ? t('xp.gainedWithStreak', { xp: award.xpGained, multiplier: award.multiplier })
+            : t('xp.gained', { xp: award.xpGained });
+        if (award.onTimeBonus > 0) {
+            message += t('xp.onTime', { xp: award.onTimeBonus });
+        }
+        if (award.gold > 0) {
+            message += t('xp.gold', { gold: award.gold });
+        }
+        showToast(message, false, UNDO_ACTION);
+    }
+
+    /**
+     * Marks a task as completed and pays out whatever part of its XP its sub-steps haven't already paid.
+     * Any sub-steps still open are checked off along with it.
+     * @param {object} quest The quest the task belongs to.
+     * @param {object} task The task to complete.
+     * @returns {object} The result of 'awardXp', plus the 'gold' and 'onTimeBonus' earned.
+     */
+    function completeTask(quest, task) {
+        const paidXp = getPaidSubtaskXp(task);
+        (task.subtasks || []).forEach(subtask => { subtask.completed = true; });
+        task.completed = true;
+        task.completedAt = Date.now(); // Shown in the completed quest's summary.
+        // A focus session running on the task ends with it, and the time spent so far is recorded.
+        if (focusTimer && focusTimer.taskId === task.id) {
+            recordFocusSession(focusTimer, quest, task);
+            focusTimer = null;
+        }
+
+        const award = awardXp(Math.max(0, parseInt(task.xp, 10) - paidXp));
+        // Gold is paid in full when the task completes, even if its sub-steps already paid out XP. It isn't multiplied by the streak.
+        award.gold = QuestifyRewards.GOLD_BY_DIFFICULTY[task.difficulty] || 0;
+        logEvent('task_completed', { questId: quest.id, taskId: task.id, taskText: task.text, difficulty: task.difficulty, xp: award.xpGained, multiplier: award.multiplier, gold: award.gold });
+
+        award.onTimeBonus = getOnTimeBonus(parseInt(task.xp, 10), task.dueDate);
+        if (award.onTimeBonus > 0) {
+            player.xp += award.onTimeBonus;
+            logEvent('on_time_bonus', { questId: quest.id, taskText: task.text, xp: award.onTimeBonus });
+        }
+        return award;
+    }
+
+    /**
+     * Works out the bonus for finishing something by its due date. Nothing is due without a due date, and nothing is paid once it is overdue.
+     * @param {number} baseXp The XP the bonus is a percentage of.
+     * @param {string} dueKey The due date, if there is one.
+     * @returns {number} The bonus XP.
+     */
+    function getOnTimeBonus(baseXp, dueKey) {
+        if (!dueKey || QuestifyDueDates.isOverdue(dueKey)) return 0;
+        return Math.round(baseXp * settings.onTimeBonusPercent / 100);
+    }
+
+    /**
+     * Handles the completion of a single task. This is the core game loop function.
+     * It awards XP, then hands over to 'finishProgress' for the goal and level checks.
+     */
+    function handleTaskCompletion(questId, taskIndex) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+
+        const task = quest.tasks[taskIndex];
+        if (task.completed) return; // Prevents earning XP multiple times for the same task.
+
+        pushUndo('task-completion');
+        showXpToast(completeTask(quest, task));
+        finishProgress(quest);
+    }
+
+    /**
+     * Handles checking off a sub-step. Each sub-step pays its share of the parent task's XP,
+     * and the parent task completes automatically once its last sub-step is done.
+     */
+    function handleSubtaskCompletion(questId, taskIndex, subtaskId) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+
+        const task = quest.tasks[taskIndex];
+        const subtask = task.subtasks.find(st => st.id === subtaskId);
+        if (!subtask || subtask.completed || task.completed) return;
+
+        pushUndo('step-completion');
+        subtask.completed = true;
+        const award = awardXp(subtask.xp);
+        logEvent('subtask_completed', { questId: quest.id, taskText: task.text, subtaskText: subtask.text, xp: award.xpGained, multiplier: award.multiplier });
+
+        if (task.subtasks.every(st => st.completed)) {
+            // The parent pays out any rounding leftover, so the sub-steps always add up to the task's full XP.
+            const parentAward = completeTask(quest, task);
+            award.xpGained += parentAward.xpGained;
+            award.onTimeBonus = parentAward.onTimeBonus;
+            award.gold = parentAward.gold;
+        }
+        showXpToast(award);
+        finishProgress(quest);
+    }
+
+    /**
+     * Runs after any XP has been awarded: checks for goal completion, checks for level ups, and triggers UI updates.
+     * @param {object} quest The quest that was just worked on.
+     */
+    function finishProgress(quest) {
+        displayActiveQuest(); // Re-render immediately to show the checked state.
+        
+        const allTasksCompleted = quest.tasks.length > 0 && quest.tasks.every(t => t.completed);
+
+        if (allTasksCompleted && quest.recurrence) {
+            // A recurring quest is never "complete". Finishing its tasks completes the current cycle instead.
+            if (!QuestifyRecurrence.isCycleComplete(quest)) {
+                quest.history = QuestifyRecurrence.recordCycle(quest).history;
+                logEvent('habit_cycle_completed', { questId: quest.id, goal: quest.goal, cycleStart: quest.recurrence.cycleStart });
+                setTimeout(() => { showToast(t('recurrence.habitDone', { goal: quest.goal }), true); }, 500);
+                renderQuestLog();
+                displayActiveQuest();
+            }
+        } else if (allTasksCompleted) {
+            quest.isComplete = true; // Mark the parent quest as complete.
+            quest.completedAt = Date.now();
+            player.xp += settings.goalBonus;
+            logEvent('goal_bonus', { questId: quest.id, xp: settings.goalBonus, gold: GOAL_COMPLETE_GOLD });
+            // Finishing by the due date adds a share of the goal bonus on top.
+            const onTimeBonus = getOnTimeBonus(settings.goalBonus, quest.deadline);
+            if (onTimeBonus > 0) {
+                player.xp += onTimeBonus;
+                logEvent('on_time_bonus', { questId: quest.id, goal: quest.goal, xp: onTimeBonus });
+            }
+            const totalBonus = settings.goalBonus + onTimeBonus;
+            // A timeout provides a slight delay for the bonus toast, making the UI feel less cluttered.
+            setTimeout(() => {
+                showToast(t('goal.bonus', { xp: totalBonus, gold: GOAL_COMPLETE_GOLD }) + (onTimeBonus > 0 ? t('goal.bonusOnTime') : ''), true);
+            }, 500);
+            renderQuestLog(); // Re-render the log to move the quest to the "Completed" section.
+            displayActiveQuest(); // Re-render again so the "add task" row disappears.
+            // The "Goal Achieved" message is queued first so it appears before any level up.
+            queueModal(t('modal.goalAchieved'), onTimeBonus > 0
+                ? t('goal.messageOnTime', { goal: quest.goal, xp: totalBonus })
+                : t('goal.message', { goal: quest.goal, xp: settings.goalBonus }));
+        }
+
+        const leveledUp = checkLevelUp();
+        // Only the biggest moment gets a sound, so sounds never play on top of each other.
+        QuestifyConfig.playSound(settings, leveledUp ? 'levelUp' : quest.isComplete ? 'goal' : 'task');
+        
+        updateUI();
+        saveState(); // Saving also checks for achievements, whose modals are queued after the ones above.
+    }
+
+    /**
+     * Levels the player up for as long as they have enough XP, and queues a "Level Up" modal if they did.
+     * @returns {boolean} True if the player leveled up.
+     */
+    function checkLevelUp() {
+        // A 'while' loop is used to handle cases where a user might gain enough XP to level up multiple times at once.
+        let leveledUp = false;
+        while (player.xp >= getXpForLevel(player.level)) {
+            const xpNeeded = getXpForLevel(player.level);
+            player.xp -= xpNeeded;
+            player.level++;
+            leveledUp = true;
+            logEvent('level_up', { level: player.level });
+        }
+
+        if (leveledUp) {
+            queueModal(t('modal.levelUp'), t('modal.levelUpMessage', { level: player.level }));
+        }
+        return leveledUp;
+    }
+
+    /**
+     * Adds up the XP already paid out by a task's completed sub-steps.
+     * @param {object} task The parent task.
+     * @returns {number} The XP paid so far, before any streak multiplier.
+     */
+    function getPaidSubtaskXp(task) {
+        return (task.subtasks || []).filter(st => st.completed).reduce((total, st) => total + st.xp, 0);
+    }
+
+    /**
+     * Checks whether any of a task's sub-steps have been finished, and so already paid out.
+     * Such a task can't be deleted or refreshed: its sub-steps would disappear while the XP paid for them stayed.
+     * @param {object} task The parent task.
+     * @returns {boolean} True if at least one sub-step is done.
+     */
+    function hasPaidSubtasks(task) {
+        return (task.subtasks || []).some(st => st.completed);
+    }
+
+    /**
+     * Splits the part of a task's XP that hasn't been paid yet evenly between its open sub-steps.
+     * Whole numbers are used, so the last open sub-step also gets whatever is left over from rounding.
+     * @param {object} task The parent task.
+     */
+    function distributeSubtaskXp(task) {
+        const openSubtasks = (task.subtasks || []).filter(st => !st.completed);
+        if (openSubtasks.length === 0) return;
+
+        const remainingXp = Math.max(0, task.xp - getPaidSubtaskXp(task));
+        const share = Math.floor(remainingXp / openSubtasks.length);
+        openSubtasks.forEach(st => { st.xp = share; });
+        openSubtasks[openSubtasks.length - 1].xp += remainingXp - (share * openSubtasks.length);
+    }
+
+    /**
+     * Adds sub-steps to a task and re-splits its XP between them.
+     * @param {object} task The parent task.
+     * @param {Array} texts The description of each new sub-step.
+     */
+    function addSubtasks(task, texts) {
+        task.subtasks = task.subtasks || [];
+        texts.forEach(text => {
+            task.subtasks.push({ id: QuestifyState.createId(), text: text, completed: false, xp: 0 });
+        });
+        distributeSubtaskXp(task);
+    }
+
+    /**
+     * Adds a sub-step written by the user to a task.
+     * @param {number} questId The quest the task belongs to.
+     * @param {number} taskIndex The task's position in the quest.
+     * @param {string} text The sub-step description.
+     */
+    function handleAddSubtask(questId, taskIndex, text) {
+        const quest = quests.find(q => q.id === questId);
+        const trimmedText = text.trim();
+        if (!quest || !trimmedText) return;
+
+        const task = quest.tasks[taskIndex];
+        if (task.completed) return;
+
+        pushUndo('adding-a-step');
+        addSubtasks(task, [trimmedText]);
+        expandedTaskIds.add(task.id);
+        saveState();
+        displayActiveQuest();
+    }
+
+    /**
+     * Removes an unfinished sub-step from a task.
+     * @param {number} questId The quest the task belongs to.
+     * @param {number} taskIndex The task's position in the quest.
+     * @param {string} subtaskId The id of the sub-step to remove.
+     */
+    function handleDeleteSubtask(questId, taskIndex, subtaskId) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+
+        const task = quest.tasks[taskIndex];
+        const subtask = task.subtasks.find(st => st.id === subtaskId);
+        if (!subtask || subtask.completed) return;
+
+        // Deleting the last open step after others are done would leave the task finished without being completed.
+        const openCount = task.subtasks.filter(st => !st.completed).length;
+        if (openCount === 1 && task.subtasks.length > 1) {
+            showToast(t('step.checkOffInstead'));
+            return;
+        }
+
+        pushUndo('step-deletion');
+        task.subtasks = task.subtasks.filter(st => st.id !== subtaskId);
+        distributeSubtaskXp(task);
+        saveState();
+        displayActiveQuest();
+    }
+
+    /**
+     * Asks the AI for new tasks to replace the untouched tasks of an offline-generated quest.
+     * @param {number} questId The offline-generated quest.
+     * @param {HTMLButtonElement} button The "Regenerate with AI" button, disabled while waiting.
+     */
+    async function handleRegenerateQuest(questId, button) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+
+        const taskCount = quest.tasks.filter(isUntouchedOfflineTask).length;
+        if (taskCount === 0) {
+            delete quest.source;
+            saveState();
+            renderQuestLog();
+            displayActiveQuest();
+            showToast(t('offline.nothingLeft'));
+            return;
+        }
+
+        const payload = { goal: quest.goal, task_count: taskCount, difficulty_mix: quest.difficultyMix || 'balanced', locale: QuestifyI18n.getLocale() };
+        if (quest.deadline) payload.deadline = quest.deadline;
+        if (quest.context) payload.context = quest.context;
+
+        button.disabled = true;
+        button.textContent = t('offline.regenerating');
+        try {
+            const data = await postJson('/api/generate-quests', payload);
+            pushUndo('regeneration');
+            applyRegeneratedTasks(quest, data.quests);
+            // A queued upgrade for this quest is no longer needed.
+            pendingRequests = pendingRequests.filter(r => !(r.type === 'generate' && r.questId === quest.id));
+            saveState();
+            renderQuestLog();
+            displayActiveQuest();
+            showToast(t('offline.regenerated', { goal: quest.goal }), false, UNDO_ACTION);
+        } catch (error) {
+            showToast(isAiUnavailable(error) ? t('offline.stillUnavailable') : t('offline.regenerateFailed'));
+            button.disabled = false;
+            button.textContent = t('offline.regenerate');
+        }
+    }
+
+    /**
+     * Looks a task up again after waiting for the server. While waiting, the task may have been completed or deleted, or the
+     * whole state replaced by undo, a sync merge or another tab's save, so objects found before the wait can't be trusted.
+     * @param {number} questId The id of the quest.
+     * @param {string} taskId The id of the task.
+     * @returns {object|null} The current 'quest' and 'task', or null if the task is gone or already completed.
+     */
+    function findOpenTask(questId, taskId) {
+        const quest = quests.find(q => q.id === questId);
+        const task = quest && quest.tasks.find(candidate => candidate.id === taskId);
+        return task && !task.completed ? { quest, task } : null;
+    }
+
+    /**
+     * Asks the backend to split a task into smaller sub-steps.
+     * @param {number} questId The quest the task belongs to.
+     * @param {number} taskIndex The task's position in the quest.
+     * @param {HTMLButtonElement} button The "Break it down" button, disabled while waiting.
+     */
+    async function handleBreakDownTask(questId, taskIndex, button) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+        const task = quest.tasks[taskIndex];
+
+        button.disabled = true;
+        button.textContent = t('step.thinking');
+        try {
+            const data = await postJson('/api/break-down-task', {
+                goal: quest.goal,
+                task: task.text,
+                difficulty: task.difficulty,
+                existing_steps: (task.subtasks || []).map(st => st.text),
+                locale: QuestifyI18n.getLocale(),
+            });
+            const target = findOpenTask(questId, task.id);
+            if (!target) return;
+            pushUndo('task-breakdown');
+            addSubtasks(target.task, data.steps);
+            expandedTaskIds.add(task.id);
+            saveState();
+            displayActiveQuest();
+        } catch (error) {
+            showToast(error.isNetworkError ? t('step.breakDownOffline') : t('step.breakDownFailed'));
+            button.disabled = false;
+            button.textContent = t('step.breakDown');
+        }
+    }
+
+    /**
+     * Handles refreshing a single task by calling the dedicated backend endpoint.
+     * If the AI is unavailable, the built-in generator provides the new task. While offline, the refresh is also queued,
+     * so the offline task can be swapped for an AI one when the connection returns.
+     */
+    async function handleRefreshTask(questId, taskIndex, event) {
+        const quest = quests.find(q => q.id === questId);
+        if (!quest) return;
+        const task = quest.tasks[taskIndex];
+        if (hasPaidSubtasks(task)) {
+            showToast(t('task.stepsPaid'));
+            return;
+        }
+        const refreshButton = event.target;
+        refreshButton.disabled = true;
+        refreshButton.textContent = '...';
+        const payload = {
+            goal: quest.goal,
+            context: quest.context,
+            existing_quests: quest.tasks,
+            quest_to_replace: task,
+            locale: QuestifyI18n.getLocale(),
+        };
+        try {
+            const data = await postJson('/api/refresh-quest', payload);
+            const target = findOpenTask(questId, task.id);
+            if (!target || hasPaidSubtasks(target.task)) return; // A step may have been finished while waiting.
+            // Replaces the old task object with the new one from the server.
+            // The task is found by id, because the list may have been reordered while waiting for the response.
+            replaceTask(target.quest, task.id, data.new_quest);
+
+            displayActiveQuest();
+            saveState();
+        } catch (error) {
+            if (isAiUnavailable(error)) {
+                const target = findOpenTask(questId, task.id);
+                if (!target || hasPaidSubtasks(target.task)) return;
+                const currentQuest = target.quest;
+                const index = currentQuest.tasks.indexOf(target.task);
+                replaceTask(currentQuest, task.id, QuestifyGenerator.generateTask(currentQuest.goal, currentQuest.tasks));
+                const offlineTask = currentQuest.tasks[index];
+                offlineTask.source = 'offline';
+                if (error.isNetworkError) {
+                    queueRequest({ type: 'refresh', questId: currentQuest.id, taskId: offlineTask.id, payload: payload });
+                }
+                saveState();
+                displayActiveQuest();
+                showToast(error.isNetworkError
+                    ? t('task.refreshedOffline')
+                    : t('task.refreshedUnavailable'));
+                return;
+            }
+            showToast(t('task.refreshFailed'));
+            refreshButton.disabled = false; // Re-enable the button if the refresh fails.
+            refreshButton.textContent = t('task.refresh');
+        }
+    }
+
+    /**
+     * Finds the task a focus timer is running on.
+     * @param {object} timer A focus timer.
+     * @returns {object|null} The 'quest' and 'task', or null if the task has since been deleted or finished.
+     */
+    function findFocusTarget(timer) {
+        return findOpenTask(timer.questId, timer.taskId);
+    }
+
+    /**
+     * Records a focus session in the event log. A session that ran its full length pays the focus XP from the settings;
+     * one stopped early only records the time, and is dropped altogether if it lasted less than a minute.
+     * @param {object} timer The timer that has just ended.
+     * @param {object} quest The quest the task belongs to.
+     * @param {object} task The task that was worked on.
+     * @returns {object|null} The session's 'duration' and 'xp', or null if it was too short to record.
+     */
+    function recordFocusSession(timer, quest, task) {
+        const duration = QuestifyFocus.getElapsed(timer);
+        const isFinished = duration >= timer.duration;
+        if (!isFinished && duration < QuestifyFocus.MIN_SESSION_LENGTH) return null;
+
+        const xp = isFinished ? settings.focusXp : 0;
+        player.xp += xp;
+        // The session is dated when it ended, which matters for a timer that ran out while the page was closed.
+        logEvent('focus_session', {
+            timestamp: timer.startedAt + duration,
+            questId: quest.id,
+            taskId: task.id,
+            taskText: task.text,
+            difficulty: task.difficulty,
+            duration: duration,
+            xp: xp,
+        });
+        return { duration, xp };
+    }
+
+    /**
+     * Starts a focus session on a task. Only one session runs at a time, so one running on another task is stopped first,
+     * keeping the time already spent on it.
+     * @param {number} questId The quest the task belongs to.
+     * @param {string} taskId The task to focus on.
+     */
+    function handleStartFocus(questId, taskId) {
+        checkFocusTimer(); // A session whose time is already up is finished properly, with its XP, instead of being stopped.
+        if (focusTimer) {
+            stopFocusTimer();
+        }
+        focusTimer = QuestifyFocus.createTimer(questId, taskId, settings.focusMinutes);
+        saveState();
+        displayActiveQuest();
+        showToast(t('focus.started', { count: settings.focusMinutes }));
+    }
+
+    /**
+     * Ends the running focus session early, recording the time spent so far.
+     * The undo history is cleared, because undoing to a snapshot from before the session would throw that time away.
+     * @returns {object|null} The result of 'recordFocusSession'.
+     */
+    function stopFocusTimer() {
+        const target = findFocusTarget(focusTimer);
+        const session = target ? recordFocusSession(focusTimer, target.quest, target.task) : null;
+        focusTimer = null;
+        if (session) {
+            undoStack = [];
+        }
+        return session;
+    }
+
+    /**
+     * Handles the "Stop" buttons on the focus timer bar and on the focused task.
+     */
+    function handleStopFocus() {
+        checkFocusTimer();
+        if (!focusTimer) return;
+
+        const session = stopFocusTimer();
+        saveState();
+        displayActiveQuest();
+        showToast(session
+            ? t('focus.stopped', { time: QuestifyFocus.formatDuration(session.duration) })
+            : t('focus.stoppedTooShort'));
+    }
+
+    /**
+     * Shows the running focus session in the bar above the quest, or hides the bar when there is none.
+     */
+    function renderFocusTimer() {
+        const target = focusTimer && findFocusTarget(focusTimer);
+        focusTimerBar.hidden = !target;
+        if (!target) return;
+        focusTimerTask.textContent = t('focus.running', { task: target.task.text });
+        focusTimerCountdown.textContent = QuestifyFocus.formatCountdown(QuestifyFocus.getRemaining(focusTimer));
+    }
+
+    /**
+     * Loads the save written by another page of the app (or another tab) into this one, replacing what it has in memory.
+     * Nothing is saved in response, so two open tabs can't keep triggering each other.
+     */
+    function reloadSavedState() {
+        applyState(QuestifyState.load().state);
+        rememberQuestVersions();
+        undoStack = []; // Undoing to a snapshot from before the other page's save would throw its changes away.
+        updateUI();
+        renderSettings();
+        renderQuestLog();
+        displayActiveQuest();
+        syncClient.scheduleSync();
+    }
+
+    /**
+     * Runs every second while the page is open: updates the countdown, and finishes the session once its time is up.
+     * Because it works from the saved start time, it also finishes a session that ran out while the page was closed.
+     * A timer whose task was deleted or finished elsewhere (for example in another tab) is dropped without recording anything.
+     */
+    function checkFocusTimer() {
+        if (!focusTimer) return;
+
+        const target = findFocusTarget(focusTimer);
+        if (!target) {
+            focusTimer = null;
+            saveState();
+            displayActiveQuest();
+            return;
+        }
+        const remaining = QuestifyFocus.getRemaining(focusTimer);
+        if (remaining > 0) {
+            focusTimerCountdown.textContent = QuestifyFocus.formatCountdown(remaining);
+            return;
+        }
+
+        // Every open tab runs this check against the same saved timer. The save is read again first, so a session that
+        // another tab has just recorded isn't recorded (and paid) a second time before its storage event arrives here.
+        const savedTimer = QuestifyState.load().state.focusTimer;
+        if (!savedTimer || savedTimer.taskId !== focusTimer.taskId || savedTimer.startedAt !== focusTimer.startedAt) {
+            reloadSavedState();
+            return;
+        }
+
+        const session = recordFocusSession(focusTimer, target.quest, target.task);
+        focusTimer = null;
+        undoStack = []; // As when stopping early, an undo mustn't be able to remove the finished session.
+        const leveledUp = checkLevelUp();
+        QuestifyConfig.playSound(settings, leveledUp ? 'levelUp' : 'focus');
+        updateUI();
+        saveState();
+        displayActiveQuest();
+        showToast(session.xp > 0
+            ? t('focus.finished', { task: target.task.text, xp: session.xp })
+            : t('focus.finishedNoXp', { task: target.task.text }), true);
+    }
+    
+    /**
+     * Updates all UI elements related to player stats (Level, XP, progress bar).
+     * This is a dedicated function to avoid repeating code.
+     */
+    function updateUI() {
+        const xpNeeded = getXpForLevel(player.level);
+        levelSpan.textContent = QuestifyI18n.formatNumber(player.level);
+        xpCountSpan.textContent = `${QuestifyI18n.formatNumber(player.xp)} / ${QuestifyI18n.formatNumber(xpNeeded)}`;
+        progressBar.style.width = `${(player.xp / xpNeeded) * 100}%`;
+        streakCountSpan.textContent = QuestifyI18n.formatNumber(streak.current);
+        bestStreakSpan.textContent = QuestifyI18n.formatNumber(streak.best);
+        streakFreezesSpan.textContent = QuestifyI18n.formatNumber(streak.freezes);
+        const gold = QuestifyRewards.getBalance(events);
+        goldCountSpan.textContent = QuestifyI18n.formatNumber(gold);
+        goldCountSpan.classList.toggle('negative', gold < 0);
+    }
+    
+    /**
+     * Shows the saved settings in the "Due dates & reminders" panel.
+     */
+    function renderSettings() {
+        onTimeBonusInput.value = settings.onTimeBonusPercent;
+        remindersButton.textContent = settings.remindersEnabled ? t('reminders.turnOff') : t('reminders.turnOn');
+    }
+
+    /**
+     * Saves a new on-time bonus from the settings panel, clamped to 0–100%.
+     */
+    function handleOnTimeBonusChange() {
+        const percent = parseInt(onTimeBonusInput.value, 10);
+        settings.onTimeBonusPercent = Number.isNaN(percent) ? QuestifyState.DEFAULT_SETTINGS.onTimeBonusPercent : Math.min(100, Math.max(0, percent));
+        saveState();
+        renderSettings();
+    }
+
+    /**
+     * Turns due date reminders on or off. Turning them on asks the browser for permission to show notifications.
+     */
+    async function toggleReminders() {
+        if (settings.remindersEnabled) {
+            settings.remindersEnabled = false;
+            saveState();
+            renderSettings();
+            return;
+        }
+        if (!('Notification' in window)) {
+            showToast(t('reminders.unsupported'));
+            return;
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showToast(t('reminders.blocked'));
+            return;
+        }
+        settings.remindersEnabled = true;
+        saveState();
+        renderSettings();
+        showToast(t('reminders.enabled'));
+        checkReminders();
+    }
+
+    /**
+     * Shows a notification for every due date reminder that hasn't been shown yet.
+     * It runs on page load, every few minutes while the app is open, and whenever a due date changes.
+     */
+    function checkReminders() {
+        if (!settings.remindersEnabled || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+        // Old records are dropped so the list doesn't grow forever.
+        const todayKey = QuestifyStreaks.getDayKey();
+        Object.entries(remindersSent).forEach(([id, dayKey]) => {
+            if (QuestifyStreaks.daysBetween(dayKey, todayKey) > REMINDER_HISTORY_DAYS) {
+                delete remindersSent[id];
+            }
+        });
+
+        const reminders = QuestifyDueDates.findReminders(quests, remindersSent, todayKey);
+        reminders.forEach(reminder => {
+            showNotification(reminder);
+            remindersSent[reminder.id] = todayKey;
+        });
+        if (reminders.length > 0) {
+            saveState();
+        }
+    }
+
+    /**
+     * Shows a browser notification. The service worker is used when there is one, because its notifications
+     * can be clicked to bring the app back; otherwise the page shows the notification itself.
+     * @param {object} reminder The reminder, with an 'id', 'title' and 'body'.
+     */
+    async function showNotification(reminder) {
+        const options = { body: reminder.body, tag: reminder.id, icon: 'icon.svg' };
+        try {
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration) {
+                await registration.showNotification(reminder.title, options);
+            } else {
+                new Notification(reminder.title, options);
+            }
+        } catch (error) {
+            console.error('Could not show reminder:', error);
+        }
+    }
+
+    /**
+     * Applies a state merged with changes from another device, without counting the merge as a new edit on this one.
+     * The undo history is cleared, because undoing to a snapshot from before the merge would throw the other device's changes away.
+     * @param {object} state The merged game state.
+     */
+    function applySyncedState(state) {
+        applyState(state);
+        rememberQuestVersions();
+        undoStack = [];
+        checkAchievements();
+        QuestifyState.save(getState());
+        updateUI();
+        renderQuestLog();
+        displayActiveQuest();
+    }
+
+    /**
+     * Shows the sync status in the header.
+     * @param {string} status One of QuestifySync.STATUSES.
+     */
+    function renderSyncStatus(status) {
+        syncStatus.textContent = `☁️ ${t(`sync.status.${status}`)}`;
+        syncStatus.dataset.status = status;
+    }
+
+    /**
+     * Shows the sync code (or an explanation, while sync is off) in the "Cloud sync" panel.
+     */
+    function renderSyncSettings() {
+        const code = syncClient.getCode();
+        syncDescription.textContent = code
+            ? t('sync.codeDescription', { code: code })
+            : t('sync.offDescription');
+        syncEnableButton.hidden = Boolean(code);
+        syncLinkButton.hidden = Boolean(code);
+        syncDisableButton.hidden = !code;
+    }
+
+    /**
+     * Turns cloud sync on with a new sync code.
+     */
+    function handleEnableSync() {
+        syncClient.enable();
+        renderSyncSettings();
+        showToast(t('sync.enabled'));
+    }
+
+    /**
+     * Links this device to the cloud save of another device, asking the user for its sync code.
+     */
+    async function handleLinkSync() {
+        const code = prompt(t('sync.linkPrompt'));
+        if (code === null) return; // The user pressed "Cancel".
+        try {
+            await syncClient.link(code);
+            renderSyncSettings();
+            showToast(t('sync.linked'));
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+
+    /**
+     * Turns cloud sync off on this device, after confirming that the code should be written down first.
+     */
+    function handleDisableSync() {
+        const isConfirmed = confirm(t('sync.confirmDisable', { code: syncClient.getCode() }));
+        if (isConfirmed) {
+            syncClient.disable();
+            renderSyncSettings();
+        }
+    }
+
+    /**
+     * Resets all progress after getting user confirmation.
+     * With cloud sync on, sync is turned off on this device first, so the reset doesn't wipe the cloud copy (or get undone by it).
+     */
+    function resetProgress() {
+        const isSyncOn = Boolean(syncClient.getCode());
+        // The 'confirm' dialog is a simple way to prevent accidental data loss.
+        const isConfirmed = confirm(t('reset.confirm') + (isSyncOn ? t('reset.confirmSync') : ''));
+        if (isConfirmed) {
+            if (isSyncOn) {
+                syncClient.disable();
+                renderSyncSettings();
+            }
+            pushUndo('progress-reset');
             player = { level: 1, xp: 0 };
             quests = [];
             activeQuestId = null;
-            localStorage.removeItem('questifyGameState');
+            events = [];
+            streak = QuestifyStreaks.createStreak();
+            achievements = {};
+            focusTimer = null;
+            // A reset isn't a list of undos and deletions. Recording it as one would mark every old event and quest as
+            // removed, and relinking the same sync code later would then delete them from the cloud copy too.
+            rememberQuestVersions();
+            QuestifyState.clear();
             
             updateUI();
             renderQuestLog();
             displayActiveQuest();
             
-            showToast("Progress has been reset.");
+            showToast(t('reset.done'), false, UNDO_ACTION);
         }
     }
     
     /**
-     * Calculates the XP required to reach the next level based on a scaling formula.
+     * Downloads the full game state as a JSON file, so it can be restored in another browser or on another machine.
+     */
+    function exportProgress() {
+        const exportData = {
+            app: 'questify',
+            schemaVersion: EXPORT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            state: getState(),
+        };
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        // A temporary link is the standard way to trigger a file download from JavaScript.
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `questify-backup-${QuestifyStreaks.getDayKey()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        showToast(t('export.done'));
+    }
+
+    /**
+     * Checks that parsed import data is a Questify export this version can read.
+     * Each problem throws an Error whose message is shown to the user, so the messages are written for them.
+     * Unlike a damaged save, which is repaired where possible, a file with any invalid field is rejected outright.
+     * @param {object} data The parsed contents of the import file.
+     * @returns {object} The game state contained in the file, upgraded to the current schema.
+     */
+    function validateImport(data) {
+        if (!data || typeof data !== 'object' || data.app !== 'questify' || !data.state) {
+            throw new Error(t('import.errorNotExport'));
+        }
+        if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+            throw new Error(t('import.errorNoVersion'));
+        }
+        if (data.schemaVersion > EXPORT_SCHEMA_VERSION || data.state.schemaVersion > QuestifyState.SCHEMA_VERSION) {
+            throw new Error(t('import.errorNewer'));
+        }
+
+        const state = data.state;
+        const player = state.player;
+        if (!player || !Number.isInteger(player.level) || player.level < 1 || typeof player.xp !== 'number' || player.xp < 0) {
+            throw new Error(t('import.errorPlayer'));
+        }
+        if (!Array.isArray(state.quests)) {
+            throw new Error(t('import.errorNoQuests'));
+        }
+        state.quests.forEach(quest => {
+            if (!quest || typeof quest !== 'object' || quest.id === undefined || typeof quest.goal !== 'string' || !Array.isArray(quest.tasks)) {
+                throw new Error(t('import.errorQuest'));
+            }
+            quest.tasks.forEach(task => {
+                if (!task || typeof task !== 'object' || typeof task.text !== 'string' || !QuestifyState.DIFFICULTIES.includes(task.difficulty) || typeof task.xp !== 'number') {
+                    throw new Error(t('import.errorTask', { goal: quest.goal }));
+                }
+            });
+        });
+        if (state.events !== undefined) {
+            const eventsAreValid = Array.isArray(state.events)
+                && state.events.every(e => e && typeof e.type === 'string' && typeof e.timestamp === 'number');
+            if (!eventsAreValid) {
+                throw new Error(t('import.errorEvents'));
+            }
+        }
+        // Like the event log, the streak and achievements may be missing from files exported before they existed.
+        if (state.streak !== undefined) {
+            const streakIsValid = state.streak && typeof state.streak === 'object'
+                && ['current', 'best', 'freezes'].every(field => Number.isInteger(state.streak[field]) && state.streak[field] >= 0)
+                && (state.streak.lastDay === null || /^\d{4}-\d{2}-\d{2}$/.test(state.streak.lastDay));
+            if (!streakIsValid) {
+                throw new Error(t('import.errorStreak'));
+            }
+        }
+        if (state.achievements !== undefined) {
+            const achievementsAreValid = state.achievements && typeof state.achievements === 'object' && !Array.isArray(state.achievements)
+                && Object.values(state.achievements).every(record => record && typeof record.unlockedAt === 'number');
+            if (!achievementsAreValid) {
+                throw new Error(t('import.errorAchievements'));
+            }
+        }
+        return QuestifyState.normalize(state);
+    }
+
+    /**
+     * Reads the file chosen in the import dialog, validates it and asks the user how to apply it.
+     * @param {Event} event The 'change' event from the hidden file input.
+     */
+    async function handleImportFile(event) {
+        const file = event.target.files[0];
+        importFileInput.value = ''; // Clearing the input allows the same file to be picked again later.
+        if (!file) return;
+
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error(t('import.errorJson'));
+            }
+            pendingImport = validateImport(data);
+        } catch (error) {
+            showToast(t('import.failed', { message: error.message }));
+            return;
+        }
+
+        importModalMessage.textContent = t('import.summary', { level: pendingImport.player.level, count: pendingImport.quests.length });
+        importModal.classList.remove('hidden');
+    }
+
+    /**
+     * Applies the pending import, either replacing the current progress or merging it in.
+     * @param {string} mode Either 'replace' or 'merge'.
+     */
+    function applyImport(mode) {
+        if (!pendingImport) return;
+        const isLogCollapsed = body.classList.contains('log-collapsed');
+        const currentFilters = questLogFilters;
+        const currentTimer = focusTimer;
+
+        if (mode === 'merge') {
+            applyState(QuestifyState.merge(getState(), pendingImport, getXpForLevel));
+        } else {
+            applyState(pendingImport);
+        }
+        body.classList.toggle('log-collapsed', isLogCollapsed); // The sidebar and its filters stay the way the user left them.
+        questLogFilters = currentFilters;
+        focusTimer = currentTimer; // So does the focus timer, which belongs to this device rather than to the file.
+        pendingImport = null;
+        importModal.classList.add('hidden');
+
+        checkStreak();
+        saveState();
+        updateUI();
+        renderSettings();
+        renderQuestLog();
+        displayActiveQuest();
+        showToast(mode === 'merge' ? t('import.merged') : t('import.imported'));
+    }
+
+    /**
+     * Calculates the XP required to reach the next level, using the curve chosen on the settings page.
      * @param {number} level The current level.
      * @returns {number} The total XP needed to complete the current level.
      */
     function getXpForLevel(level) {
-        return 100 + ((level - 1) * 20); // Each level costs 20 more XP than the last.
+        return QuestifyConfig.getXpForLevel(settings.xpCurve, level);
+    }
+
+    /**
+     * Adds a message to the modal queue. If no modal is currently open, it is shown straight away.
+     * @param {string} title The modal's heading.
+     * @param {string} message The modal's body text.
+     */
+    function queueModal(title, message) {
+        modalQueue.push({ title, message });
+        if (levelUpModal.classList.contains('hidden')) {
+            showNextModal();
+        }
+    }
+
+    /**
+     * Shows the next modal in the queue, or hides the modal once the queue is empty.
+     */
+    function showNextModal() {
+        const next = modalQueue.shift();
+        if (!next) {
+            levelUpModal.classList.add('hidden');
+            return;
+        }
+        modalTitle.textContent = next.title;
+        modalMessage.textContent = next.message;
+        modalCloseButton.textContent = t('common.continue');
+        levelUpModal.classList.remove('hidden');
     }
 
     /**
      * Displays a temporary "toast" notification at the bottom of the screen.
      * @param {string} message The text to display in the toast.
      * @param {boolean} isBonus If true, applies a special style for bonus notifications.
+     * @param {object} action An optional button to show in the toast, as { label, onClick }.
      */
-    function showToast(message, isBonus = false) {
+    function showToast(message, isBonus = false, action = null) {
         const toast = document.createElement('div');
         toast.className = 'toast-notification';
         if (isBonus) {
             toast.classList.add('toast-bonus');
         }
         toast.textContent = message;
+
+        // Toasts with a button stay up longer, giving the user time to click it.
+        let duration = 3000;
+        if (action) {
+            duration = 5000;
+            toast.style.animationDuration = `${duration}ms`;
+            const actionButton = document.createElement('button');
+            actionButton.className = 'toast-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(actionButton);
+        }
+
         document.body.appendChild(toast);
-        // The toast automatically removes itself from the DOM after 3 seconds.
-        setTimeout(() => { toast.remove(); }, 3000);
+        // The toast automatically removes itself from the DOM once its animation has finished.
+        setTimeout(() => { toast.remove(); }, duration);
     }
     
     // =================================
@@ -438,23 +2904,99 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Handles the reset progress button.
     resetProgressButton.addEventListener('click', resetProgress);
+
+    // Handles the settings in the "Due dates & reminders" panel.
+    onTimeBonusInput.addEventListener('change', handleOnTimeBonusChange);
+    remindersButton.addEventListener('click', toggleReminders);
+
+    // Handles the "Stop" button on the focus timer bar.
+    focusTimerStopButton.addEventListener('click', handleStopFocus);
+
+    // Handles the Quest Log's search box, filters and sorting. Searching doesn't save anything, so it can update on every key press.
+    questSearchInput.addEventListener('input', () => {
+        questSearch = questSearchInput.value;
+        renderQuestLog();
+    });
+    [tagFilterSelect, difficultyFilterSelect, statusFilterSelect, dateFilterSelect, sortSelect].forEach(select => {
+        select.addEventListener('change', handleFilterChange);
+    });
+    clearFiltersButton.addEventListener('click', clearQuestLogFilters);
+
+    // Handles the buttons in the "Cloud sync" panel.
+    syncEnableButton.addEventListener('click', handleEnableSync);
+    syncLinkButton.addEventListener('click', handleLinkSync);
+    syncDisableButton.addEventListener('click', handleDisableSync);
+
+    // Handles exporting and importing progress. The "Import" button opens the hidden file picker.
+    exportButton.addEventListener('click', exportProgress);
+    importButton.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', handleImportFile);
+    importReplaceButton.addEventListener('click', () => applyImport('replace'));
+    importMergeButton.addEventListener('click', () => applyImport('merge'));
+    importCancelButton.addEventListener('click', () => {
+        pendingImport = null;
+        importModal.classList.add('hidden');
+    });
     
-    // Handles the "Continue" button on the modal, including the logic for the pending level up message.
-    modalCloseButton.addEventListener('click', () => {
-        if (levelUpPending) {
-            levelUpPending = false; // Clear the flag.
-            // Transform the current modal into the Level Up modal instead of closing it.
-            modalTitle.textContent = 'Level Up!';
-            modalMessage.textContent = `You've reached Level ${player.level}!`;
-            modalCloseButton.textContent = 'Continue';
-        } else {
-            levelUpModal.classList.add('hidden'); // Just hide it.
+    // Handles the undo keyboard shortcut (Ctrl+Z, or Cmd+Z on a Mac).
+    // It is skipped while typing in a text field, so the browser's own text undo still works there.
+    document.addEventListener('keydown', (e) => {
+        const isTyping = ['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName);
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z' && !isTyping) {
+            e.preventDefault();
+            undo();
         }
     });
 
+    // Handles the "Continue" button on the modal. It moves on to the next queued message, or closes the modal when there are none left.
+    modalCloseButton.addEventListener('click', showNextModal);
+
     // =================================
     //  5. INITIAL LOAD
     // =================================
     // This is the very first function call that kicks off the application when the page loads.
     loadState();
+
+    // Cloud sync is set up after the first load, so loading the save isn't mistaken for a change to push.
+    // If sync is on, this page's profile is pulled and pushed straight away.
+    syncClient = QuestifySync.createClient({
+        profileId: QuestifyProfiles.getActive().id,
+        getState: getState,
+        applyMergedState: applySyncedState,
+        merge: (current, incoming) => QuestifyState.merge(current, incoming, getXpForLevel),
+        onStatusChange: renderSyncStatus,
+    });
+    renderSyncStatus(syncClient.getStatus());
+    renderSyncSettings();
+    syncClient.syncNow();
+
+    // Another page of the app (such as the reward shop) may save this profile while this one is open.
+    // Its save is loaded straight away, so the next save here doesn't overwrite it.
+    window.addEventListener('storage', (event) => {
+        if (event.key !== QuestifyState.STORAGE_KEY || event.newValue === null) return;
+        reloadSavedState();
+    });
+
+    // Anything queued during an earlier offline session is sent now, and again whenever the connection comes back.
+    processPendingRequests();
+    window.addEventListener('online', processPendingRequests);
+
+    // Due dates are checked for reminders now and at regular intervals for as long as the page stays open.
+    checkReminders();
+    setInterval(checkReminders, REMINDER_CHECK_INTERVAL);
+
+    // Recurring quests reset when a new cycle starts, even if the page was left open overnight or in a background tab.
+    setInterval(checkRecurringQuests, RECURRENCE_CHECK_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkRecurringQuests();
+    });
+
+    // The focus timer counts down once a second. A session that ran out while the page was closed is finished straight away.
+    checkFocusTimer();
+    setInterval(checkFocusTimer, FOCUS_CHECK_INTERVAL);
+
+    // The service worker caches the app so it can open without a connection. Older browsers simply skip this.
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
 });
\ No newline at end of file
@@ -0,0 +1,222 @@
+// This file runs the settings page (settings.html), where the player changes the game rules described in config.js.
+// Nothing changes until "Save Settings" is pressed. Saving a new leveling curve recalculates the level and XP
+// from all the XP ever earned, so progress carries over to the new curve.
+document.addEventListener('DOMContentLoaded', () => {
+
+    // =================================
+    //  1. ELEMENT REFERENCES
+    // =================================
+    const curveSelect = document.getElementById('curve-select');
+    const curveBaseInput = document.getElementById('curve-base-input');
+    const curveStepInput = document.getElementById('curve-step-input');
+    const curveGrowthInput = document.getElementById('curve-growth-input');
+    const curveTableInput = document.getElementById('curve-table-input');
+    const curvePreviewEl = document.getElementById('curve-preview');
+    const levelPreviewEl = document.getElementById('level-preview');
+    const xpInputs = {
+        Easy: document.getElementById('xp-easy-input'),
+        Medium: document.getElementById('xp-medium-input'),
+        Hard: document.getElementById('xp-hard-input'),
+    };
+    const goalBonusInput = document.getElementById('goal-bonus-input');
+    const focusMinutesInput = document.getElementById('focus-minutes-input');
+    const focusXpInput = document.getElementById('focus-xp-input');
+    const confirmDialogsCheckbox = document.getElementById('confirm-dialogs-checkbox');
+    const soundsCheckbox = document.getElementById('sounds-checkbox');
+    const testSoundButton = document.getElementById('test-sound-button');
+    const saveButton = document.getElementById('save-settings-button');
+    const restoreDefaultsButton = document.getElementById('restore-defaults-button');
+
+    // =================================
+    //  2. STATE VARIABLES
+    // =================================
+    // The whole saved game state. This page only changes 'settings' and 'player', but saves everything back.
+    let state = QuestifyState.load().state;
+    const PREVIEW_LEVELS = 10; // How many levels the curve preview lists.
+
+    // =================================
+    //  3. CORE FUNCTIONS
+    // =================================
+
+    // Looks up the text shown to the player in the chosen language (see i18n.js).
+    const { t, formatNumber } = QuestifyI18n;
+
+    /**
+     * Shows a short message at the bottom of the screen, using the same style as the Quest page.
+     * @param {string} message The text to display.
+     */
+    function showToast(message) {
+        const toast = document.createElement('div');
+        toast.className = 'toast-notification';
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        setTimeout(() => { toast.remove(); }, 3000);
+    }
+
+    /**
+     * Adds up all the XP the player has ever earned. The level is always worked out from this total.
+     * @returns {number} The lifetime XP.
+     */
+    function getLifetimeXp() {
+        return state.events.reduce((total, e) => total + (e.xp || 0), 0);
+    }
+
+    /**
+     * Fills the form with a set of game rules.
+     * @param {object} config The rules, shaped like QuestifyConfig.DEFAULT_CONFIG.
+     */
+    function fillForm(config) {
+        curveSelect.value = config.xpCurve.type;
+        curveBaseInput.value = config.xpCurve.base;
+        curveStepInput.value = config.xpCurve.step;
+        // The growth is saved as a multiplier (1.15) but shown as a percentage (15), which is easier to think about.
+        curveGrowthInput.value = Math.round((config.xpCurve.growth - 1) * 100);
+        curveTableInput.value = config.xpCurve.table.join(', ');
+        Object.entries(xpInputs).forEach(([difficulty, input]) => { input.value = config.xpByDifficulty[difficulty]; });
+        goalBonusInput.value = config.goalBonus;
+        focusMinutesInput.value = config.focusMinutes;
+        focusXpInput.value = config.focusXp;
+        confirmDialogsCheckbox.checked = config.confirmDialogs;
+        soundsCheckbox.checked = config.soundsEnabled;
+        updateCurveFields();
+    }
+
+    /**
+     * Reads the leveling curve from the form. Each problem throws an Error whose message is shown to the user.
+     * Only the fields the chosen curve uses are checked; the others keep their saved values.
+     * @returns {object} The new 'xpCurve'.
+     */
+    function readCurve() {
+        const { LIMITS, parseWholeNumber, parseTable } = QuestifyConfig;
+        const curve = { ...state.settings.xpCurve, type: curveSelect.value };
+        if (curve.type === 'linear' || curve.type === 'exponential') {
+            curve.base = parseWholeNumber(curveBaseInput.value, LIMITS.base, t('settings.labelBase'));
+        }
+        if (curve.type === 'linear') {
+            curve.step = parseWholeNumber(curveStepInput.value, LIMITS.step, t('settings.labelStep'));
+        }
+        if (curve.type === 'exponential') {
+            const percent = parseWholeNumber(curveGrowthInput.value, { min: 1, max: 100 }, t('settings.labelGrowth'));
+            curve.growth = 1 + percent / 100;
+        }
+        if (curve.type === 'custom') {
+            curve.table = parseTable(curveTableInput.value);
+        }
+        return curve;
+    }
+
+    /**
+     * Reads every game rule from the form. Each problem throws an Error whose message is shown to the user.
+     * @returns {object} The new rules, shaped like QuestifyConfig.DEFAULT_CONFIG.
+     */
+    function readForm() {
+        const { LIMITS, parseWholeNumber } = QuestifyConfig;
+        return {
+            xpCurve: readCurve(),
+            xpByDifficulty: Object.fromEntries(Object.entries(xpInputs)
+                .map(([difficulty, input]) => [difficulty, parseWholeNumber(input.value, LIMITS.taskXp, t('settings.labelTaskXp', { difficulty: t(`difficulty.${difficulty}`) }))])),
+            goalBonus: parseWholeNumber(goalBonusInput.value, LIMITS.goalBonus, t('settings.labelGoalBonus')),
+            focusMinutes: parseWholeNumber(focusMinutesInput.value, LIMITS.focusMinutes, t('settings.labelFocusMinutes')),
+            focusXp: parseWholeNumber(focusXpInput.value, LIMITS.focusXp, t('settings.labelFocusXp')),
+            confirmDialogs: confirmDialogsCheckbox.checked,
+            soundsEnabled: soundsCheckbox.checked,
+        };
+    }
+
+    /**
+     * Works out the level and XP a lifetime XP total gives on a curve.
+     * @param {object} curve An 'xpCurve'.
+     * @returns {object} A player object with 'level' and 'xp'.
+     */
+    function getPlayerOnCurve(curve) {
+        return QuestifyState.getPlayerFromLifetimeXp(getLifetimeXp(), level => QuestifyConfig.getXpForLevel(curve, level));
+    }
+
+    /**
+     * Shows only the curve fields that the chosen curve uses, then refreshes the preview.
+     */
+    function updateCurveFields() {
+        document.querySelectorAll('[data-curve]').forEach(element => {
+            element.hidden = !element.dataset.curve.split(' ').includes(curveSelect.value);
+        });
+        updatePreview();
+    }
+
+    /**
+     * Lists the XP the first few levels need on the curve in the form, and the level the player would be on it.
+     */
+    function updatePreview() {
+        let curve;
+        try {
+            curve = readCurve();
+        } catch (error) {
+            curvePreviewEl.textContent = error.message;
+            levelPreviewEl.textContent = '';
+            return;
+        }
+        const costs = Array.from({ length: PREVIEW_LEVELS }, (_, i) => QuestifyConfig.getXpForLevel(curve, i + 1));
+        curvePreviewEl.textContent = t('settings.curvePreview', { levels: PREVIEW_LEVELS, costs: costs.map(formatNumber).join(', ') });
+
+        const player = getPlayerOnCurve(curve);
+        const xpNeeded = QuestifyConfig.getXpForLevel(curve, player.level);
+        levelPreviewEl.textContent = t('settings.levelPreview', { lifetimeXp: getLifetimeXp(), level: player.level, xp: player.xp, xpNeeded: xpNeeded });
+    }
+
+    /**
+     * Saves the rules in the form. A new curve recalculates the level straight away.
+     */
+    function handleSave() {
+        let config;
+        try {
+            config = readForm();
+        } catch (error) {
+            showToast(error.message);
+            return;
+        }
+        const previousLevel = state.player.level;
+        state.settings = { ...state.settings, ...config };
+        state.player = getPlayerOnCurve(config.xpCurve);
+        QuestifyState.save(state);
+        showToast(state.player.level === previousLevel
+            ? t('settings.saved')
+            : t('settings.savedNewLevel', { level: state.player.level }));
+    }
+
+    // =================================
+    //  4. EVENT LISTENERS
+    // =================================
+    curveSelect.addEventListener('change', updateCurveFields);
+    [curveBaseInput, curveStepInput, curveGrowthInput, curveTableInput].forEach(input => {
+        input.addEventListener('input', updatePreview);
+    });
+    saveButton.addEventListener('click', handleSave);
+
+    // The defaults only fill the form, so the player can still look them over before saving.
+    restoreDefaultsButton.addEventListener('click', () => {
+        fillForm(QuestifyConfig.DEFAULT_CONFIG);
+        showToast(t('settings.defaultsRestored'));
+    });
+
+    // The test button plays a sound even while sounds are off, so the player can hear them before turning them on.
+    testSoundButton.addEventListener('click', () => {
+        QuestifyConfig.playSound({ soundsEnabled: true }, 'levelUp');
+    });
+
+    // When the Quest page (in another tab) saves, the state is reloaded so saving here never overwrites its progress.
+    // The form is left alone, so anything typed but not yet saved isn't lost.
+    window.addEventListener('storage', (event) => {
+        if (event.key !== QuestifyState.STORAGE_KEY || event.newValue === null) return;
+        state = QuestifyState.load().state;
+        updatePreview();
+    });
+
+    // =================================
+    //  5. INITIAL LOAD
+    // =================================
+    fillForm(state.settings);
+
+    // The service worker caches the app so the settings can also open without a connection.
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+});
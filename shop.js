@@ -0,0 +1,257 @@
+// This file runs the reward shop (shop.html). The player adds their own rewards with a price in gold,
+// and redeems them with the gold earned on the Quest page. The rules for gold live in rewards.js.
+// Every change is saved straight away, and the Quest page picks it up (and syncs it) from Local Storage.
+document.addEventListener('DOMContentLoaded', () => {
+
+    // =================================
+    //  1. ELEMENT REFERENCES
+    // =================================
+    const goldCountSpan = document.getElementById('shop-gold-count');
+    const rewardNameInput = document.getElementById('reward-name-input');
+    const rewardCostInput = document.getElementById('reward-cost-input');
+    const addRewardButton = document.getElementById('add-reward-button');
+    const rewardListEl = document.getElementById('reward-list');
+    const purchaseListEl = document.getElementById('purchase-list');
+
+    // =================================
+    //  2. STATE VARIABLES
+    // =================================
+    // The whole saved game state. The shop only changes 'rewards' and adds to 'events', but saves everything back.
+    let state = QuestifyState.load().state;
+
+    // =================================
+    //  3. CORE FUNCTIONS
+    // =================================
+
+    // Looks up the text shown to the player in the chosen language (see i18n.js).
+    const { t, formatNumber, formatDate } = QuestifyI18n;
+
+    /**
+     * Saves the state and redraws the page.
+     */
+    function saveAndRender() {
+        QuestifyState.save(state);
+        render();
+    }
+
+    /**
+     * Adds an entry to the event log, just like logEvent in script.js.
+     * @param {string} type The kind of event, e.g. 'reward_purchased'.
+     * @param {object} details Any extra information to store with the event.
+     */
+    function logEvent(type, details = {}) {
+        state.events.push({ id: QuestifyState.createId(), type: type, timestamp: Date.now(), ...details });
+    }
+
+    /**
+     * Shows a short message at the bottom of the screen, using the same style as the Quest page.
+     * @param {string} message The text to display.
+     */
+    function showToast(message) {
+        const toast = document.createElement('div');
+        toast.className = 'toast-notification';
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        setTimeout(() => { toast.remove(); }, 3000);
+    }
+
+    /**
+     * Adds the reward typed into the form.
+     */
+    function handleAddReward() {
+        let reward;
+        try {
+            reward = QuestifyRewards.validateReward(rewardNameInput.value, rewardCostInput.value);
+        } catch (error) {
+            showToast(error.message);
+            return;
+        }
+        const now = Date.now();
+        state.rewards.push({ id: QuestifyState.createId(), name: reward.name, cost: reward.cost, createdAt: now, updatedAt: now });
+        rewardNameInput.value = '';
+        saveAndRender();
+        rewardNameInput.focus();
+    }
+
+    /**
+     * Checks the player's gold against the latest save, since another tab or a sync may have spent some since this page loaded.
+     * If there isn't enough, the page is redrawn with the current balance and the player is told.
+     * @param {object} reward The reward to buy.
+     * @returns {boolean} Whether the player can afford the reward.
+     */
+    function canAfford(reward) {
+        state = QuestifyState.load().state;
+        if (QuestifyRewards.getBalance(state.events) >= reward.cost) return true;
+        render();
+        showToast(t('shop.needMoreGold', { cost: reward.cost }));
+        return false;
+    }
+
+    /**
+     * Buys a reward, if the player has enough gold.
+     * @param {object} reward The reward to buy.
+     */
+    function handleRedeemReward(reward) {
+        if (!canAfford(reward)) return;
+        if (!QuestifyConfig.confirmAction(state.settings, t('shop.confirmBuy', { cost: reward.cost, name: reward.name }))) return;
+        if (!canAfford(reward)) return; // Gold may also have been spent elsewhere while the confirmation was up.
+        logEvent('reward_purchased', { rewardId: reward.id, rewardName: reward.name, gold: -reward.cost });
+        saveAndRender();
+        QuestifyConfig.playSound(state.settings, 'purchase');
+        showToast(t('shop.enjoy', { name: reward.name }));
+    }
+
+    /**
+     * Deletes a reward. Past purchases of it stay in the history.
+     * The reward is only marked as deleted, so cloud sync can pass the deletion on to other devices.
+     * @param {object} reward The reward to delete.
+     */
+    function handleDeleteReward(reward) {
+        if (!QuestifyConfig.confirmAction(state.settings, t('shop.confirmDelete', { name: reward.name }))) return;
+        reward.isDeleted = true;
+        reward.updatedAt = Date.now();
+        saveAndRender();
+    }
+
+    /**
+     * Gives back the gold spent on a purchase. Each purchase can only be refunded once.
+     * @param {object} purchase The purchase, as listed by QuestifyRewards.getPurchases.
+     */
+    function handleRefundPurchase(purchase) {
+        if (!QuestifyConfig.confirmAction(state.settings, t('shop.confirmRefund', { name: purchase.rewardName, cost: purchase.cost }))) return;
+        // The purchase may have been refunded in another tab while this one was open, or while the confirmation was up.
+        state = QuestifyState.load().state;
+        if (state.events.some(e => e.type === 'reward_refunded' && e.purchaseId === purchase.id)) {
+            render();
+            return;
+        }
+        logEvent('reward_refunded', { purchaseId: purchase.id, rewardName: purchase.rewardName, gold: purchase.cost });
+        saveAndRender();
+    }
+
+    /**
+     * Creates a small button like the ones in the Quest Log.
+     * @param {string} label The button's text.
+     * @param {function} onClick Called when the button is clicked.
+     * @returns {HTMLButtonElement} The button.
+     */
+    function createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'refresh-button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Draws the list of rewards, cheapest first. Rewards the player can't afford yet are dimmed.
+     * @param {number} balance The player's gold.
+     */
+    function renderRewards(balance) {
+        rewardListEl.innerHTML = '';
+        const rewards = state.rewards.filter(r => !r.isDeleted).sort((a, b) => a.cost - b.cost || a.createdAt - b.createdAt);
+        if (rewards.length === 0) {
+            rewardListEl.innerHTML = `<p style="color: #888; text-align: center;">${t('shop.noRewards')}</p>`;
+            return;
+        }
+
+        rewards.forEach(reward => {
+            const row = document.createElement('div');
+            row.className = 'reward-row';
+            row.classList.toggle('unaffordable', balance < reward.cost);
+
+            const name = document.createElement('span');
+            name.className = 'reward-name';
+            name.textContent = reward.name;
+
+            const cost = document.createElement('span');
+            cost.className = 'reward-cost';
+            cost.textContent = t('shop.cost', { cost: reward.cost });
+
+            const actions = document.createElement('div');
+            actions.className = 'reward-actions';
+            const redeemButton = createButton(t('shop.redeem'), () => handleRedeemReward(reward));
+            redeemButton.disabled = balance < reward.cost;
+            actions.appendChild(redeemButton);
+            actions.appendChild(createButton(t('common.delete'), () => handleDeleteReward(reward)));
+
+            row.appendChild(name);
+            row.appendChild(cost);
+            row.appendChild(actions);
+            rewardListEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Draws the purchase history, newest first, with a refund button on every purchase that hasn't been refunded.
+     */
+    function renderPurchases() {
+        purchaseListEl.innerHTML = '';
+        const purchases = QuestifyRewards.getPurchases(state.events);
+        if (purchases.length === 0) {
+            purchaseListEl.innerHTML = `<p style="color: #888; text-align: center;">${t('shop.noPurchases')}</p>`;
+            return;
+        }
+
+        purchases.forEach(purchase => {
+            const row = document.createElement('div');
+            row.className = 'purchase-row';
+            row.classList.toggle('refunded', Boolean(purchase.refundedAt));
+
+            const name = document.createElement('span');
+            name.className = 'purchase-name';
+            name.textContent = purchase.rewardName;
+
+            const details = document.createElement('span');
+            details.className = 'purchase-details';
+            details.textContent = t('shop.purchaseDetails', { cost: purchase.cost, date: formatDate(purchase.timestamp) })
+                + (purchase.refundedAt ? t('shop.refunded') : '');
+
+            row.appendChild(name);
+            row.appendChild(details);
+            if (!purchase.refundedAt) {
+                row.appendChild(createButton(t('shop.refund'), () => handleRefundPurchase(purchase)));
+            }
+            purchaseListEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Redraws the whole page from the state.
+     */
+    function render() {
+        const balance = QuestifyRewards.getBalance(state.events);
+        goldCountSpan.textContent = formatNumber(balance);
+        goldCountSpan.classList.toggle('negative', balance < 0);
+        renderRewards(balance);
+        renderPurchases();
+    }
+
+    // =================================
+    //  4. EVENT LISTENERS
+    // =================================
+    addRewardButton.addEventListener('click', handleAddReward);
+    rewardNameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') handleAddReward();
+    });
+    rewardCostInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') handleAddReward();
+    });
+
+    // When the Quest page (in another tab) earns gold or syncs new rewards, the shop reloads the state so it never saves over them.
+    window.addEventListener('storage', (event) => {
+        if (event.key !== QuestifyState.STORAGE_KEY || event.newValue === null) return;
+        state = QuestifyState.load().state;
+        render();
+    });
+
+    // =================================
+    //  5. INITIAL LOAD
+    // =================================
+    render();
+
+    // The service worker caches the app so the shop can also open without a connection.
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+});
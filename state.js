@@ -0,0 +1,591 @@
+// This file is the single place where the game state is read from and written to Local Storage.
+// It is shared by every page, and always works on the save of the active profile (see profiles.js).
+// Every save is stamped with a schema version, older saves are upgraded by a list of migrations,
+// and the loaded data is checked field by field so a damaged save can't break the page.
+const QuestifyState = (() => {
+
+    // Each profile has its own save. The key is chosen once, when the page loads, so switching profile in another tab
+    // can never make this page write its progress into the wrong profile.
+    const STORAGE_KEY = QuestifyProfiles.getStorageKey(QuestifyProfiles.getActive().id);
+    const BACKUP_KEY = `${STORAGE_KEY}.backup`; // A copy of the last save that loaded successfully.
+    const CORRUPT_KEY = `${STORAGE_KEY}.corrupt`; // An unreadable save is moved here instead of being thrown away.
+
+    const SCHEMA_VERSION = 9; // The version written by this code. Saves without a version are treated as version 0.
+    const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+    const XP_BY_DIFFICULTY = QuestifyConfig.DEFAULT_XP_BY_DIFFICULTY; // The default task XP. The player's own values are in the settings.
+    const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // The "YYYY-MM-DD" format used for streak days and due dates.
+
+    // The player's preferences. 'onTimeBonusPercent' is the extra XP, as a percentage, for finishing a task or quest by its due date.
+    // The game rules from the settings page (the XP curve, task XP, goal bonus, confirmations and sounds) are described in config.js.
+    const DEFAULT_SETTINGS = { onTimeBonusPercent: 20, remindersEnabled: false, ...QuestifyConfig.DEFAULT_CONFIG };
+
+    /**
+     * Creates a unique id for a task. Quests use Date.now() as their id, but several tasks are created in the same
+     * millisecond, so a random suffix is added.
+     * @returns {string} A new id.
+     */
+    function createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Creates the state for a brand new player.
+     * @returns {object} An empty game state.
+     */
+    function createDefaultState() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            player: { level: 1, xp: 0 },
+            quests: [],
+            activeQuestId: null,
+            events: [],
+            streak: QuestifyStreaks.createStreak(),
+            achievements: {},
+            pendingRequests: [],
+            settings: { ...DEFAULT_SETTINGS },
+            remindersSent: {},
+            deletedQuests: {},
+            undoneEvents: {},
+            questLogFilters: { ...QuestifyQuestFilters.DEFAULT_FILTERS },
+            rewards: [],
+            focusTimer: null,
+            isLogCollapsed: false,
+        };
+    }
+
+    /**
+     * The XP curve that every save made before versioning used. Legacy saves are always converted with this curve.
+     * @param {number} level The current level.
+     * @returns {number} The total XP needed to complete that level.
+     */
+    function getLegacyXpForLevel(level) {
+        return 100 + ((level - 1) * 20);
+    }
+
+    /**
+     * Builds a starting event log for saves created before the log existed.
+     * The exact history of those saves is unknown, so their totals are summarised in a single 'legacy_progress' entry.
+     * @param {object} player The player object from the old save.
+     * @param {Array} quests The quests array from the old save.
+     * @returns {Array} The migrated event log.
+     */
+    function migrateLegacyHistory(player, quests) {
+        let lifetimeXp = player.xp;
+        for (let i = 1; i < player.level; i++) {
+            lifetimeXp += getLegacyXpForLevel(i);
+        }
+        const tasksCompleted = quests.reduce((total, quest) => total + quest.tasks.filter(t => t.completed).length, 0);
+        const questsCompleted = quests.filter(q => q.isComplete).length;
+
+        if (lifetimeXp === 0 && tasksCompleted === 0) return [];
+        return [{ type: 'legacy_progress', timestamp: Date.now(), xp: lifetimeXp, tasksCompleted, questsCompleted }];
+    }
+
+    // Ordered list of migrations. Each one upgrades a save from the previous version to 'version'.
+    // To change the shape of the state, add a new entry here and bump SCHEMA_VERSION.
+    const MIGRATIONS = [
+        {
+            version: 1,
+            // Saves from before versioning may be missing the event log, streak and achievements.
+            migrate: state => ({
+                ...state,
+                events: Array.isArray(state.events) ? state.events : migrateLegacyHistory(validatePlayer(state.player), validateQuests(state.quests)),
+                streak: state.streak || QuestifyStreaks.createStreak(),
+                achievements: state.achievements || {},
+            }),
+        },
+        {
+            version: 2,
+            // Tasks get a stable id, so they can be edited and reordered without relying on their position in the list.
+            migrate: state => ({
+                ...state,
+                // Damaged quests and tasks are passed through untouched; validation drops them afterwards.
+                quests: (Array.isArray(state.quests) ? state.quests : []).map(quest => (quest && Array.isArray(quest.tasks) ? {
+                    ...quest,
+                    tasks: quest.tasks.map(task => (task && typeof task === 'object' ? { ...task, id: task.id || createId() } : task)),
+                } : quest)),
+            }),
+        },
+        {
+            version: 3,
+            // Requests made while offline are queued in the state so they survive a reload.
+            migrate: state => ({ ...state, pendingRequests: [] }),
+        },
+        {
+            version: 4,
+            // Due dates bring player settings (the on-time bonus and reminders) and a record of the reminders already shown.
+            migrate: state => ({ ...state, settings: { ...DEFAULT_SETTINGS }, remindersSent: {} }),
+        },
+        {
+            version: 5,
+            // Sync needs to know which quests were deleted, so a deletion on one device isn't undone by another device's copy.
+            // Quests also get an 'updatedAt' timestamp from their next change; until then they count as older than any edit.
+            migrate: state => ({ ...state, deletedQuests: {} }),
+        },
+        {
+            version: 6,
+            // The Quest Log gained filters and sorting. Quests get a 'tags' list the first time they are tagged.
+            migrate: state => ({ ...state, questLogFilters: { ...QuestifyQuestFilters.DEFAULT_FILTERS } }),
+        },
+        {
+            version: 7,
+            // Gold and the reward shop were added. Gold is earned from this version on, so older saves start with none.
+            migrate: state => ({ ...state, rewards: [] }),
+        },
+        {
+            version: 8,
+            // The focus timer was added. Its sessions are recorded in the event log, so only the running timer needs a field.
+            migrate: state => ({ ...state, focusTimer: null }),
+        },
+        {
+            version: 9,
+            // Like deleted quests, undone events are recorded, so sync doesn't bring back XP that was undone on one device.
+            migrate: state => ({ ...state, undoneEvents: {} }),
+        },
+    ];
+
+    /**
+     * Upgrades a save to the current schema version by running every migration it hasn't had yet, in order.
+     * @param {object} state The parsed save.
+     * @returns {object} The upgraded save.
+     */
+    function migrate(state) {
+        const fromVersion = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+        if (fromVersion > SCHEMA_VERSION) {
+            throw new Error(`Save uses schema version ${fromVersion}, but this version of Questify only understands up to ${SCHEMA_VERSION}.`);
+        }
+        return MIGRATIONS
+            .filter(m => m.version > fromVersion)
+            .reduce((upgraded, m) => ({ ...m.migrate(upgraded), schemaVersion: m.version }), state);
+    }
+
+    /**
+     * Turns a value into a number if it looks like one. Older saves sometimes stored XP as a string.
+     * @param {*} value The value to convert.
+     * @param {number} fallback Returned when the value isn't numeric.
+     * @returns {number} The numeric value.
+     */
+    function toNumber(value, fallback) {
+        const number = typeof value === 'string' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) ? number : fallback;
+    }
+
+    /**
+     * Checks an optional due date. Anything that isn't a "YYYY-MM-DD" string is treated as "no due date".
+     * @param {object} item The quest or task the date belongs to.
+     * @param {string} field The name of the date field.
+     * @returns {object} The item, without the field if it was invalid.
+     */
+    function validateDueDate(item, field) {
+        if (item[field] === undefined || DAY_KEY_PATTERN.test(item[field])) return item;
+        const repaired = { ...item };
+        delete repaired[field];
+        return repaired;
+    }
+
+    /**
+     * Checks the player's level and XP, replacing anything invalid with safe values.
+     * @param {object} player The saved player.
+     * @returns {object} A valid player object.
+     */
+    function validatePlayer(player) {
+        const source = player && typeof player === 'object' ? player : {};
+        const level = Math.floor(toNumber(source.level, 1));
+        return {
+            ...source,
+            level: level >= 1 ? level : 1,
+            xp: Math.max(0, toNumber(source.xp, 0)),
+        };
+    }
+
+    /**
+     * Checks a single task. The difficulty must be Easy, Medium or Hard, and the XP must be a number.
+     * @param {object} task The saved task.
+     * @returns {object|null} A valid task, or null if the task can't be repaired.
+     */
+    function validateTask(task) {
+        if (!task || typeof task !== 'object' || typeof task.text !== 'string') return null;
+
+        // A difficulty with the wrong capitalisation is fixed; anything else falls back to Medium.
+        const difficulty = DIFFICULTIES.find(d => d.toLowerCase() === String(task.difficulty).toLowerCase()) || 'Medium';
+        const validTask = {
+            ...task,
+            id: typeof task.id === 'string' ? task.id : createId(),
+            difficulty: difficulty,
+            xp: toNumber(task.xp, XP_BY_DIFFICULTY[difficulty]),
+            completed: Boolean(task.completed),
+        };
+        // Sub-steps are optional. When present, each one needs text and a numeric share of the task's XP.
+        if (task.subtasks !== undefined) {
+            validTask.subtasks = (Array.isArray(task.subtasks) ? task.subtasks : [])
+                .filter(st => st && typeof st === 'object' && typeof st.text === 'string')
+                .map(st => ({
+                    ...st,
+                    id: typeof st.id === 'string' ? st.id : createId(),
+                    xp: toNumber(st.xp, 0),
+                    completed: Boolean(st.completed),
+                }));
+        }
+        return validateDueDate(validTask, 'dueDate');
+    }
+
+    /**
+     * Checks the schedule and history of a recurring quest. A damaged schedule turns the quest back into a one-off quest.
+     * @param {object} quest The saved quest.
+     * @returns {object} The quest with a valid 'recurrence' and 'history', or without them.
+     */
+    function validateRecurrence(quest) {
+        if (quest.recurrence === undefined) return quest;
+
+        const recurrence = quest.recurrence;
+        const isValid = recurrence && typeof recurrence === 'object'
+            && QuestifyRecurrence.CADENCES.includes(recurrence.cadence)
+            && DAY_KEY_PATTERN.test(recurrence.cycleStart);
+        if (!isValid) {
+            const repaired = { ...quest };
+            delete repaired.recurrence;
+            return repaired;
+        }
+        return {
+            ...quest,
+            history: (Array.isArray(quest.history) ? quest.history : [])
+                .filter(entry => entry && DAY_KEY_PATTERN.test(entry.cycleStart) && DAY_KEY_PATTERN.test(entry.completedOn)),
+        };
+    }
+
+    /**
+     * Checks a quest's tags, dropping any that aren't text and any repeats.
+     * @param {object} quest The saved quest.
+     * @returns {object} The quest with valid 'tags', or without them if it has none.
+     */
+    function validateTags(quest) {
+        if (quest.tags === undefined) return quest;
+        const tags = (Array.isArray(quest.tags) ? quest.tags : [])
+            .filter(tag => typeof tag === 'string' && tag.trim())
+            .map(tag => tag.trim().toLowerCase());
+        return { ...quest, tags: [...new Set(tags)].slice(0, QuestifyQuestFilters.MAX_TAGS_PER_QUEST) };
+    }
+
+    /**
+     * Checks the list of quests, dropping any quest or task that is too damaged to use.
+     * @param {Array} quests The saved quests.
+     * @returns {Array} The valid quests.
+     */
+    function validateQuests(quests) {
+        if (!Array.isArray(quests)) return [];
+        return quests
+            .filter(q => q && typeof q === 'object' && q.id !== undefined && q.id !== null && typeof q.goal === 'string')
+            .map(q => validateTags(validateRecurrence(validateDueDate({
+                ...q,
+                tasks: (Array.isArray(q.tasks) ? q.tasks : []).map(validateTask).filter(Boolean),
+                isComplete: Boolean(q.isComplete),
+            }, 'deadline'))));
+    }
+
+    /**
+     * Checks the streak object, falling back to an empty streak if it is damaged.
+     * @param {object} streak The saved streak.
+     * @returns {object} A valid streak.
+     */
+    function validateStreak(streak) {
+        const isValid = streak && typeof streak === 'object'
+            && ['current', 'best', 'freezes'].every(field => Number.isInteger(streak[field]) && streak[field] >= 0)
+            && (streak.lastDay === null || DAY_KEY_PATTERN.test(streak.lastDay));
+        return isValid ? streak : QuestifyStreaks.createStreak();
+    }
+
+    /**
+     * Checks the player's settings. Each invalid or missing setting falls back to its default.
+     * @param {object} settings The saved settings.
+     * @returns {object} Valid settings.
+     */
+    function validateSettings(settings) {
+        const source = settings && typeof settings === 'object' ? settings : {};
+        const bonus = toNumber(source.onTimeBonusPercent, DEFAULT_SETTINGS.onTimeBonusPercent);
+        return {
+            ...source,
+            onTimeBonusPercent: Math.min(100, Math.max(0, bonus)),
+            remindersEnabled: Boolean(source.remindersEnabled),
+            ...QuestifyConfig.validate(source),
+        };
+    }
+
+    /**
+     * Checks the reward shop's list, dropping any reward that is too damaged to use.
+     * @param {Array} rewards The saved rewards.
+     * @returns {Array} The valid rewards.
+     */
+    function validateRewards(rewards) {
+        if (!Array.isArray(rewards)) return [];
+        return rewards.filter(r => r && typeof r.id === 'string' && typeof r.name === 'string'
+            && Number.isInteger(r.cost) && r.cost > 0 && typeof r.createdAt === 'number');
+    }
+
+    /**
+     * Checks the running focus timer (see focus-timer.js). A damaged timer is stopped.
+     * @param {object} timer The saved timer.
+     * @returns {object|null} A valid timer, or null if none is running.
+     */
+    function validateFocusTimer(timer) {
+        const isValid = timer && typeof timer === 'object' && timer.questId !== undefined && typeof timer.taskId === 'string'
+            && typeof timer.startedAt === 'number' && typeof timer.duration === 'number' && timer.duration > 0;
+        return isValid ? timer : null;
+    }
+
+    /**
+     * Checks the Quest Log's saved filters. Each unknown or missing value falls back to its default.
+     * @param {object} filters The saved filters.
+     * @returns {object} Valid filters.
+     */
+    function validateQuestLogFilters(filters) {
+        const source = filters && typeof filters === 'object' ? filters : {};
+        const defaults = QuestifyQuestFilters.DEFAULT_FILTERS;
+        const pick = (field, allowed) => (allowed.includes(source[field]) ? source[field] : defaults[field]);
+        return {
+            tag: typeof source.tag === 'string' ? source.tag : defaults.tag,
+            difficulty: pick('difficulty', QuestifyQuestFilters.DIFFICULTY_FILTERS),
+            status: pick('status', QuestifyQuestFilters.STATUS_FILTERS),
+            date: pick('date', QuestifyQuestFilters.DATE_FILTERS),
+            sort: pick('sort', QuestifyQuestFilters.SORTS),
+        };
+    }
+
+    /**
+     * Migrates a parsed save to the current schema and validates every field.
+     * @param {object} rawState The parsed save.
+     * @returns {object} A state that is safe to use.
+     */
+    function normalize(rawState) {
+        if (!rawState || typeof rawState !== 'object' || Array.isArray(rawState)) {
+            throw new Error('Save is not an object.');
+        }
+        const state = migrate(rawState);
+        const quests = validateQuests(state.quests);
+        const activeQuestExists = quests.some(q => q.id === state.activeQuestId);
+
+        return {
+            ...state,
+            schemaVersion: SCHEMA_VERSION,
+            player: validatePlayer(state.player),
+            quests: quests,
+            activeQuestId: activeQuestExists ? state.activeQuestId : null,
+            events: (Array.isArray(state.events) ? state.events : [])
+                .filter(e => e && typeof e.type === 'string' && typeof e.timestamp === 'number'),
+            streak: validateStreak(state.streak),
+            achievements: state.achievements && typeof state.achievements === 'object' ? state.achievements : {},
+            pendingRequests: (Array.isArray(state.pendingRequests) ? state.pendingRequests : [])
+                .filter(r => r && (r.type === 'generate' || r.type === 'refresh') && r.payload && typeof r.payload === 'object'),
+            settings: validateSettings(state.settings),
+            remindersSent: state.remindersSent && typeof state.remindersSent === 'object' ? state.remindersSent : {},
+            deletedQuests: Object.fromEntries(Object.entries(state.deletedQuests && typeof state.deletedQuests === 'object' ? state.deletedQuests : {})
+                .filter(([, deletedAt]) => typeof deletedAt === 'number')),
+            undoneEvents: Object.fromEntries(Object.entries(state.undoneEvents && typeof state.undoneEvents === 'object' ? state.undoneEvents : {})
+                .filter(([, undoneAt]) => typeof undoneAt === 'number')),
+            questLogFilters: validateQuestLogFilters(state.questLogFilters),
+            rewards: validateRewards(state.rewards),
+            focusTimer: validateFocusTimer(state.focusTimer),
+            isLogCollapsed: Boolean(state.isLogCollapsed),
+        };
+    }
+
+    /**
+     * Converts a lifetime XP total into a level and the XP earned within that level.
+     * @param {number} lifetimeXp All the XP ever earned.
+     * @param {function} getXpForLevel The XP curve: returns the XP needed to complete a given level.
+     * @returns {object} A player object with 'level' and 'xp'.
+     */
+    function getPlayerFromLifetimeXp(lifetimeXp, getXpForLevel) {
+        const result = { level: 1, xp: lifetimeXp };
+        while (result.xp >= getXpForLevel(result.level)) {
+            result.xp -= getXpForLevel(result.level);
+            result.level++;
+        }
+        return result;
+    }
+
+    /**
+     * Returns a key that identifies an event. Newer events have an 'id'; older ones are identified by their contents.
+     * @param {object} event An entry from the event log.
+     * @returns {string} The event's key.
+     */
+    function getEventKey(event) {
+        return event.id || `${event.type}|${event.timestamp}|${event.questId}`;
+    }
+
+    /**
+     * Picks one of two copies of the same thing, always making the same choice whichever order they are given in.
+     * This matters for sync: two devices merging each other's copies must end up with exactly the same result.
+     * @param {object} a One copy.
+     * @param {object} b The other copy.
+     * @param {function} compare Returns a positive number if 'b' should win, negative if 'a' should, 0 for a tie.
+     * @returns {object} The winning copy.
+     */
+    function pickWinner(a, b, compare) {
+        const result = compare(a, b);
+        if (result !== 0) return result > 0 ? b : a;
+        // A full tie is broken by comparing the two copies as text, which is arbitrary but consistent.
+        return JSON.stringify(b) > JSON.stringify(a) ? b : a;
+    }
+
+    /**
+     * Combines two versions of the same profile's state: an imported file, or the copy stored on the sync server.
+     * Quests are matched by id and the most recently changed copy wins; quests without an 'updatedAt' (from before it existed)
+     * keep whichever copy has more completed tasks. A quest deleted on either side stays deleted unless it was changed afterwards.
+     * The XP histories are added together (dropping entries that appear in both, and any entry undone on either side),
+     * and the player's level is recalculated from the combined history.
+     * Gold needs no special handling, because the balance is always worked out from the combined history.
+     * Anything that only matters on this device, like the offline queue, the running focus timer and settings, is taken from 'current'.
+     * @param {object} current The current game state.
+     * @param {object} incoming The other game state.
+     * @param {function} getXpForLevel The XP curve used to recalculate the player's level.
+     * @returns {object} The merged game state.
+     */
+    function merge(current, incoming, getXpForLevel) {
+        const countCompleted = quest => quest.tasks.filter(t => t.completed).length;
+        const compareQuests = (a, b) => ((b.updatedAt || 0) - (a.updatedAt || 0)) || (countCompleted(b) - countCompleted(a));
+
+        const deletedQuests = { ...current.deletedQuests };
+        Object.entries(incoming.deletedQuests || {}).forEach(([id, deletedAt]) => {
+            deletedQuests[id] = Math.max(deletedQuests[id] || 0, deletedAt);
+        });
+
+        const questsById = new Map(current.quests.map(q => [String(q.id), q]));
+        incoming.quests.forEach(incomingQuest => {
+            const id = String(incomingQuest.id);
+            const currentQuest = questsById.get(id);
+            questsById.set(id, currentQuest ? pickWinner(currentQuest, incomingQuest, compareQuests) : incomingQuest);
+        });
+        // Quests are sorted by id (their creation time), so both devices list them in the same order.
+        const mergedQuests = [...questsById.values()]
+            .filter(q => !(deletedQuests[String(q.id)] >= (q.updatedAt || 0)))
+            .sort((a, b) => (a.id > b.id ? 1 : a.id < b.id ? -1 : 0));
+
+        const undoneEvents = { ...current.undoneEvents };
+        Object.entries(incoming.undoneEvents || {}).forEach(([key, undoneAt]) => {
+            undoneEvents[key] = Math.max(undoneEvents[key] || 0, undoneAt);
+        });
+
+        // The same event can be in both states if they share some history, so duplicates are skipped.
+        // An event undone on either side is left out, so its XP and gold don't come back with the other copy.
+        const seen = new Set(current.events.map(getEventKey));
+        const mergedEvents = [...current.events, ...incoming.events.filter(e => !seen.has(getEventKey(e)))]
+            .filter(e => !undoneEvents[getEventKey(e)])
+            .sort((a, b) => (a.timestamp - b.timestamp) || getEventKey(a).localeCompare(getEventKey(b)));
+        const lifetimeXp = mergedEvents.reduce((total, e) => total + (e.xp || 0), 0);
+
+        // The streak with the most recent activity is kept, but the best streak is the best of both.
+        const compareStreaks = (a, b) => (b.lastDay || '').localeCompare(a.lastDay || '') || (b.current - a.current) || (b.freezes - a.freezes);
+        const mergedStreak = { ...pickWinner(current.streak, incoming.streak, compareStreaks) };
+        mergedStreak.best = Math.max(current.streak.best, incoming.streak.best);
+
+        // An achievement unlocked in either state stays unlocked, with the earliest date.
+        const mergedAchievements = { ...current.achievements };
+        Object.entries(incoming.achievements).forEach(([id, record]) => {
+            if (!mergedAchievements[id] || record.unlockedAt < mergedAchievements[id].unlockedAt) {
+                mergedAchievements[id] = record;
+            }
+        });
+
+        // A reminder shown on either device doesn't need to be shown again.
+        const mergedReminders = { ...current.remindersSent };
+        Object.entries(incoming.remindersSent || {}).forEach(([id, dayKey]) => {
+            mergedReminders[id] = mergedReminders[id] && mergedReminders[id] > dayKey ? mergedReminders[id] : dayKey;
+        });
+
+        // Rewards are matched by id and the most recently changed copy wins, so renaming or deleting on either device sticks.
+        const rewardsById = new Map(current.rewards.map(r => [r.id, r]));
+        (incoming.rewards || []).forEach(incomingReward => {
+            const currentReward = rewardsById.get(incomingReward.id);
+            rewardsById.set(incomingReward.id, currentReward
+                ? pickWinner(currentReward, incomingReward, (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+                : incomingReward);
+        });
+        const mergedRewards = [...rewardsById.values()].sort((a, b) => (a.createdAt - b.createdAt) || a.id.localeCompare(b.id));
+
+        const activeQuestExists = mergedQuests.some(q => q.id === current.activeQuestId);
+        return {
+            ...current,
+            player: getPlayerFromLifetimeXp(lifetimeXp, getXpForLevel),
+            quests: mergedQuests,
+            activeQuestId: activeQuestExists ? current.activeQuestId : null,
+            events: mergedEvents,
+            streak: mergedStreak,
+            achievements: mergedAchievements,
+            remindersSent: mergedReminders,
+            deletedQuests: deletedQuests,
+            undoneEvents: undoneEvents,
+            rewards: mergedRewards,
+        };
+    }
+
+    /**
+     * Reads and normalizes the save stored under a Local Storage key.
+     * @param {string} key The Local Storage key.
+     * @returns {object|null} The state, or null if nothing is stored there.
+     */
+    function read(key) {
+        const json = localStorage.getItem(key);
+        return json === null ? null : normalize(JSON.parse(json));
+    }
+
+    /**
+     * Loads the game state. If the save can't be read, the backup copy is used instead, and if that fails too,
+     * the game starts fresh. Either way the unreadable save is kept under a separate key so it can still be recovered by hand.
+     * @returns {object} The loaded 'state' and a 'status' of 'new', 'loaded', 'restored' or 'reset'.
+     */
+    function load() {
+        try {
+            const state = read(STORAGE_KEY);
+            if (state === null) {
+                return { state: createDefaultState(), status: 'new' };
+            }
+            localStorage.setItem(BACKUP_KEY, localStorage.getItem(STORAGE_KEY));
+            return { state: state, status: 'loaded' };
+        } catch (error) {
+            console.error('Could not load saved state:', error);
+            localStorage.setItem(CORRUPT_KEY, localStorage.getItem(STORAGE_KEY));
+        }
+
+        try {
+            const backup = read(BACKUP_KEY);
+            if (backup !== null) {
+                return { state: backup, status: 'restored' };
+            }
+        } catch (error) {
+            console.error('Could not load backup state:', error);
+        }
+        return { state: createDefaultState(), status: 'reset' };
+    }
+
+    /**
+     * Saves the game state, stamped with the current schema version.
+     * @param {object} state The game state to save.
+     */
+    function save(state) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, schemaVersion: SCHEMA_VERSION }));
+    }
+
+    /**
+     * Deletes the saved game state.
+     */
+    function clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    return {
+        STORAGE_KEY,
+        SCHEMA_VERSION,
+        DIFFICULTIES,
+        XP_BY_DIFFICULTY,
+        DEFAULT_SETTINGS,
+        createId,
+        createDefaultState,
+        normalize,
+        getEventKey,
+        getPlayerFromLifetimeXp,
+        merge,
+        load,
+        save,
+        clear,
+    };
+})();
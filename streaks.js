@@ -0,0 +1,135 @@
+// This file contains the daily streak rules. It is shared by index.html and dashboard.html,
+// so both pages agree on how long the current streak is.
+// Every function here is "pure": it receives a streak object and returns a new one instead of changing the original.
+const QuestifyStreaks = (() => {
+
+    const MAX_FREEZES = 3; // The most streak freezes a player can hold at once.
+    const FREEZE_EARN_INTERVAL = 7; // A freeze is earned every time the streak reaches a multiple of this many days.
+
+    // XP multipliers by streak length. The list is ordered from the longest streak down so the first match wins.
+    const MULTIPLIER_TIERS = [
+        { minDays: 30, multiplier: 2 },
+        { minDays: 14, multiplier: 1.5 },
+        { minDays: 7, multiplier: 1.25 },
+        { minDays: 3, multiplier: 1.1 },
+    ];
+
+    /**
+     * Creates the streak object for a brand new player.
+     * 'lastDay' is the most recent day that counts towards the streak, either because a task was completed or a freeze covered it.
+     * @returns {object} An empty streak.
+     */
+    function createStreak() {
+        return { current: 0, best: 0, lastDay: null, freezes: 0 };
+    }
+
+    /**
+     * Turns a date into a "YYYY-MM-DD" key using the user's local timezone, so days start and end at local midnight.
+     * @param {Date} date The date to convert. Defaults to now.
+     * @returns {string} The day key.
+     */
+    function getDayKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Converts a day key back into a Date at local midnight.
+     * @param {string} dayKey A "YYYY-MM-DD" key.
+     * @returns {Date} Midnight at the start of that day.
+     */
+    function parseDayKey(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Counts the calendar days between two day keys.
+     * Rounding absorbs the 23- or 25-hour days caused by daylight saving changes.
+     * @param {string} fromKey The earlier day.
+     * @param {string} toKey The later day.
+     * @returns {number} The number of days from 'fromKey' to 'toKey'.
+     */
+    function daysBetween(fromKey, toKey) {
+        return Math.round((parseDayKey(toKey) - parseDayKey(fromKey)) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Returns the day key of the day before the given one.
+     * @param {string} dayKey A "YYYY-MM-DD" key.
+     * @returns {string} The previous day's key.
+     */
+    function previousDayKey(dayKey) {
+        const date = parseDayKey(dayKey);
+        date.setDate(date.getDate() - 1);
+        return getDayKey(date);
+    }
+
+    /**
+     * Brings a streak up to date with today. Missed days are covered with freezes if the player has enough of them;
+     * otherwise the streak is broken and drops back to 0.
+     * @param {object} streak The saved streak.
+     * @param {string} todayKey Today's day key.
+     * @returns {object} The updated streak, how many freezes were spent and whether the streak was broken.
+     */
+    function reconcile(streak, todayKey) {
+        const updated = { ...streak };
+        if (!updated.lastDay || updated.current === 0) {
+            return { streak: updated, freezesUsed: 0, broken: false };
+        }
+
+        // Days with no activity between the last counted day and today. Today itself can still be completed.
+        const missedDays = daysBetween(updated.lastDay, todayKey) - 1;
+        if (missedDays <= 0) {
+            return { streak: updated, freezesUsed: 0, broken: false };
+        }
+
+        if (updated.freezes >= missedDays) {
+            updated.freezes -= missedDays;
+            updated.lastDay = previousDayKey(todayKey); // Yesterday now counts as covered.
+            return { streak: updated, freezesUsed: missedDays, broken: false };
+        }
+
+        updated.current = 0;
+        return { streak: updated, freezesUsed: 0, broken: true };
+    }
+
+    /**
+     * Records that the player completed a task today, extending the streak if today hasn't been counted yet.
+     * @param {object} streak The saved streak.
+     * @param {string} todayKey Today's day key.
+     * @returns {object} The updated streak, how many freezes were spent and whether a new freeze was earned.
+     */
+    function recordActivity(streak, todayKey) {
+        const result = reconcile(streak, todayKey);
+        const updated = result.streak;
+        let freezeEarned = false;
+
+        if (updated.lastDay !== todayKey) {
+            const continuesStreak = updated.current > 0 && updated.lastDay && daysBetween(updated.lastDay, todayKey) === 1;
+            updated.current = continuesStreak ? updated.current + 1 : 1;
+            updated.lastDay = todayKey;
+            updated.best = Math.max(updated.best, updated.current);
+
+            if (updated.current % FREEZE_EARN_INTERVAL === 0 && updated.freezes < MAX_FREEZES) {
+                updated.freezes++;
+                freezeEarned = true;
+            }
+        }
+
+        return { streak: updated, freezesUsed: result.freezesUsed, freezeEarned: freezeEarned };
+    }
+
+    /**
+     * Looks up the XP multiplier for a streak of the given length.
+     * @param {number} streakDays The current streak length in days.
+     * @returns {number} The multiplier, 1 if the streak is too short for a bonus.
+     */
+    function getMultiplier(streakDays) {
+        const tier = MULTIPLIER_TIERS.find(t => streakDays >= t.minDays);
+        return tier ? tier.multiplier : 1;
+    }
+
+    return { createStreak, getDayKey, daysBetween, reconcile, recordActivity, getMultiplier };
+})();
@@ -0,0 +1,91 @@
+// This is the service worker. The browser runs it in the background, separately from the pages.
+// It keeps a copy of the "app shell" (the HTML, CSS and JavaScript files) in a cache so the app still opens without a connection.
+// API requests are never cached; script.js queues them while offline instead.
+
+// Changing this name (e.g. when files are added to the list below) makes the browser install a fresh cache and delete the old one.
+const CACHE_NAME = 'questify-shell-v11';
+
+// Every file needed to open every page offline.
+const APP_SHELL = [
+    './',
+    'index.html',
+    'dashboard.html',
+    'shop.html',
+    'settings.html',
+    'style.css',
+    'script.js',
+    'dashboard.js',
+    'shop.js',
+    'settings.js',
+    'profiles.js',
+    'i18n.js',
+    'profile-switcher.js',
+    'streaks.js',
+    'recurrence.js',
+    'achievements.js',
+    'quest-filters.js',
+    'rewards.js',
+    'config.js',
+    'state.js',
+    'sync.js',
+    'due-dates.js',
+    'focus-timer.js',
+    'quest-generator.js',
+    'manifest.webmanifest',
+    'icon.svg',
+];
+
+// When the service worker is installed, download the whole app shell into the cache.
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting()) // Start using the new version straight away instead of waiting for every tab to close.
+    );
+});
+
+// When a new version takes over, delete the caches left behind by older versions.
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Answers requests for app shell files from the cache, then refreshes the cache from the network in the background
+// (a "stale-while-revalidate" strategy). The next page load picks up the updated files.
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const isAppShellRequest = event.request.method === 'GET'
+        && url.origin === self.location.origin
+        && !url.pathname.startsWith('/api/');
+    if (!isAppShellRequest) return; // Anything else goes straight to the network as normal.
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.match(event.request, { ignoreSearch: true }).then(cachedResponse => {
+                const networkResponse = fetch(event.request)
+                    .then(response => {
+                        if (response.ok) {
+                            cache.put(event.request, response.clone());
+                        }
+                        return response;
+                    })
+                    .catch(() => cachedResponse);
+                return cachedResponse || networkResponse;
+            })
+        )
+    );
+});
+
+// Clicking a due date reminder brings the app to the front, opening it if no tab is showing it.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const appWindow = windows.find(client => new URL(client.url).pathname.endsWith('/index.html') || new URL(client.url).pathname.endsWith('/'));
+            return appWindow ? appWindow.focus() : self.clients.openWindow('index.html');
+        })
+    );
+});
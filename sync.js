@@ -0,0 +1,336 @@
+// This file keeps a profile's game state in sync with the server, so the same progress can be used on several devices.
+// There are no passwords: turning sync on creates a random "sync code", and entering that code on another device links it
+// to the same cloud save. Every change is saved locally first (the app never waits for the server), then pushed in the
+// background a couple of seconds later. If the server has changes from another device, the two states are merged with
+// QuestifyState.merge, and failed attempts are retried with a growing delay.
+// The server keeps a revision number for each save, and only accepts a push based on the latest revision, so two devices
+// can never silently overwrite each other; the one that loses the race merges the other's changes and tries again.
+// It must be loaded after profiles.js, i18n.js and state.js.
+const QuestifySync = (() => {
+
+    const SYNC_URL = '/api/state';
+    const SYNC_DELAY = 2000; // How long (in milliseconds) to wait after a change, so a burst of changes is sent as one push.
+    const MIN_RETRY_DELAY = 5000; // The first retry after a failure. Each further failure doubles the delay, up to the maximum.
+    const MAX_RETRY_DELAY = 5 * 60 * 1000;
+    const MAX_CONFLICT_RETRIES = 3; // How many times a push is merged and retried when another device pushed first.
+    const CODE_PATTERN = /^[a-z0-9-]{16,64}$/; // Matches the check in api/_sync_store.py.
+
+    // The possible sync states. The status indicator shows each one's 'sync.status.*' text from i18n.js.
+    const STATUSES = ['off', 'pending', 'syncing', 'synced', 'offline', 'error'];
+
+    /**
+     * Creates a new random sync code, e.g. "4f1c-09ab-7d3e-b2c8-e6a1-5f90".
+     * @returns {string} The new code.
+     */
+    function generateCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(12));
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return hex.match(/.{4}/g).join('-');
+    }
+
+    /**
+     * Cleans up a sync code typed by the user and checks that it looks valid.
+     * @param {string} code The code as typed.
+     * @returns {string} The cleaned-up code.
+     */
+    function normalizeCode(code) {
+        const cleaned = String(code || '').trim().toLowerCase();
+        if (!CODE_PATTERN.test(cleaned)) {
+            throw new Error(QuestifyI18n.t('sync.errorBadCode'));
+        }
+        return cleaned;
+    }
+
+    /**
+     * Converts a value to JSON with the object keys sorted, so two equal states always produce the same text.
+     * @param {*} value The value to convert.
+     * @returns {string} The JSON text.
+     */
+    function stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(stableStringify).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Picks the parts of the game state that are shared between devices.
+     * The offline queue, the open quest, the sidebar, the running focus timer and the settings belong to each device, so they aren't sent.
+     * @param {object} state A normalized game state.
+     * @returns {object} The state to store on the server.
+     */
+    function toPayload(state) {
+        return {
+            schemaVersion: QuestifyState.SCHEMA_VERSION,
+            player: state.player,
+            quests: state.quests,
+            events: state.events,
+            streak: state.streak,
+            achievements: state.achievements,
+            remindersSent: state.remindersSent,
+            deletedQuests: state.deletedQuests,
+            undoneEvents: state.undoneEvents,
+            rewards: state.rewards,
+        };
+    }
+
+    /**
+     * Creates the sync client for one profile.
+     * @param {object} options
+     * @param {string} options.profileId The profile whose state is synced.
+     * @param {function} options.getState Returns the current game state.
+     * @param {function} options.applyMergedState Called with the merged state when changes arrive from another device.
+     * @param {function} options.merge Combines the current state with the server's state.
+     * @param {function} options.onStatusChange Called with the new status (one of STATUSES) whenever it changes.
+     * @returns {object} The client.
+     */
+    function createClient({ profileId, getState, applyMergedState, merge, onStatusChange }) {
+        const configKey = `${QuestifyProfiles.getStorageKey(profileId)}.sync`; // Holds { code, revision }.
+        let config = readConfig();
+        let status = config ? 'pending' : 'off';
+        let syncTimer = null;
+        let retryDelay = MIN_RETRY_DELAY;
+        let isSyncing = false;
+        let isSyncQueued = false; // Set when a change arrives mid-sync, so another sync runs as soon as this one ends.
+
+        /**
+         * Reads this profile's sync settings from Local Storage.
+         * @returns {object|null} The settings, or null if sync is off.
+         */
+        function readConfig() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(configKey));
+                if (stored && CODE_PATTERN.test(stored.code) && typeof stored.revision === 'number') {
+                    return stored;
+                }
+            } catch (error) {
+                console.error('Could not read the sync settings:', error);
+            }
+            return null;
+        }
+
+        /**
+         * Saves this profile's sync settings, or removes them when sync is turned off.
+         */
+        function writeConfig() {
+            if (config) {
+                localStorage.setItem(configKey, JSON.stringify(config));
+            } else {
+                localStorage.removeItem(configKey);
+            }
+        }
+
+        /**
+         * Updates the status and reports it.
+         * @param {string} newStatus One of STATUSES.
+         */
+        function setStatus(newStatus) {
+            status = newStatus;
+            onStatusChange(status);
+        }
+
+        /**
+         * Sends a request to the sync endpoint, authorized with the sync code.
+         * Like postJson in script.js, errors caused by a missing connection are flagged with 'isNetworkError'.
+         * @param {object} syncConfig The sync settings the request is made for.
+         * @param {string} method 'GET' or 'PUT'.
+         * @param {object} payload The request body, for 'PUT'.
+         * @returns {Promise<object>} The response's 'status' and parsed 'data'.
+         */
+        async function request(syncConfig, method, payload) {
+            let response;
+            try {
+                response = await fetch(SYNC_URL, {
+                    method: method,
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${syncConfig.code}` },
+                    body: payload ? JSON.stringify(payload) : undefined,
+                });
+            } catch (error) {
+                error.isNetworkError = true;
+                throw error;
+            }
+            const data = await response.json().catch(() => ({}));
+            return { status: response.status, data: data };
+        }
+
+        /**
+         * Downloads the server's copy of the state.
+         * @param {object} syncConfig The sync settings whose code is used.
+         * @returns {Promise<object|null>} The server's 'revision' and 'state', or null if nothing is stored under this code yet.
+         */
+        async function fetchRemote(syncConfig) {
+            const { status: responseStatus, data } = await request(syncConfig, 'GET');
+            if (responseStatus === 404) return null;
+            if (responseStatus !== 200) {
+                const error = new Error(data.error || `Sync failed with status ${responseStatus}.`);
+                error.status = responseStatus;
+                throw error;
+            }
+            return data;
+        }
+
+        /**
+         * Merges the server's changes into the local state (if there are any new ones) and pushes the result.
+         * Nothing is pushed when the server already has exactly this state, so two devices don't keep pushing to each other.
+         * If sync is turned off or linked to another code while a request is out, the rest of the work is dropped.
+         * @param {object} syncConfig The sync settings in use when the sync started.
+         * @returns {Promise<boolean>} False if the sync was dropped because the settings changed.
+         */
+        async function pushAndPull(syncConfig) {
+            let remote = await fetchRemote(syncConfig);
+            for (let attempt = 0; ; attempt++) {
+                if (config !== syncConfig) return false;
+                if (remote && remote.revision !== syncConfig.revision) {
+                    applyMergedState(merge(getState(), QuestifyState.normalize(remote.state)));
+                }
+                const payload = toPayload(getState());
+                if (remote && stableStringify(payload) === stableStringify(toPayload(QuestifyState.normalize(remote.state)))) {
+                    syncConfig.revision = remote.revision;
+                    writeConfig();
+                    return true;
+                }
+
+                const baseRevision = remote ? remote.revision : 0;
+                const { status: responseStatus, data } = await request(syncConfig, 'PUT', { baseRevision: baseRevision, state: payload });
+                if (config !== syncConfig) return false;
+                if (responseStatus === 200) {
+                    syncConfig.revision = data.revision;
+                    writeConfig();
+                    return true;
+                }
+                // 409 means another device pushed first. The response carries its state, which is merged before trying again.
+                // If the server has lost its copy altogether, 'state' is null and the next push simply starts again from revision 0.
+                if (responseStatus === 409 && attempt < MAX_CONFLICT_RETRIES) {
+                    remote = data.state ? data : null;
+                    continue;
+                }
+                const error = new Error(data.error || `Sync failed with status ${responseStatus}.`);
+                error.status = responseStatus;
+                throw error;
+            }
+        }
+
+        /**
+         * Syncs straight away. If a sync is already running, another one follows as soon as it finishes.
+         * Failures are retried automatically, so this never throws.
+         */
+        async function syncNow() {
+            if (!config) return;
+            if (isSyncing) {
+                isSyncQueued = true;
+                return;
+            }
+            clearTimeout(syncTimer);
+            if (!navigator.onLine) {
+                setStatus('offline'); // The 'online' listener below syncs once the connection returns.
+                return;
+            }
+
+            isSyncing = true;
+            setStatus('syncing');
+            const syncConfig = config;
+            try {
+                if (await pushAndPull(syncConfig)) {
+                    retryDelay = MIN_RETRY_DELAY;
+                    setStatus('synced');
+                }
+            } catch (error) {
+                // A sync that fails after sync was turned off (or linked elsewhere) no longer matters, so it isn't reported or retried.
+                if (config === syncConfig) {
+                    console.error('Sync failed:', error);
+                    setStatus(error.isNetworkError ? 'offline' : 'error');
+                    syncTimer = setTimeout(syncNow, retryDelay);
+                    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+                }
+            } finally {
+                isSyncing = false;
+            }
+            if (isSyncQueued && config) {
+                isSyncQueued = false;
+                scheduleSync();
+            }
+        }
+
+        /**
+         * Marks the state as changed and syncs after a short delay. script.js calls this after every save.
+         */
+        function scheduleSync() {
+            if (!config) return;
+            if (isSyncing) {
+                isSyncQueued = true;
+                return;
+            }
+            clearTimeout(syncTimer);
+            setStatus('pending');
+            syncTimer = setTimeout(syncNow, SYNC_DELAY);
+        }
+
+        /**
+         * Turns sync on with a brand new sync code and uploads the current state.
+         * @returns {string} The new code, to be shown to the user.
+         */
+        function enable() {
+            config = { code: generateCode(), revision: 0 };
+            writeConfig();
+            syncNow();
+            return config.code;
+        }
+
+        /**
+         * Links this device to an existing cloud save, merging it with the local progress.
+         * @param {string} code The sync code from another device.
+         * @returns {Promise} Resolves once the first sync is done. Rejects with a user-facing message if the code isn't in use.
+         */
+        async function link(code) {
+            const previousConfig = config;
+            config = { code: normalizeCode(code), revision: 0 };
+            try {
+                if (!(await fetchRemote(config))) {
+                    throw new Error(QuestifyI18n.t('sync.errorNoProgress'));
+                }
+            } catch (error) {
+                config = previousConfig;
+                if (error.isNetworkError) {
+                    throw new Error(QuestifyI18n.t('sync.errorUnreachable'));
+                }
+                throw error;
+            }
+            writeConfig();
+            await syncNow();
+        }
+
+        /**
+         * Turns sync off on this device. The cloud copy is left as it is, so other devices can keep using it.
+         */
+        function disable() {
+            clearTimeout(syncTimer);
+            config = null;
+            isSyncQueued = false;
+            writeConfig();
+            setStatus('off');
+        }
+
+        // Syncing resumes as soon as the connection comes back, instead of waiting for the next retry.
+        window.addEventListener('online', () => {
+            if (config && status !== 'synced') syncNow();
+        });
+
+        return {
+            getStatus: () => status,
+            getCode: () => (config ? config.code : null),
+            syncNow,
+            scheduleSync,
+            enable,
+            link,
+            disable,
+        };
+    }
+
+    return { STATUSES, createClient };
+})();
@@ -0,0 +1,107 @@
+// Tests for the shared state module. The browser scripts are run in a sandbox, in the order index.html loads them.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Creates a stand-in for the browser's Local Storage that keeps everything in memory.
+ * @returns {object} An object with the Storage methods the shared modules use.
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+    };
+}
+
+/**
+ * Runs state.js and the shared scripts index.html loads before it, and returns the QuestifyState module.
+ * @returns {object} QuestifyState.
+ */
+function loadStateModule() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    const context = vm.createContext({
+        console,
+        localStorage: createMemoryStorage(),
+        navigator: { language: 'en-US' },
+        document: { documentElement: {}, addEventListener() {} },
+        window: { addEventListener() {} },
+    });
+    scripts.slice(0, scripts.indexOf('state.js') + 1)
+        .forEach(file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+    return vm.runInContext('QuestifyState', context);
+}
+
+const QuestifyState = loadStateModule();
+
+// Objects made inside the sandbox have the sandbox's prototypes, so they are copied into this realm before comparing.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Builds a game state in the shape script.js's getState() returns, which is what undo snapshots and exports contain.
+ * @returns {object} A snapshot with data in every field a migration could reset.
+ */
+function createSnapshot() {
+    return {
+        ...QuestifyState.createDefaultState(),
+        player: { level: 2, xp: 15 },
+        pendingRequests: [{ type: 'generate', payload: { goal: 'Learn to juggle' } }],
+        settings: { ...QuestifyState.createDefaultState().settings, onTimeBonusPercent: 45, remindersEnabled: true },
+        deletedQuests: { 1700000000000: 1700000500000 },
+        rewards: [{ id: 'reward-1', name: 'Movie night', cost: 50, createdAt: 1700000000000 }],
+    };
+}
+
+test('normalizing an undo snapshot keeps the queue, settings, deletion records and rewards', () => {
+    const snapshot = JSON.parse(JSON.stringify(createSnapshot()));
+    const restored = plain(QuestifyState.normalize(snapshot));
+
+    assert.deepStrictEqual(restored.pendingRequests, snapshot.pendingRequests);
+    assert.deepStrictEqual(restored.player, snapshot.player);
+    assert.deepStrictEqual(restored.settings, snapshot.settings);
+    assert.deepStrictEqual(restored.deletedQuests, snapshot.deletedQuests);
+    assert.deepStrictEqual(restored.rewards, snapshot.rewards);
+});
+
+test('normalizing a snapshot from a newer version is refused', () => {
+    const snapshot = { ...createSnapshot(), schemaVersion: QuestifyState.SCHEMA_VERSION + 1 };
+
+    assert.throws(() => QuestifyState.normalize(snapshot));
+});
+
+test('merging leaves out events undone on either side', () => {
+    const completion = { id: 'event-1', type: 'task_completed', timestamp: 1700000000000, questId: 1, xp: 35 };
+    const otherDevice = { ...QuestifyState.createDefaultState(), events: [completion] };
+    const thisDevice = { ...QuestifyState.createDefaultState(), undoneEvents: { 'event-1': 1700000100000 } };
+    const getXpForLevel = () => 100;
+
+    const merged = plain(QuestifyState.merge(thisDevice, otherDevice, getXpForLevel));
+    const mergedBack = plain(QuestifyState.merge(otherDevice, thisDevice, getXpForLevel));
+
+    assert.deepStrictEqual(merged.events, []);
+    assert.deepStrictEqual(merged.player, { level: 1, xp: 0 });
+    assert.deepStrictEqual(mergedBack.events, []);
+    assert.deepStrictEqual(mergedBack.undoneEvents, { 'event-1': 1700000100000 });
+});
+
+test('merging a reset state into the cloud copy keeps the cloud\'s quests and events', () => {
+    const quest = { id: 1700000000000, goal: 'Learn to juggle', tasks: [], updatedAt: 1700000000000 };
+    const completion = { id: 'event-1', type: 'task_completed', timestamp: 1700000000000, questId: quest.id, xp: 35 };
+    const remote = { ...QuestifyState.createDefaultState(), quests: [quest], events: [completion] };
+    const afterReset = QuestifyState.createDefaultState();
+    const getXpForLevel = () => 100;
+
+    const merged = plain(QuestifyState.merge(afterReset, QuestifyState.normalize(remote), getXpForLevel));
+
+    assert.deepStrictEqual(merged.quests.map(q => q.id), [quest.id]);
+    assert.deepStrictEqual(merged.events.map(e => e.id), ['event-1']);
+    assert.deepStrictEqual(merged.player, { level: 1, xp: 35 });
+});
@@ -0,0 +1,100 @@
+# Tests for the request checks in api/app.py. The AI model is replaced with a fake, so no API key is needed,
+# but the packages in requirements.txt must be installed.
+# Run from the repository root with: python -m unittest discover tests
+
+import json
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.join(os.path.dirname(os.path.dirname(os.path.abspath(__file__))), 'api'))
+
+import app as questify_app
+
+
+class FakeResponse:
+    def __init__(self, text):
+        self.text = text
+
+
+class FakeModel:
+    """Stands in for the Gemini model, answering every prompt with the same quests."""
+
+    def __init__(self, quests):
+        self.quests = quests
+        self.prompts = []
+
+    def generate_content(self, prompt):
+        self.prompts.append(prompt)
+        return FakeResponse(json.dumps({'quests': self.quests}))
+
+
+class GenerateQuestsTest(unittest.TestCase):
+
+    def setUp(self):
+        self.model = FakeModel([{'text': 'Step one', 'difficulty': 'Easy'}])
+        self.original_model = questify_app.model
+        questify_app.model = self.model
+        self.client = questify_app.app.test_client()
+
+    def tearDown(self):
+        questify_app.model = self.original_model
+
+    def generate(self, **options):
+        return self.client.post('/api/generate-quests', json={'goal': 'Learn to juggle', 'task_count': 1, **options})
+
+    def test_accepts_a_deadline_and_context(self):
+        response = self.generate(deadline='2026-12-31', context='Twenty minutes a day')
+
+        self.assertEqual(response.status_code, 200)
+        self.assertIn('2026-12-31', self.model.prompts[0])
+        self.assertIn('Twenty minutes a day', self.model.prompts[0])
+
+    def test_rejects_a_deadline_that_is_not_a_string(self):
+        for deadline in (['2026-12-31'], {'date': '2026-12-31'}, 20261231):
+            with self.subTest(deadline=deadline):
+                self.assertEqual(self.generate(deadline=deadline).status_code, 400)
+        self.assertEqual(self.model.prompts, [])
+
+    def test_rejects_a_deadline_that_is_not_a_date(self):
+        for deadline in ('next week', '2026-02-30', '2026-1-5'):
+            with self.subTest(deadline=deadline):
+                self.assertEqual(self.generate(deadline=deadline).status_code, 400)
+
+    def test_rejects_context_that_is_not_a_string_or_too_long(self):
+        too_long = 'x' * (questify_app.MAX_CONTEXT_LENGTH + 1)
+        for context in (['a'], {'a': 1}, 42, too_long):
+            with self.subTest(context=context):
+                self.assertEqual(self.generate(context=context).status_code, 400)
+        self.assertEqual(self.model.prompts, [])
+
+    def test_rejects_a_difficulty_mix_or_locale_that_is_not_a_string(self):
+        self.assertEqual(self.generate(difficulty_mix=['balanced']).status_code, 400)
+        self.assertEqual(self.generate(locale={'en': True}).status_code, 400)
+
+
+class RefreshQuestTest(unittest.TestCase):
+
+    def setUp(self):
+        self.model = FakeModel([])
+        self.original_model = questify_app.model
+        questify_app.model = self.model
+        self.client = questify_app.app.test_client()
+
+    def tearDown(self):
+        questify_app.model = self.original_model
+
+    def test_rejects_context_that_is_not_a_string(self):
+        response = self.client.post('/api/refresh-quest', json={
+            'goal': 'Learn to juggle',
+            'existing_quests': [{'text': 'Step one'}],
+            'quest_to_replace': {'text': 'Step one'},
+            'context': ['a'],
+        })
+
+        self.assertEqual(response.status_code, 400)
+        self.assertEqual(self.model.prompts, [])
+
+
+if __name__ == '__main__':
+    unittest.main()